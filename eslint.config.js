@@ -26,4 +26,18 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // service worker template (see the serviceWorker plugin in vite.config.js)
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, __SW_PRECACHE__: 'readonly' },
+    },
+  },
+  {
+    // unit tests run in Node (vitest)
+    files: ['src/**/*.test.js'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ])
@@ -1,19 +1,75 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { createClient } from "@supabase/supabase-js";
-
-/* -------------------------------------------------
-   Supabase client (works in Canvas and locally)
-   If env vars are missing (Canvas), supabase = null → local-only
-----------------------------------------------------*/
-const supabaseUrl = import.meta.env?.VITE_SUPABASE_URL;
-const supabaseAnon = import.meta.env?.VITE_SUPABASE_ANON;
-const supabase = (supabaseUrl && supabaseAnon) ? createClient(supabaseUrl, supabaseAnon) : null;
-
-/* ---------------- Helpers ---------------- */
-const uid = () => Math.random().toString(36).slice(2, 9);
-const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
-const pad = (n) => String(n).padStart(2, "0");
-const fmtHMS = (sec) => { sec = Math.max(0, Math.floor(sec)); const h = Math.floor(sec/3600); const m = Math.floor((sec%3600)/60); const s = sec%60; return `${pad(h)}:${pad(m)}:${pad(s)}` };
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { supabase } from "./supabaseClient";
+import { local } from "./storage";
+import { remote, supabaseFeatures } from "./remote";
+import { rowId, clamp, fmtHMS, toLocalInput, fromLocalInput, fmtClock, fmtDate } from "./utils";
+import { dayKey, dayStartMs, nextBoundary, netAt, mergeSnapshot, liveSnapshot, historyToRows, mergeHistoryRows } from "./history";
+import { enqueue, removeSent, flushOutbox, mergeById } from "./sync";
+import { diffState, patchState } from "./undo";
+import HistoryView from "./HistoryView";
+import ReportsView from "./ReportsView";
+import ImportDialog from "./ImportDialog";
+import { exportCSV, exportJSON, exportRevisionsCSV, planImport } from "./backup";
+import { REVISION_KINDS, makeRevision, revisionsForTimer, revisionFromRow, revisionToRow } from "./revisions";
+import { IntervalSetup, IntervalBar } from "./IntervalPanel";
+import { IDLE_INTERVAL, startInterval, advance, pauseInterval, resumeInterval, phaseTimerId } from "./pomodoro";
+import { playCue } from "./sound";
+import { registerServiceWorker, applyUpdate } from "./pwa";
+import CommandPalette from "./CommandPalette";
+import { fuzzyScore, parseAdjust, isTypingTarget } from "./commands";
+import { notify, notificationPermission, requestNotificationPermission, setFaviconBadge, setTitleBadge } from "./notify";
+import { Modal, Segmented, Switch, Field, StyleTags } from "./ui";
+import { closeRun, makeSession, carveRange, overlapSeconds, trackedRanges, sessionsForTimer, sessionSeconds, splitSession, sessionFromRow, sessionToRow } from "./sessions";
+import { startIdleWatch, idleApiSupported, requestIdlePermission } from "./idle";
+import { GOAL_REPEATS, isRecurring, periodKey, periodProgress, goalFiredIn, metPatch, liveStreak, streakLabel } from "./goals";
+import { DEFAULT_TRASH_DAYS, expiredIds, mergeTrash } from "./trash";
+import TrashView from "./TrashView";
+import EntryDialog from "./EntryDialog";
+import ExportDialog from "./ExportDialog";
+import BillingView from "./BillingView";
+import { BILLING_DEFAULTS, CURRENCIES, clientOf, fmtMoney } from "./billing";
+import { SCHEDULE_DEFAULTS, WEEKDAYS, makeRule, ruleLabel, dueTransitions, reminderDue, quietMinutes } from "./schedule";
+import WorkspaceView from "./WorkspaceView";
+import { newShareToken, shareUrl, shareChannelName, loadShare, saveShare, revokeShare } from "./share";
+import { makeProject, groupTimers, moveTimer, projectFromRow, projectToRow } from "./projects";
+
+/* ---------------- Row mapping (table: timers) ---------------- */
+const timerFromRow = (r) => ({
+  id:r.id, name:r.name, targetSec:r.target_sec, revisionSec:r.revision_sec,
+  elapsedSec:r.elapsed_sec, startTs:r.start_ts??null, running:r.running,
+  goalOn:r.goal_on, goalFired:r.goal_fired, category:r.category, color:r.color,
+  sort_index:r.sort_index ?? 0, deleted: !!r.deleted, deletedAt: r.deleted_at ?? null, resetAt: r.reset_at ?? 0,
+  countdown: !!r.countdown, alarmSound: r.alarm_sound ?? TIMER_DEFAULTS.alarmSound, snoozeMin: r.snooze_min ?? TIMER_DEFAULTS.snoozeMin,
+  autoStop: !!r.auto_stop, alarmFired: !!r.alarm_fired, snoozeUntil: r.snooze_until ?? null,
+  notify: !!r.notify, goalSound: !!r.goal_sound, badge: r.badge ?? TIMER_DEFAULTS.badge,
+  exclusive: r.exclusive ?? TIMER_DEFAULTS.exclusive, projectId: r.project_id ?? null,
+  goalRepeat: r.goal_repeat ?? TIMER_DEFAULTS.goalRepeat, goalPeriod: r.goal_period ?? null,
+  streak: r.streak ?? 0, bestStreak: r.best_streak ?? 0, streakPeriod: r.streak_period ?? null,
+  billable: !!r.billable, hourlyRate: r.hourly_rate == null ? null : Number(r.hourly_rate), currency: r.currency ?? null, client: r.client ?? "",
+  schedule: r.schedule ?? [],
+  updatedAt: r.updated_at ? Date.parse(r.updated_at) : 0,
+});
+const timerToRow = (t, userId) => ({
+  id:t.id, user_id:userId, name:t.name, target_sec:Math.floor(t.targetSec||0), revision_sec:Math.floor(t.revisionSec||0), elapsed_sec:Math.floor(t.elapsedSec||0),
+  start_ts:t.startTs?Math.floor(t.startTs):null, running:!!t.running, goal_on:!!t.goalOn, goal_fired:!!t.goalFired, category:t.category, color:t.color,
+  sort_index: t.sort_index ?? 0, deleted: !!t.deleted, deleted_at: t.deletedAt ? Math.floor(t.deletedAt) : null, reset_at: Math.floor(t.resetAt||0),
+  countdown: !!t.countdown, alarm_sound: t.alarmSound ?? TIMER_DEFAULTS.alarmSound, snooze_min: Math.floor(t.snoozeMin ?? TIMER_DEFAULTS.snoozeMin),
+  auto_stop: !!t.autoStop, alarm_fired: !!t.alarmFired, snooze_until: t.snoozeUntil ? Math.floor(t.snoozeUntil) : null,
+  notify: !!t.notify, goal_sound: !!t.goalSound, badge: t.badge ?? TIMER_DEFAULTS.badge,
+  exclusive: t.exclusive ?? TIMER_DEFAULTS.exclusive, project_id: t.projectId ?? null,
+  goal_repeat: t.goalRepeat ?? TIMER_DEFAULTS.goalRepeat, goal_period: t.goalPeriod ?? null,
+  streak: t.streak || 0, best_streak: t.bestStreak || 0, streak_period: t.streakPeriod ?? null,
+  billable: !!t.billable, hourly_rate: t.hourlyRate ?? null, currency: t.currency ?? null, client: t.client || "",
+  schedule: t.schedule || [],
+  updated_at:new Date(t.updatedAt || Date.now()).toISOString(),
+});
+
+// every local edit of a timer goes through touch() so sync can tell it apart from cloud state
+const touch = (t, patch) => ({ ...t, ...patch, updatedAt: Date.now() });
+// keeps sort_index equal to the list position, touching only rows that moved
+const reindex = (list) => list.map((t, idx) => t.sort_index === idx ? t : touch(t, { sort_index: idx }));
+
+const rowTime = (r) => r?.updated_at ? Date.parse(r.updated_at) : 0;
 
 /* ---------------- Themes (glass pastel + transparent) ---------------- */
 const THEME_SWATCHES = [
@@ -28,233 +84,942 @@ const THEME_SWATCHES = [
 ];
 
 /* ---------------- Defaults ---------------- */
+// fields added after the first release; spread under older saved/imported timers
+const TIMER_DEFAULTS = { countdown:false, alarmSound:"ring", snoozeMin:5, autoStop:false, alarmFired:false, snoozeUntil:null, notify:false, goalSound:false, badge:true, exclusive:true, projectId:null, goalRepeat:"none", goalPeriod:null, streak:0, bestStreak:0, streakPeriod:null, billable:false, hourlyRate:null, currency:null, client:"", schedule:[] };
+// what a reset (manual, Close Day or rollover) clears
+const RESET_PATCH = { elapsedSec:0, revisionSec:0, goalFired:false, alarmFired:false, snoozeUntil:null };
+
 const DEFAULT_TIMERS = [
-  { id: uid(), name: "Working Hour", targetSec: 11*3600, revisionSec: 0, running:false, startTs:null, elapsedSec:0, goalOn:true, goalFired:false, category:"work", color: THEME_SWATCHES[0].val, sort_index:0, deleted:false },
+  { id: rowId(), name: "Working Hour", targetSec: 11*3600, revisionSec: 0, running:false, startTs:null, elapsedSec:0, goalOn:true, goalRepeat:"daily", goalFired:false, category:"work", color: THEME_SWATCHES[0].val, sort_index:0, deleted:false },
 ];
 
+const DEFAULT_SETTINGS = {
+  dayStartHour: 0, autoRollover: true, dnd: false,
+  parallel: false, totalMode: "sum", // parallel: non-exclusive timers may run alongside others; totalMode: "sum" | "wall"
+  trashDays: DEFAULT_TRASH_DAYS,
+  idleEnabled: false, idleMinutes: 10, idleAction: "ask", idleHiddenCounts: false, idleSystem: false,
+  ...BILLING_DEFAULTS, // currency, categoryRates, billingRoundMin, billingRoundMode (see billing.js)
+  ...SCHEDULE_DEFAULTS, // work hours, workEndStop, idle reminders (see schedule.js)
+};
+
+// live counting state, owned by start/pause/reset — not by the editor form
+const RUNTIME_KEYS = ["running", "startTs", "elapsedSec", "revisionSec", "goalFired", "resetAt", "alarmFired", "snoozeUntil", "goalPeriod", "streak", "bestStreak", "streakPeriod"];
+
 /* ---------------- Root App ---------------- */
 export default function App() {
   // profile + timers (local first)
-  const [profile, setProfile] = useState(() => {
-    const saved = localStorage.getItem("tt_profile");
-    return saved ? JSON.parse(saved) : { name: "Your Name", photo: null, emoji: "🌟" };
-  });
+  const [profile, setProfile] = useState(() => local.get("tt_profile", { name: "Your Name", photo: null, emoji: "🌟" }));
   const [timers, setTimers] = useState(() => {
-    const saved = localStorage.getItem("tt_timers");
-    const arr = saved ? JSON.parse(saved) : DEFAULT_TIMERS;
-    return arr.map((t, i) => ({ goalFired:false, revisionSec: t.revisionSec ?? 0, sort_index: t.sort_index ?? i, deleted: !!t.deleted, ...t }));
+    const arr = local.get("tt_timers", DEFAULT_TIMERS);
+    return arr.map((t, i) => ({ ...TIMER_DEFAULTS, goalFired:false, revisionSec: t.revisionSec ?? 0, sort_index: t.sort_index ?? i, deleted: !!t.deleted, resetAt: t.resetAt ?? 0, updatedAt: t.updatedAt ?? 0, ...t }));
   });
+  // deleted timers, restorable until purged (see trash.js)
+  const [trash, setTrash] = useState(() => local.get("tt_trash", []));
+  // audit log of manual changes to totals (see revisions.js)
+  const [revisions, setRevisions] = useState(() => local.get("tt_revisions", []));
+  const [projects, setProjects] = useState(() => local.get("tt_projects", []));
+  const [settings, setSettings] = useState(() => ({ ...DEFAULT_SETTINGS, ...local.get("tt_settings", {}) }));
+  // archived days (see history.js) + the day the live timers currently belong to
+  const [history, setHistory] = useState(() => local.get("tt_history", {}));
+  const [currentDay, setCurrentDay] = useState(() => local.get("tt_day") || dayKey(Date.now(), settings.dayStartHour));
+  // interval (pomodoro) cycles (see pomodoro.js)
+  const [pomo, setPomo] = useState(() => ({ ...IDLE_INTERVAL, ...local.get("tt_interval", {}) }));
+  // start→pause intervals (see sessions.js)
+  const [sessions, setSessions] = useState(() => local.get("tt_sessions", []));
 
   // ui
   const [dragId, setDragId] = useState(null);
   const [editTimer, setEditTimer] = useState(null);
+  const [editProject, setEditProject] = useState(null);
   const [profileOpen, setProfileOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [reportsOpen, setReportsOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [billingOpen, setBillingOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [teamOpen, setTeamOpen] = useState(false);
+  const [entryFor, setEntryFor] = useState(null); // { timerId } while the "Add entry" dialog is open
+  const [importOpen, setImportOpen] = useState(false);
+  const [intervalOpen, setIntervalOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
   const [celebration, setCelebration] = useState({ active: false, message: "" });
+  const [alarms, setAlarms] = useState([]); // ids of countdown timers currently ringing
+  const [updateReady, setUpdateReady] = useState(false); // a new build is waiting (see pwa.js)
+  const [toast, setToast] = useState(null); // { label, kind: "done" | "undone" | "redone" | "info", at }
+  const [awayPrompt, setAwayPrompt] = useState(null); // { from, to } once the user is back from idle
 
   // auth
   const [user, setUser] = useState(null);
+  const [share, setShare] = useState(null); // { token, timerIds, createdAt } — the public link (see share.js)
   const [authOpen, setAuthOpen] = useState(false);
-  const saveDebounce = useRef(null);
+
+  // sync (see sync.js)
+  const [outbox, setOutbox] = useState(() => local.get("tt_outbox", []));
+  const [syncReady, setSyncReady] = useState(false); // true once the sign-in merge is done
+  const [sync, setSync] = useState({ state: "idle", error: null });
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const seenRef = useRef(null); // table → Map(key → updatedAt the cloud has)
+  const flushing = useRef(false);
+
+  // undo/redo: per action, only the records it touched as they were before (redo holds what an undo replaced)
+  const undoStack = useRef([]); // [{ label, patch }]
+  const redoStack = useRef([]);
+  const keyHandler = useRef(null);
+  const idleHandlers = useRef({});
+  const awaySince = useRef(null); // set while idle with something running
+  // this render's functions and state, for effects that run on their own triggers rather than on every render
+  const latest = useRef({});
 
   // confetti
   const confettiLayer = useRef(null);
   const confettiIntervalRef = useRef(null);
 
-  /* ---------- Persist locally ---------- */
-  useEffect(() => { localStorage.setItem("tt_timers", JSON.stringify(timers)); }, [timers]);
-  useEffect(() => { localStorage.setItem("tt_profile", JSON.stringify(profile)); }, [profile]);
+  useEffect(() => { latest.current = { rollover, flush, outbox, nextPhase, pauseTimer, goalProgress, purgeTimers, runTransitions, checkpoint }; });
 
-  /* ---------- Auth session ---------- */
+  /* ---------- Persist locally (see storage.js) ---------- */
+  useEffect(() => { local.set("tt_timers", timers); }, [timers]);
+  useEffect(() => { local.set("tt_revisions", revisions); }, [revisions]);
+  useEffect(() => { local.set("tt_trash", trash); }, [trash]);
+  useEffect(() => { local.set("tt_projects", projects); }, [projects]);
+  useEffect(() => { local.set("tt_profile", profile); }, [profile]);
+  useEffect(() => { local.set("tt_sessions", sessions); }, [sessions]);
+  useEffect(() => { local.set("tt_settings", settings); }, [settings]);
+  useEffect(() => { local.set("tt_history", history); }, [history]);
+  useEffect(() => { local.set("tt_day", currentDay); }, [currentDay]);
+  useEffect(() => { local.set("tt_outbox", outbox); }, [outbox]);
+  useEffect(() => { local.set("tt_interval", pomo); }, [pomo]);
+
+  useEffect(() => { registerServiceWorker({ onNeedRefresh: () => setUpdateReady(true) }); }, []);
+
+  /* ---------- Auth session (see remote.js) ---------- */
   useEffect(() => {
-    if (!supabase) return;
+    if (!remote) return;
     let ignore = false;
     (async () => {
-      const { data } = await supabase.auth.getSession();
-      if (!ignore) setUser(data.session?.user ?? null);
+      const signedIn = await remote.auth.getUser();
+      if (!ignore) setUser(signedIn);
     })();
-    const { data: sub } = supabase.auth.onAuthStateChange((_e, session) => { setUser(session?.user ?? null); });
-    return () => { ignore = true; sub?.subscription?.unsubscribe?.(); };
+    const unsubscribe = remote.auth.onChange((next) => setUser(next));
+    return () => { ignore = true; unsubscribe(); };
+  }, []);
+
+  useEffect(() => {
+    const on = () => setOnline(true), off = () => setOnline(false);
+    window.addEventListener("online", on); window.addEventListener("offline", off);
+    return () => { window.removeEventListener("online", on); window.removeEventListener("offline", off); };
   }, []);
 
-  /* ---------- Load from cloud on sign-in ---------- */
+  /* ---------- Merge with cloud on sign-in ---------- */
   useEffect(() => {
-    if (!supabase || !user) return;
+    setSyncReady(false);
+    setShare(null);
+    if (!remote || !user) return;
+    let ignore = false;
+    // queued upserts are re-derived by the merge below; deletes (also ones made while signed out) are kept
+    const pendingDeletes = new Set(latest.current.outbox.filter(o => o.kind === "delete" && (o.userId ?? user.id) === user.id).map(o => `${o.table}:${o.key}`));
+    setOutbox(prev => prev.filter(o => o.kind === "delete" && (o.userId ?? user.id) === user.id).map(o => ({ ...o, userId: user.id })));
     (async () => {
-      const { data: rows, error } = await supabase
-        .from("timers").select("*")
-        .eq("user_id", user.id)
-        .eq("deleted", false) // <— important: filter out soft-deleted
-        .order("sort_index", { ascending: true });
-      if (!error) {
-        if (!rows || rows.length === 0 && timers.length>0) {
-          await upsertAllToCloud(user.id, timers);
-        } else if (rows) {
-          const mapped = rows.map(r => ({
-            id:r.id, name:r.name, targetSec:r.target_sec, revisionSec:r.revision_sec,
-            elapsedSec:r.elapsed_sec, startTs:r.start_ts??null, running:r.running,
-            goalOn:r.goal_on, goalFired:r.goal_fired, category:r.category, color:r.color,
-            sort_index:r.sort_index ?? 0, deleted: !!r.deleted
-          }));
-          mapped.sort((a,b)=>(a.sort_index??0)-(b.sort_index??0));
-          setTimers(mapped);
-        }
-      }
-      const { data: prof } = await supabase.from("profiles").select("*").eq("user_id", user.id).maybeSingle();
+      setSync({ state: "syncing", error: null });
+      const [p, t, se, h, rv] = await Promise.all([
+        remote.select("projects", user.id),
+        remote.select("timers", user.id),
+        remote.select("timer_sessions", user.id),
+        remote.select("day_history", user.id),
+        remote.select("timer_revisions", user.id),
+      ]);
+      if (ignore) return;
+      const error = p.error || t.error || se.error || h.error || rv.error;
+      if (error) { setSync({ state: "error", error: error.message }); return; }
+      const pRows = p.data.filter(r => !pendingDeletes.has(`projects:${r.id}`));
+      const tRows = t.data.filter(r => !pendingDeletes.has(`timers:${r.id}`));
+      const sRows = se.data.filter(r => !pendingDeletes.has(`timer_sessions:${r.id}`));
+      // what the cloud already has; anything newer locally gets queued by the effects below
+      seenRef.current = {
+        projects: new Map(pRows.map(r => [r.id, rowTime(r)])),
+        timers: new Map(tRows.map(r => [r.id, rowTime(r)])),
+        timer_sessions: new Map(sRows.map(r => [r.id, rowTime(r)])),
+        day_history: new Map(h.data.map(r => [`${r.day}|${r.timer_id}`, rowTime(r)])),
+        timer_revisions: new Map(rv.data.map(r => [r.id, rowTime(r)])),
+      };
+      setProjects(prev => mergeById(prev, pRows.map(projectFromRow)).sort((a,b)=>(a.sort_index??0)-(b.sort_index??0)));
+      setTimers(prev => mergeById(prev, tRows.map(timerFromRow)).sort((a,b)=>(a.sort_index??0)-(b.sort_index??0)));
+      setTrash(prev => mergeTrash(prev, tRows.map(timerFromRow)));
+      setSessions(prev => mergeById(prev, sRows.map(sessionFromRow)));
+      setHistory(prev => mergeHistoryRows(prev, h.data));
+      setRevisions(prev => mergeById(prev, rv.data.map(revisionFromRow)));
+      setSync({ state: "idle", error: null });
+      setSyncReady(true);
+
+      const { data: [prof] } = await remote.select("profiles", user.id);
       if (prof) setProfile({ name: prof.name ?? "Your Name", emoji: prof.emoji ?? "🌟", photo: prof.photo ?? null });
-      else await supabase.from("profiles").insert({ user_id:user.id, name: profile.name, emoji: profile.emoji, photo: profile.photo });
+      else await remote.upsert("profiles", [{ user_id:user.id, name: profile.name, emoji: profile.emoji, photo: profile.photo }], { onConflict: "user_id" });
+
+      if (!supabaseFeatures) return;
+      const { share: link } = await loadShare(supabase, user.id);
+      if (!ignore) setShare(link);
     })();
+    return () => { ignore = true; };
   }, [user]);
 
+  // cloud rows (realtime or a rejected push) replace local ones only when they are newer
+  function adoptCloudRow(table, row) {
+    const at = rowTime(row);
+    const seen = seenRef.current?.[table];
+    if (seen && at > (seen.get(row.id) || 0)) seen.set(row.id, at);
+    if (table === "timers") {
+      setTrash(prev => mergeTrash(prev, [timerFromRow(row)]));
+      setTimers(prev => {
+        const i = prev.findIndex(t => t.id === row.id);
+        if (i !== -1 && (prev[i].updatedAt || 0) >= at) return prev;
+        if (row.deleted) return i === -1 ? prev : prev.filter(t => t.id !== row.id);
+        const next = [...prev];
+        const mapped = timerFromRow(row);
+        if (i === -1) next.push(mapped); else next[i] = mapped;
+        next.sort((a,b)=>(a.sort_index??0)-(b.sort_index??0));
+        return next;
+      });
+    } else if (table === "projects") {
+      setProjects(prev => {
+        const i = prev.findIndex(x => x.id === row.id);
+        if (i !== -1 && (prev[i].updatedAt || 0) >= at) return prev;
+        if (row.deleted) return prev.filter(x => x.id !== row.id);
+        const mapped = projectFromRow(row);
+        return (i === -1 ? [...prev, mapped] : prev.map(x => x.id === row.id ? mapped : x)).sort((a,b)=>(a.sort_index??0)-(b.sort_index??0));
+      });
+    } else if (table === "timer_revisions") {
+      setRevisions(prev => prev.some(x => x.id === row.id) ? prev : [...prev, revisionFromRow(row)]);
+    } else if (table === "timer_sessions") {
+      setSessions(prev => {
+        const i = prev.findIndex(x => x.id === row.id);
+        if (i !== -1 && (prev[i].updatedAt || 0) >= at) return prev;
+        const mapped = sessionFromRow(row);
+        return i === -1 ? [...prev, mapped] : prev.map(x => x.id === row.id ? mapped : x);
+      });
+    }
+  }
+
   // Real-time subscribe to your own timers (includes DELETE and soft-delete)
   useEffect(() => {
-    if (!supabase || !user) return;
-
-    const channel = supabase
-      .channel('timers-rt')
-      .on(
-        'postgres_changes',
-        { event: '*', schema: 'public', table: 'timers', filter: `user_id=eq.${user.id}` },
-        (payload) => {
-          if (payload.eventType === 'DELETE') {
-            const id = payload.old?.id; if (!id) return;
-            setTimers(prev => prev.filter(t => t.id !== id));
-            return;
-          }
-          const row = payload.new || payload.old; if (!row) return;
-          if (row.deleted) { setTimers(prev => prev.filter(t => t.id !== row.id)); return; }
-          setTimers((prev) => {
-            const i = prev.findIndex(t => t.id === row.id);
-            const next = [...prev];
-            const mapped = {
-              id: row.id, name: row.name, category: row.category,
-              targetSec: row.target_sec, revisionSec: row.revision_sec,
-              elapsedSec: row.elapsed_sec, startTs: row.start_ts ?? null,
-              running: row.running, goalOn: row.goal_on, goalFired: row.goal_fired,
-              color: row.color, sort_index: row.sort_index ?? 0, deleted: !!row.deleted,
-            };
-            if (i === -1) next.push(mapped); else next[i] = mapped;
-            next.sort((a,b)=>(a.sort_index??0)-(b.sort_index??0));
-            return next;
-          });
-        }
-      )
-      .subscribe();
-
-    return () => { supabase.removeChannel(channel); };
-  }, [user]);
-
+    if (!remote || !user || !syncReady) return;
+    return remote.subscribe("timers", user.id, (change) => {
+      if (change.type === "delete") {
+        seenRef.current?.timers.delete(change.id);
+        setTimers(prev => prev.filter(t => t.id !== change.id));
+        setTrash(prev => prev.filter(t => t.id !== change.id));
+        return;
+      }
+      adoptCloudRow("timers", change.row);
+    });
+  }, [user, syncReady]);
+
+  /* ---------- Public share: tell viewers to re-read the shared timers ---------- */
+  const shareChannel = useRef(null);
+  function pingShare() {
+    shareChannel.current?.send({ type: "broadcast", event: "changed", payload: {} });
+  }
+  const shareToken = share?.token;
+  useEffect(() => {
+    if (!supabaseFeatures || !user || !shareToken) return;
+    const channel = supabase.channel(shareChannelName(shareToken)).subscribe();
+    shareChannel.current = channel;
+    return () => { shareChannel.current = null; supabase.removeChannel(channel); };
+  }, [user, shareToken]);
+  // action: "save" (create or change the timers), "rotate" (new token, old link dies) or "revoke"
+  async function updateShare(action, timerIds = share?.timerIds ?? []) {
+    if (!supabaseFeatures || !user) return "Sign in to share.";
+    if (action === "revoke") {
+      const error = await revokeShare(supabase, user.id);
+      if (!error) { pingShare(); setShare(null); }
+      return error?.message ?? null;
+    }
+    const token = action === "rotate" || !share ? newShareToken() : share.token;
+    const res = await saveShare(supabase, user.id, { token, timerIds });
+    if (res.share) { pingShare(); setShare(res.share); }
+    return res.error?.message ?? null;
+  }
 
-  /* ---------- Save to cloud on timers/profile change (debounced) ---------- */
+  /* ---------- Queue local changes (only rows the cloud hasn't seen) ---------- */
+  const queueChanged = useCallback((table, records) => {
+    const seen = seenRef.current?.[table]; if (!seen) return;
+    const changed = records.filter(r => !seen.has(r.key) || r.updatedAt > seen.get(r.key));
+    if (!changed.length) return;
+    changed.forEach(r => seen.set(r.key, r.updatedAt));
+    const at = Date.now();
+    setOutbox(prev => changed.reduce((box, r) => enqueue(box, { table, key:r.key, kind:"upsert", row:r.row, userId:user.id, at }), prev));
+  }, [user]);
+  function queueDelete(table, key) {
+    if (!remote) return;
+    seenRef.current?.[table]?.delete(key);
+    setOutbox(prev => enqueue(prev, { table, key, kind:"delete", row:null, userId:user?.id ?? null, at:Date.now() }));
+  }
+  useEffect(() => {
+    if (!syncReady || !user) return;
+    queueChanged("projects", projects.map(x => ({ key:x.id, updatedAt:x.updatedAt || 0, row:projectToRow(x, user.id) })));
+  }, [projects, syncReady, user, queueChanged]);
+  useEffect(() => {
+    if (!syncReady || !user) return;
+    queueChanged("timers", [...timers, ...trash].map(t => ({ key:t.id, updatedAt:t.updatedAt || 0, row:timerToRow(t, user.id) })));
+  }, [timers, trash, syncReady, user, queueChanged]);
+  useEffect(() => {
+    if (!syncReady || !user) return;
+    queueChanged("timer_sessions", sessions.map(x => ({ key:x.id, updatedAt:x.updatedAt || 0, row:sessionToRow(x, user.id) })));
+  }, [sessions, syncReady, user, queueChanged]);
+  useEffect(() => {
+    if (!syncReady || !user) return;
+    queueChanged("timer_revisions", revisions.map(x => ({ key:x.id, updatedAt:x.updatedAt || 0, row:revisionToRow(x, user.id) })));
+  }, [revisions, syncReady, user, queueChanged]);
+  useEffect(() => {
+    if (!syncReady || !user) return;
+    queueChanged("day_history", historyToRows(history, user.id).map(r => ({ key:`${r.day}|${r.timer_id}`, updatedAt:rowTime(r), row:r })));
+  }, [history, syncReady, user, queueChanged]);
+
+  /* ---------- Replay the outbox (debounced; retried after errors) ---------- */
+  async function flush() {
+    if (flushing.current || !user) return;
+    flushing.current = true;
+    setSync({ state: "syncing", error: null });
+    const res = await flushOutbox(remote, user.id, outbox);
+    flushing.current = false;
+    setOutbox(prev => removeSent(prev, res.sent));
+    res.stale.forEach(({ table, row }) => adoptCloudRow(table, row));
+    if (share && res.sent.some(o => o.table === "timers" && share.timerIds.includes(o.key))) pingShare(); // now in the cloud
+    if (res.error) console.error(res.error);
+    setSync(res.error ? { state: "error", error: res.error.message } : { state: "idle", error: null });
+  }
   useEffect(() => {
-    if (!supabase || !user) return;
-    if (saveDebounce.current) clearTimeout(saveDebounce.current);
-    saveDebounce.current = setTimeout(() => { upsertAllToCloud(user.id, timers); }, 400);
-    return () => clearTimeout(saveDebounce.current);
-  }, [timers, user]);
+    if (!remote || !user || !syncReady || !online || !outbox.length) return;
+    const id = setTimeout(() => latest.current.flush(), sync.state === "error" ? 15000 : 400);
+    return () => clearTimeout(id);
+  }, [outbox, user, syncReady, online, sync.state]);
+
   useEffect(() => {
-    if (!supabase || !user) return;
+    if (!remote || !user) return;
     (async () => {
-      await supabase.from("profiles").upsert({ user_id:user.id, name: profile.name, emoji: profile.emoji, photo: profile.photo, updated_at:new Date().toISOString() });
+      await remote.upsert("profiles", [{ user_id:user.id, name: profile.name, emoji: profile.emoji, photo: profile.photo, updated_at:new Date().toISOString() }], { onConflict: "user_id" });
     })();
   }, [profile, user]);
 
-  async function upsertAllToCloud(userId, list) {
-    if (!supabase) return;
-    const rows = list.map((t, idx) => ({ id:t.id, user_id:userId, name:t.name, target_sec:Math.floor(t.targetSec||0), revision_sec:Math.floor(t.revisionSec||0), elapsed_sec:Math.floor(t.elapsedSec||0), start_ts:t.startTs?Math.floor(t.startTs):null, running:!!t.running, goal_on:!!t.goalOn, goal_fired:!!t.goalFired, category:t.category, color:t.color, sort_index: idx, deleted: !!t.deleted, updated_at:new Date().toISOString() }));
-    const { error } = await supabase.from("timers").upsert(rows, { onConflict:"id" }); if (error) console.error(error);
-  }
-
   /* ---------- Timer math & logic ---------- */
-  function timerNetSeconds(t) {
-    const runningNow = t.running && t.startTs ? (Date.now() - t.startTs) / 1000 : 0;
+  function timerNetSeconds(t, at = Date.now()) {
+    const runningNow = t.running && t.startTs ? (at - t.startTs) / 1000 : 0;
     return Math.max(0, (t.elapsedSec + runningNow) - (t.revisionSec || 0));
   }
 
-  // goal checker
+  // display clock: re-renders running timers once a second without touching `timers`,
+  // so persistence (local store + outbox) only ever sees real changes
+  const [now, setNow] = useState(() => Date.now());
   useEffect(() => {
-    const id = setInterval(() => {
-      setTimers(prev => prev.map(t => {
-        const net = timerNetSeconds(t);
-        if (t.goalOn && !t.goalFired && t.targetSec > 0 && net >= t.targetSec) {
-          startCelebration(`Congratulations! You reached your goal of ${fmtHMS(t.targetSec)} for "${t.name}"`);
-          return { ...t, goalFired: true };
-        }
-        return t;
-      }));
-    }, 1000);
+    const id = setInterval(() => setNow(Date.now()), 1000);
     return () => clearInterval(id);
   }, []);
 
+  // recurring goals count the current period (see goals.js); one-shot goals the live total
+  const today = dayKey(now, settings.dayStartHour);
+  const goalProgress = (t) => isRecurring(t) ? periodProgress(t, history, today, timerNetSeconds(t, now)) : timerNetSeconds(t, now);
+
+  // goal checker (rides the display clock; writes only when a goal actually fires)
+  useEffect(() => {
+    const due = timers.filter(t => {
+      if (!t.goalOn || !(t.targetSec > 0)) return false;
+      const key = isRecurring(t) ? periodKey(t.goalRepeat, today) : null;
+      if (isRecurring(t) && !key) return false; // weekday goal on a weekend
+      return !goalFiredIn(t, key) && latest.current.goalProgress(t) >= t.targetSec;
+    });
+    if (!due.length) return;
+    const patches = new Map(due.map(t => [t.id, metPatch(t, isRecurring(t) ? periodKey(t.goalRepeat, today) : null)]));
+    due.forEach(t => {
+      const { streak } = { ...t, ...patches.get(t.id) };
+      const best = t.bestStreak || 0;
+      const streakNote = isRecurring(t) ? ` 🔥 ${streakLabel(t.goalRepeat, streak)}${streak > best && streak > 1 ? " — a new best!" : best > streak ? ` (best ${best})` : ""}` : "";
+      startCelebration(`Congratulations! You reached your goal of ${fmtHMS(t.targetSec)} for "${t.name}".${streakNote}`);
+      if (settings.dnd) return;
+      if (t.goalSound) playCue("chime");
+      // the overlay covers the visible case; notifications are for background tabs
+      if (t.notify && document.visibilityState !== "visible") notify("Goal reached 🎉", `${t.name}: ${fmtHMS(t.targetSec)}`, `goal-${t.id}`);
+    });
+    const ids = new Set(due.map(t => t.id));
+    setTimers(prev => prev.map(t => ids.has(t.id) ? touch(t, patches.get(t.id)) : t));
+  }, [now, timers, today, settings.dnd]);
+
+  /* ---------- Countdown alarms ---------- */
+  // rings when a running countdown reaches zero, and again when its snooze runs out
+  useEffect(() => {
+    const due = timers.filter(t => t.countdown && t.targetSec > 0 && t.running && timerNetSeconds(t) >= t.targetSec
+      && (!t.alarmFired || (t.snoozeUntil && now >= t.snoozeUntil)));
+    // an adjustment back under zero re-arms the alarm
+    const rearm = timers.filter(t => t.alarmFired && (!t.countdown || timerNetSeconds(t) < t.targetSec));
+    if (!due.length && !rearm.length) return;
+    const dueIds = new Set(due.map(t => t.id)), rearmIds = new Set(rearm.map(t => t.id));
+    due.filter(t => t.autoStop).forEach(t => latest.current.pauseTimer(t.id));
+    if (!settings.dnd) due.filter(t => t.notify && document.visibilityState !== "visible").forEach(t => notify("Time’s up ⏰", t.name, `alarm-${t.id}`));
+    setTimers(prev => prev.map(t => dueIds.has(t.id) ? touch(t, { alarmFired:true, snoozeUntil:null }) : rearmIds.has(t.id) ? touch(t, { alarmFired:false, snoozeUntil:null }) : t));
+    if (due.length) setAlarms(prev => [...new Set([...prev, ...dueIds])]);
+  }, [now, timers, settings.dnd]);
+  // repeat the sound while something is ringing
+  const alarmSound = alarms.map(id => timers.find(t => t.id === id)?.alarmSound).find(x => x && x !== "off");
+  useEffect(() => {
+    if (!alarmSound || settings.dnd) return;
+    const ring = () => playCue(alarmSound === "chime" ? "chime" : "alarm");
+    ring();
+    const id = setInterval(ring, 2500);
+    return () => clearInterval(id);
+  }, [alarms, alarmSound, settings.dnd]);
+  function dismissAlarm(id) { setAlarms(prev => prev.filter(x => x !== id)); }
+  function snoozeAlarm(id) {
+    const t = timers.find(x => x.id === id);
+    if (t) applyPatch(id, { snoozeUntil: Date.now() + (t.snoozeMin || 5) * 60 * 1000 });
+    dismissAlarm(id);
+  }
+
+  /* ---------- Tab title + favicon badge for the running timer ---------- */
+  useEffect(() => {
+    const shown = timers.find(t => t.running && t.badge);
+    setTitleBadge(shown ? `▶ ${fmtHMS(timerNetSeconds(shown, now))} ${shown.name}` : "");
+    setFaviconBadge(!!shown);
+  }, [now, timers]);
+
+  /* ---------- Idle detection (see idle.js) ---------- */
+  function onIdle(since) {
+    if (!timers.some(t => t.running)) return;
+    if (settings.idleAction === "pause") { pauseAllAt(since); return; }
+    awaySince.current = since;
+  }
+  function onActive(at) {
+    const from = awaySince.current; awaySince.current = null;
+    if (from != null && at > from) setAwayPrompt({ from, to: at });
+  }
+  useEffect(() => { idleHandlers.current = { onIdle, onActive }; });
+  useEffect(() => {
+    if (!settings.idleEnabled) return;
+    return startIdleWatch({
+      thresholdMs: Math.max(1, settings.idleMinutes) * 60 * 1000,
+      hiddenCountsAsIdle: settings.idleHiddenCounts,
+      useSystem: settings.idleSystem,
+      onIdle: (since) => idleHandlers.current.onIdle(since),
+      onActive: (at) => idleHandlers.current.onActive(at),
+    });
+  }, [settings.idleEnabled, settings.idleMinutes, settings.idleHiddenCounts, settings.idleSystem]);
+
+  // pause everything as of `at` (in the past): the run ends there, not now
+  function pauseAllAt(at) {
+    const running = timers.filter(t => t.running && t.startTs && t.startTs < at);
+    recordRuns(running, at);
+    const ids = new Set(running.map(t => t.id));
+    setTimers(prev => prev.map(t => ids.has(t.id) ? touch(t, { running:false, startTs:null, elapsedSec: Math.max(0, t.elapsedSec + (at - t.startTs) / 1000) }) : t));
+  }
+
+  // choice: "keep" | "discard" | "move" (to targetId) — applies to exactly [from, to]
+  function resolveAway(choice, targetId) {
+    const { from, to } = awayPrompt; setAwayPrompt(null);
+    if (choice === "keep") return;
+    checkpoint("Away time");
+    // recorded sessions inside the range
+    const carved = carveRange(sessions, from, to);
+    carved.gone.forEach(id => queueDelete("timer_sessions", id));
+    // running runs inside the range: end the run at `from`, resume it from `to`
+    const runs = [];
+    const patches = new Map();
+    for (const t of timers) {
+      const lost = carved.removed[t.id] || 0;
+      let patch = {};
+      if (t.running && t.startTs && t.startTs < to) {
+        if (t.startTs < from) { runs.push(makeSession(t.id, t.startTs, from)); patch = { startTs: to, elapsedSec: t.elapsedSec + (from - t.startTs) / 1000 }; }
+        else patch = { startTs: to };
+      }
+      if (lost && from >= (t.resetAt || 0)) patch.elapsedSec = Math.max(0, (patch.elapsedSec ?? t.elapsedSec) - lost);
+      if (Object.keys(patch).length) patches.set(t.id, patch);
+    }
+    const moved = choice === "move" && targetId ? [makeSession(targetId, from, to, "Moved from away time")] : [];
+    if (moved.length) {
+      const target = timers.find(t => t.id === targetId);
+      const base = patches.get(targetId) ?? {};
+      patches.set(targetId, { ...base, elapsedSec: (base.elapsedSec ?? target.elapsedSec) + (to - from) / 1000 });
+    }
+    setSessions([...carved.sessions, ...runs, ...moved]);
+    setTimers(prev => prev.map(t => patches.has(t.id) ? touch(t, patches.get(t.id)) : t));
+    logChanges(timers, timers.map(t => patches.has(t.id) ? { ...t, ...patches.get(t.id) } : t), "away",
+      `${choice === "move" ? "Moved" : "Discarded"} away time ${fmtClock(from)}–${fmtClock(to)}`, to);
+  }
+
+  /* ---------- Interval cycles ---------- */
+  function beginCycles(config) {
+    setPomo(startInterval(config));
+    startTimer(config.workTimerId);
+    setIntervalOpen(false);
+  }
+  function nextPhase() {
+    const next = advance(pomo);
+    setPomo(next);
+    if (next.config.sound && !settings.dnd) playCue(next.phase === "work" ? "work" : "break");
+    startTimer(phaseTimerId(next.phase, next.config));
+  }
+  function pauseCycles() { setPomo(p => pauseInterval(p)); pauseTimer(phaseTimerId(pomo.phase, pomo.config)); }
+  function resumeCycles() { setPomo(p => resumeInterval(p)); startTimer(phaseTimerId(pomo.phase, pomo.config)); }
+  function stopCycles() { pauseTimer(phaseTimerId(pomo.phase, pomo.config)); setPomo(p => ({ ...IDLE_INTERVAL, config: p.config })); }
+  // phase switch rides the display clock; cycles stop if one of their timers was deleted
+  useEffect(() => {
+    if (!pomo.active) return;
+    const ids = [pomo.config.workTimerId, pomo.config.breakTimerId];
+    if (!ids.every(id => timers.some(t => t.id === id))) { setPomo(p => ({ ...IDLE_INTERVAL, config: p.config })); return; }
+    if (!pomo.paused && now >= pomo.phaseEndsAt) latest.current.nextPhase();
+  }, [now, pomo, timers]);
+
+  // every paused run becomes a session record
+  function recordRuns(list, now) {
+    const closed = list.map(t => closeRun(t, now)).filter(Boolean);
+    if (closed.length) setSessions(prev => [...prev, ...closed]);
+  }
+
+  // without parallel mode every start pauses the others; with it, only exclusive timers pause each other
+  function stopsOnStart(started, other) {
+    if (!other.running || other.id === started?.id) return false;
+    return !settings.parallel || (started?.exclusive !== false && other.exclusive !== false);
+  }
   function startTimer(id) {
+    const started = timers.find(t => t.id === id);
+    recordRuns(timers.filter(t => stopsOnStart(started, t)), Date.now());
     setTimers(prev => prev.map(t => {
       if (t.id === id) {
         if (t.running) return t;
-        return { ...t, running: true, startTs: Date.now() };
+        return touch(t, { running: true, startTs: Date.now() });
       }
-      if (t.running) {
+      if (stopsOnStart(started, t)) {
         const add = t.startTs ? (Date.now() - t.startTs) / 1000 : 0;
-        return { ...t, running: false, startTs: null, elapsedSec: Math.max(0, t.elapsedSec + add) };
+        return touch(t, { running: false, startTs: null, elapsedSec: Math.max(0, t.elapsedSec + add) });
       }
       return t;
     }));
   }
   function pauseTimer(id) {
+    recordRuns(timers.filter(t => t.id === id), Date.now());
     setTimers(prev => prev.map(t => {
       if (t.id !== id) return t;
       if (!t.running) return t;
       const add = t.startTs ? (Date.now() - t.startTs) / 1000 : 0;
-      return { ...t, running: false, startTs: null, elapsedSec: Math.max(0, t.elapsedSec + add) };
+      return touch(t, { running: false, startTs: null, elapsedSec: Math.max(0, t.elapsedSec + add) });
     }));
   }
   function resetTimer(id) {
-    setTimers(prev => prev.map(t => t.id === id ? { ...t, running:false, startTs:null, elapsedSec:0, revisionSec:0, goalFired:false } : t));
+    checkpoint("Timer reset");
+    const now = Date.now();
+    recordRuns(timers.filter(t => t.id === id), now);
+    setTimers(prev => prev.map(t => t.id === id ? touch(t, { ...RESET_PATCH, running:false, startTs:null, resetAt:now }) : t));
+    logChanges(timers.filter(t => t.id === id), timers.filter(t => t.id === id).map(t => ({ ...t, ...RESET_PATCH, running:false })), "reset", "Timer reset", now);
   }
+  // "Close Day": archive what today has so far, then reset (stopping running timers)
   function resetAll() {
-    setTimers(prev => prev.map(t => ({ ...t, running:false, startTs:null, elapsedSec:0, revisionSec:0, goalFired:false })));
+    checkpoint("Day closed");
+    const now = Date.now();
+    const key = dayKey(now, settings.dayStartHour);
+    archiveDay(now, key);
+    setCurrentDay(key);
+    setTimers(prev => prev.map(t => touch(t, { ...RESET_PATCH, running:false, startTs:null, resetAt:now })));
+  }
+
+  /* ---------- Day rollover ---------- */
+  // snapshots every timer's net time at `at` into history[key] and closes runs at `at`;
+  // timers already reset at/after `at` (e.g. rolled over by another device) are skipped
+  function archiveDay(at, key) {
+    const due = timers.filter(t => (t.resetAt || 0) < at);
+    const entries = due.map(t => ({ timerId:t.id, name:t.name, category:t.category, targetSec:t.targetSec||0, netSec:netAt(t, at) }));
+    if (entries.some(e => e.netSec > 0)) setHistory(prev => mergeSnapshot(prev, key, entries.filter(e => e.netSec > 0)));
+    recordRuns(due, at);
+    return due.map(t => t.id);
+  }
+  // automatic rollover: running timers keep running into the new day
+  function rollover(boundary, nextDay) {
+    const ids = new Set(archiveDay(boundary, currentDay));
+    setTimers(prev => prev.map(t => !ids.has(t.id) ? t : touch(t, {
+      ...RESET_PATCH, resetAt:boundary,
+      startTs: t.running ? Math.max(t.startTs || boundary, boundary) : null,
+    })));
+    setCurrentDay(nextDay);
+  }
+  useEffect(() => {
+    if (!settings.autoRollover) return;
+    const boundary = nextBoundary(currentDay, settings.dayStartHour);
+    const fire = () => latest.current.rollover(boundary, dayKey(Date.now(), settings.dayStartHour));
+    if (Date.now() >= boundary) { fire(); return; }
+    const id = setTimeout(fire, boundary - Date.now());
+    return () => clearTimeout(id);
+  }, [timers, currentDay, settings.autoRollover, settings.dayStartHour]);
+
+  /* ---------- Schedules & reminders (see schedule.js) ---------- */
+  const scheduleAt = useRef(local.get("tt_schedule_at", Date.now())); // transitions up to here are done
+  const quietSince = useRef(Date.now()); // nothing has been running since
+  const remindedAt = useRef(0);
+  // carries out transitions in order, like startTimer/pauseTimer at each transition's time;
+  // missed ones are back-dated, but never before the live day started
+  function runTransitions(due) {
+    const floor = dayStartMs(currentDay, settings.dayStartHour);
+    const changed = new Map();
+    const closed = [];
+    const stopAt = (t, at) => {
+      const end = Math.max(at, t.startTs || at);
+      closed.push(closeRun(t, end));
+      changed.set(t.id, touch(t, { running:false, startTs:null, elapsedSec: Math.max(0, t.elapsedSec + (t.startTs ? (end - t.startTs) / 1000 : 0)) }));
+    };
+    for (const tr of due) {
+      const at = Math.max(tr.at, floor);
+      const list = timers.map(t => changed.get(t.id) ?? t);
+      if (tr.action === "stop") { list.filter(t => t.running && (tr.timerId === null || t.id === tr.timerId)).forEach(t => stopAt(t, at)); continue; }
+      const started = list.find(t => t.id === tr.timerId);
+      if (!started || started.running) continue;
+      list.filter(t => stopsOnStart(started, t)).forEach(t => stopAt(t, at));
+      changed.set(started.id, touch(started, { running:true, startTs: Math.max(at, started.resetAt || 0) }));
+    }
+    const runs = closed.filter(Boolean);
+    if (runs.length) setSessions(prev => [...prev, ...runs]);
+    if (changed.size) setTimers(prev => prev.map(t => changed.get(t.id) ?? t));
+    return [...changed.values()];
+  }
+  useEffect(() => {
+    // a pending rollover goes first, so missed transitions land in the right day
+    if (settings.autoRollover && now >= nextBoundary(currentDay, settings.dayStartHour)) return;
+    const from = scheduleAt.current;
+    scheduleAt.current = now;
+    const due = dueTransitions(timers, settings, from, now);
+    if (!due.length) return;
+    local.set("tt_schedule_at", now);
+    const missed = due.filter(tr => tr.at < now - 60000).length;
+    const touched = latest.current.runTransitions(due); // state updates are pending, so checkpoint() still captures the state before
+    if (!touched.length) return;
+    if (missed) latest.current.checkpoint(`Schedule caught up on ${missed} missed change${missed === 1 ? "" : "s"}`);
+    else setToast({ label: `Schedule: ${touched.map(t => `${t.running ? "started" : "paused"} ${t.name}`).join(", ")}`, kind: "info", at: now });
+  }, [now, timers, settings, currentDay]); // re-runs without a new `now` find nothing due
+
+  // between transitions the checkpoint is only saved when the page is hidden or closed
+  useEffect(() => {
+    const save = () => local.set("tt_schedule_at", scheduleAt.current);
+    const onVisibility = () => { if (document.visibilityState === "hidden") save(); };
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("pagehide", save);
+    return () => { document.removeEventListener("visibilitychange", onVisibility); window.removeEventListener("pagehide", save); };
+  }, []);
+
+  const anyRunning = timers.some(t => t.running);
+  useEffect(() => { if (!anyRunning) quietSince.current = Date.now(); }, [anyRunning]);
+  useEffect(() => {
+    if (anyRunning || !reminderDue(settings, now, quietSince.current, remindedAt.current)) return;
+    remindedAt.current = now;
+    const minutes = quietMinutes(settings, now, quietSince.current);
+    setToast({ label: `Nothing has been running for ${minutes} min during work hours.`, kind: "info", at: now });
+    if (settings.dnd) return;
+    playCue("chime");
+    if (document.visibilityState !== "visible") notify("Nothing is running ⏱", `No timer for ${minutes} min during work hours.`, "idle-reminder");
+  }, [now, anyRunning, settings]);
+
+  /* ---------- Revision log (see revisions.js) ---------- */
+  function logRevision(timerId, amountSec, kind, reason = "") {
+    if (Math.round(amountSec) === 0) return;
+    setRevisions(prev => [...prev, makeRevision(timerId, amountSec, kind, reason)]);
+  }
+  // one entry per timer whose net total differs between two versions of the list
+  function logChanges(before, after, kind, reason, at = Date.now()) {
+    const old = new Map(before.map(t => [t.id, t]));
+    for (const t of after) if (old.has(t.id)) logRevision(t.id, netAt(t, at) - netAt(old.get(t.id), at), kind, reason);
+  }
+  // deduction: time taken off the net total without touching the tracked time
+  function deductTimer(id, seconds, reason) {
+    const t = timers.find(x => x.id === id); if (!t || !seconds) return;
+    checkpoint("Time deducted");
+    const revisionSec = Math.max(0, (t.revisionSec || 0) + seconds);
+    setTimers(prev => prev.map(x => x.id === id ? touch(x, { revisionSec }) : x));
+    logChanges([t], [{ ...t, revisionSec }], "deduct", reason);
   }
 
   // precise Add/Subtract (works while running or paused) — main UI only
-  function adjustTimer(id, deltaSeconds) {
+  function adjustTimer(id, deltaSeconds, reason = "") {
+    checkpoint("Time adjusted");
+    const now = Date.now();
+    const old = timers.find(t => t.id === id);
+    if (old) { const before = netAt(old, now) + (old.revisionSec || 0); logRevision(id, Math.max(0, before + deltaSeconds) - before, "adjust", reason); }
+    recordRuns(timers.filter(t => t.id === id), now); // running: close the run so far, it restarts from now
     setTimers(prev => prev.map(t => {
       if (t.id !== id) return t;
       if (t.running) {
-        const add = t.startTs ? (Date.now() - t.startTs) / 1000 : 0; // capture run so far
+        const add = t.startTs ? (now - t.startTs) / 1000 : 0; // capture run so far
         const newElapsed = Math.max(0, t.elapsedSec + add + deltaSeconds);
-        return { ...t, elapsedSec: newElapsed, startTs: Date.now() };
+        return touch(t, { elapsedSec: newElapsed, startTs: now });
       } else {
         const newElapsed = Math.max(0, t.elapsedSec + deltaSeconds);
-        return { ...t, elapsedSec: newElapsed };
+        return touch(t, { elapsedSec: newElapsed });
       }
     }));
   }
 
+  /* ---------- Manual entries (see EntryDialog.jsx) ---------- */
+  // time from here on is in a timer's live total: the live day's start, or its last reset if later
+  const liveSince = (t) => Math.max(t.resetAt || 0, dayStartMs(currentDay, settings.dayStartHour));
+  // counts like a recorded session: in the live total when it falls in the live day, else in that day's history
+  function addEntry({ timerId, start, end, note }) {
+    const t = timers.find(x => x.id === timerId); if (!t) return;
+    checkpoint("Entry added");
+    const sec = (end - start) / 1000;
+    setSessions(prev => [...prev, makeSession(timerId, start, end, note)]);
+    if (start >= liveSince(t)) setTimers(prev => prev.map(x => x.id === timerId ? touch(x, { elapsedSec: x.elapsedSec + sec }) : x));
+    else setHistory(prev => mergeSnapshot(prev, dayKey(start, settings.dayStartHour), [{ timerId, name:t.name, category:t.category, targetSec:t.targetSec||0, netSec:sec }]));
+    logRevision(timerId, sec, "entry", `${fmtDate(start)} ${fmtClock(start)}–${fmtClock(end)}${note ? ` · ${note}` : ""}`);
+    setEntryFor(null);
+  }
+
+  /* ---------- Session editing ---------- */
+  // sessions in the live day (see liveSince) are part of elapsedSec, so edits to them move the total too
+  function shiftElapsed(timerId, sessionStart, deltaSec, reason) {
+    if (!deltaSec) return;
+    const t = timers.find(x => x.id === timerId);
+    if (!t || sessionStart < liveSince(t)) return;
+    logRevision(timerId, Math.max(0, t.elapsedSec + deltaSec) - t.elapsedSec, "session", reason);
+    setTimers(prev => prev.map(t => (t.id === timerId && sessionStart >= liveSince(t)) ? touch(t, { elapsedSec: Math.max(0, t.elapsedSec + deltaSec) }) : t));
+  }
+  function updateSession(id, patch) {
+    const old = sessions.find(x => x.id === id); if (!old) return;
+    const next = { ...old, ...patch, updatedAt: Date.now() };
+    if (!(next.end > next.start)) return;
+    setSessions(prev => prev.map(x => x.id === id ? next : x));
+    shiftElapsed(old.timerId, old.start, sessionSeconds(next) - sessionSeconds(old), `Session ${fmtClock(old.start)}–${fmtClock(old.end)} changed to ${fmtClock(next.start)}–${fmtClock(next.end)}`);
+  }
+  function splitSessionAt(id, at) {
+    const old = sessions.find(x => x.id === id); if (!old) return;
+    const parts = splitSession(old, at); if (!parts) return;
+    setSessions(prev => prev.flatMap(x => x.id === id ? parts : [x]));
+  }
+  function deleteSession(id) {
+    const old = sessions.find(x => x.id === id); if (!old) return;
+    checkpoint("Session deleted");
+    setSessions(prev => prev.filter(x => x.id !== id));
+    shiftElapsed(old.timerId, old.start, -sessionSeconds(old), `Session ${fmtClock(old.start)}–${fmtClock(old.end)} deleted`);
+    queueDelete("timer_sessions", id);
+  }
+
   function applyPatch(id, patch) {
-    setTimers(prev => prev.map(t => t.id === id ? { ...t, ...patch } : t));
+    setTimers(prev => prev.map(t => t.id === id ? touch(t, patch) : t));
   }
 
-  function addTimer() {
-    const t = { id: uid(), name: "New Timer", targetSec:0, revisionSec:0, running:false, startTs:null, elapsedSec:0, goalOn:false, goalFired:false, category:"neutral", color: THEME_SWATCHES[2].val, sort_index: timers.length, deleted:false };
-    setTimers(prev => [t, ...prev]);
+  function addTimer(projectId = null) {
+    const t = { ...TIMER_DEFAULTS, projectId, id: rowId(), name: "New Timer", targetSec:0, revisionSec:0, running:false, startTs:null, elapsedSec:0, goalOn:false, goalFired:false, category:"neutral", color: THEME_SWATCHES[2].val, sort_index: 0, deleted:false, resetAt:0, updatedAt:Date.now() };
+    setTimers(prev => reindex(projectId ? moveTimer([t, ...prev], t.id, { projectId }) : [t, ...prev]));
     setEditTimer(t);
   }
-  async function removeTimer(id) {
-    // local remove (instant)
-    setTimers(prev => prev.filter(t => t.id !== id));
+  /* ---------- Trash (see trash.js) ---------- */
+  // deleting moves the timer to the trash; in the cloud it stays as a deleted = true row
+  // the trash copy of a timer deleted at `now` (its run, if any, is closed into elapsedSec)
+  const trashed = (t, now) => touch(t, { deleted:true, deletedAt:now, running:false, startTs:null, elapsedSec: t.elapsedSec + (t.running && t.startTs ? (now - t.startTs) / 1000 : 0) });
+  function removeTimer(id) {
+    const t = timers.find(x => x.id === id); if (!t) return;
+    checkpoint("Timer moved to trash");
+    const now = Date.now();
+    recordRuns([t], now);
+    setTimers(prev => prev.filter(x => x.id !== id));
+    setTrash(prev => [...prev.filter(x => x.id !== id), trashed(t, now)]);
     setEditTimer(null);
-    if (supabase && user) {
-      // Try hard delete first (should pass your policy). If it fails, soft-delete.
-      const del = await supabase.from('timers').delete().eq('user_id', user.id).eq('id', id);
-      if (del.error) {
-        await supabase.from('timers').update({ deleted:true, updated_at: new Date().toISOString() }).eq('user_id', user.id).eq('id', id);
-      }
+  }
+  function restoreTimer(id) {
+    const t = trash.find(x => x.id === id); if (!t) return;
+    checkpoint("Timer restored");
+    setTrash(prev => prev.filter(x => x.id !== id));
+    setTimers(prev => reindex([...prev, touch(t, { deleted:false, deletedAt:null, projectId: projects.some(p => p.id === t.projectId) ? t.projectId : null })]));
+  }
+  // gone for good: the timer row and its sessions (day history keeps its own copy)
+  function purgeTimers(ids, { manual = true } = {}) {
+    const gone = new Set(ids); if (!gone.size) return;
+    if (manual) checkpoint(gone.size === 1 ? "Timer deleted forever" : "Trash emptied");
+    setTrash(prev => prev.filter(t => !gone.has(t.id)));
+    setSessions(prev => prev.filter(x => !gone.has(x.timerId)));
+    sessions.filter(x => gone.has(x.timerId)).forEach(x => queueDelete("timer_sessions", x.id));
+    ids.forEach(id => queueDelete("timers", id));
+  }
+  useEffect(() => {
+    const expired = expiredIds(trash, settings.trashDays);
+    if (expired.length) latest.current.purgeTimers(expired, { manual: false });
+  }, [today, trash, settings.trashDays]);
+  // a copy in the live list is newer than the trashed one (restored on another device)
+  useEffect(() => {
+    const live = new Set(timers.map(t => t.id));
+    if (trash.some(t => live.has(t.id))) setTrash(prev => prev.filter(t => !live.has(t.id)));
+  }, [timers, trash]);
+
+  /* ---------- Projects (see projects.js) ---------- */
+  function addProject() {
+    const p = makeProject();
+    setProjects(prev => reindex([...prev, p]));
+    setEditProject(p);
+  }
+  function updateProject(id, patch) {
+    setProjects(prev => prev.map(p => p.id === id ? touch(p, patch) : p));
+  }
+  // the project goes, its timers stay (ungrouped)
+  function removeProject(id) {
+    checkpoint("Project deleted");
+    setProjects(prev => reindex(prev.filter(p => p.id !== id)));
+    setTimers(prev => prev.map(t => t.projectId === id ? touch(t, { projectId: null }) : t));
+    setEditProject(null);
+    queueDelete("projects", id);
+  }
+
+  /* ---------- Import (see backup.js) ---------- */
+  function applyImport(parsed, mode) {
+    checkpoint("Import");
+    const now = Date.now();
+    // rows carry only the fields the file has: existing timers keep the rest, new ones get defaults
+    const existing = new Set(timers.map(t => t.id));
+    const incoming = parsed.timers.map(t => existing.has(t.id) ? { ...t, updatedAt: now } : {
+      ...TIMER_DEFAULTS, targetSec:0, elapsedSec:0, revisionSec:0, running:false, startTs:null, goalOn:false, goalFired:false, category:"neutral", resetAt:0,
+      ...t, color: t.color || THEME_SWATCHES[2].val, updatedAt: now,
+    });
+    const plan = planImport(timers, incoming, mode);
+    setTimers(reindex(plan.next));
+    if (parsed.kind === "json") {
+      // bump updatedAt so the imported records count as fresh edits and get synced
+      const imported = parsed.sessions.map(x => ({ ...x, updatedAt: now }));
+      setSessions(prev => mode === "replace" ? imported : [...prev.filter(x => !imported.some(i => i.id === x.id)), ...imported]);
+      const days = Object.fromEntries(Object.entries(parsed.history).map(([day, entries]) => [day, Object.fromEntries(Object.entries(entries).map(([id, e]) => [id, { ...e, updatedAt: now }]))]));
+      setHistory(prev => mode === "replace" ? days : { ...prev, ...Object.fromEntries(Object.entries(days).map(([day, entries]) => [day, { ...(prev[day] || {}), ...entries }])) });
+      // the log is append-only, even when replacing
+      setRevisions(prev => [...prev, ...parsed.revisions.filter(x => !prev.some(p => p.id === x.id)).map(x => ({ ...x, updatedAt: now }))]);
+    }
+    // timers a replace leaves out go to the trash like any other deletion
+    if (plan.removed.length) {
+      const removedIds = new Set(plan.removed.map(t => t.id));
+      recordRuns(plan.removed, now);
+      setTrash(prev => [...prev.filter(x => !removedIds.has(x.id)), ...plan.removed.map(t => trashed(t, now))]);
+    }
+    setImportOpen(false);
+  }
+
+  /* ---------- Undo / redo (see undo.js) ---------- */
+  const undoState = () => ({ timers, trash, sessions, history, projects });
+  const pendingUndo = useRef(null); // { label, before } until the action's updates render
+  function checkpoint(label) {
+    pendingUndo.current = { label, before: pendingUndo.current?.before ?? undoState() };
+    redoStack.current = [];
+    setToast({ label, kind: "done", at: Date.now() });
+  }
+  // once the action's updates have rendered, the step keeps only the records it changed
+  // (a checkpoint taken inside an effect is still waiting for them in that same commit)
+  useEffect(() => {
+    const pending = pendingUndo.current; if (!pending) return;
+    const { before } = pending;
+    if (before.timers === timers && before.trash === trash && before.sessions === sessions && before.history === history && before.projects === projects) return;
+    pendingUndo.current = null;
+    undoStack.current = [...undoStack.current.slice(-29), { label: pending.label, patch: diffState(before, { timers, trash, sessions, history, projects }) }];
+  }, [timers, trash, sessions, history, projects]);
+  // writes the step's records back; returns the step that reverses it
+  function applyStep(step, reason) {
+    const current = undoState();
+    const next = patchState(current, step.patch);
+    // records the step takes out are deleted in the cloud (a timer only moving to or from the trash keeps its row)
+    const gone = (key, ids) => { const kept = new Set(ids(next)); return ids(current).filter(id => !kept.has(id)); };
+    gone("timers", s => [...s.timers, ...s.trash].map(t => t.id)).forEach(id => queueDelete("timers", id));
+    gone("projects", s => s.projects.map(p => p.id)).forEach(id => queueDelete("projects", id));
+    gone("sessions", s => s.sessions.map(x => x.id)).forEach(id => queueDelete("timer_sessions", id));
+    step.patch.history.filter(h => !h.rec && history[h.day]?.[h.id]).forEach(h => queueDelete("day_history", `${h.day}|${h.id}`));
+    logChanges(timers, next.timers, "undo", reason);
+    setTimers(next.timers); setTrash(next.trash); setSessions(next.sessions); setProjects(next.projects); setHistory(next.history);
+    setEditTimer(null); setEditProject(null);
+    return { label: step.label, patch: diffState(current, next) };
+  }
+  function undo() {
+    const step = undoStack.current[undoStack.current.length - 1]; if (!step) return;
+    undoStack.current = undoStack.current.slice(0, -1);
+    redoStack.current = [...redoStack.current, applyStep(step, `Undo: ${step.label}`)];
+    setToast({ label: step.label, kind: "undone", at: Date.now() });
+  }
+  useEffect(() => {
+    if (!toast) return;
+    const id = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(id);
+  }, [toast]);
+  function redo() {
+    const step = redoStack.current[redoStack.current.length - 1]; if (!step) return;
+    redoStack.current = redoStack.current.slice(0, -1);
+    undoStack.current = [...undoStack.current, applyStep(step, `Redo: ${step.label}`)];
+    setToast({ label: step.label, kind: "redone", at: Date.now() });
+  }
+
+  /* ---------- Keyboard shortcuts (see commands.js) ---------- */
+  const modalOpen = !!editTimer || !!editProject || trashOpen || teamOpen || !!entryFor || profileOpen || historyOpen || reportsOpen || exportOpen || billingOpen || importOpen || intervalOpen || settingsOpen || authOpen || celebration.active;
+  function onGlobalKey(e) {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === "k") { e.preventDefault(); setPaletteOpen(o => !o); return; }
+    if (paletteOpen || modalOpen || isTypingTarget(e.target) || e.altKey) return;
+    if (mod && !e.shiftKey && e.key.toLowerCase() === "z") { e.preventDefault(); undo(); return; }
+    if (mod && ((e.shiftKey && e.key.toLowerCase() === "z") || e.key.toLowerCase() === "y")) { e.preventDefault(); redo(); return; }
+    if (mod) return;
+    if (/^[1-9]$/.test(e.key)) {
+      const t = orderedTimers[Number(e.key) - 1]; if (!t) return;
+      e.preventDefault(); t.running ? pauseTimer(t.id) : startTimer(t.id);
+    } else if (e.key === " ") {
+      e.preventDefault(); timers.filter(t => t.running).forEach(t => pauseTimer(t.id));
+    } else if (e.key.toLowerCase() === "n") {
+      e.preventDefault(); addTimer();
+    } else if (e.key.toLowerCase() === "u") {
+      e.preventDefault(); undo();
     }
   }
+  useEffect(() => { keyHandler.current = onGlobalKey; });
+  useEffect(() => {
+    const onKey = (e) => keyHandler.current?.(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  function paletteCommands() {
+    const last = undoStack.current[undoStack.current.length - 1];
+    const next = redoStack.current[redoStack.current.length - 1];
+    const list = [
+      { id: "add", label: "Add timer", hint: "N", run: () => addTimer() },
+      { id: "add-project", label: "Add project", run: addProject },
+      { id: "add-entry", label: "Add time entry (forgotten work)", run: () => setEntryFor({ timerId: null }) },
+      ...(supabaseFeatures && user ? [{ id: "team", label: "Open team workspaces", run: () => setTeamOpen(true) }] : []),
+      ...(last ? [{ id: "undo", label: `Undo: ${last.label}`, hint: "Ctrl Z", run: undo }] : []),
+      ...(next ? [{ id: "redo", label: `Redo: ${next.label}`, hint: "Ctrl Shift Z", run: redo }] : []),
+      { id: "pause-all", label: "Pause running timers", hint: "Space", run: () => timers.filter(t => t.running).forEach(t => pauseTimer(t.id)) },
+      { id: "close-day", label: "Close Day (archive & reset)", run: resetAll },
+      { id: "export-csv", label: "Export CSV", run: () => exportCSV(timers) },
+      { id: "export-json", label: "Export JSON backup", run: () => exportJSON({ timers, sessions, history, revisions }) },
+      { id: "export-timesheet", label: "Export timesheet / calendar (.ics)…", run: () => setExportOpen(true) },
+      { id: "import", label: "Import…", run: () => setImportOpen(true) },
+      { id: "history", label: "Open History", run: () => setHistoryOpen(true) },
+      { id: "trash", label: `Open Trash${trash.length ? ` (${trash.length})` : ""}`, run: () => setTrashOpen(true) },
+      { id: "reports", label: "Open Reports", run: () => setReportsOpen(true) },
+      { id: "billing", label: "Open Billing (rates & invoices)", run: () => setBillingOpen(true) },
+      { id: "interval", label: "Interval mode…", run: () => setIntervalOpen(true) },
+      { id: "settings", label: "Settings", run: () => setSettingsOpen(true) },
+    ];
+    orderedTimers.forEach((t, i) => { // same order as the 1–9 keys
+      const n = i < 9 ? String(i + 1) : undefined;
+      list.push(
+        t.running ? { id: `pause-${t.id}`, label: `Pause ${t.name}`, hint: n, run: () => pauseTimer(t.id) }
+                  : { id: `start-${t.id}`, label: `Start ${t.name}`, hint: n, run: () => startTimer(t.id) },
+        { id: `reset-${t.id}`, label: `Reset ${t.name}`, run: () => resetTimer(t.id) },
+        { id: `edit-${t.id}`, label: `Edit ${t.name}`, run: () => setEditTimer(t) },
+        { id: `plus5-${t.id}`, label: `Add 5 min to ${t.name}`, run: () => adjustTimer(t.id, 300) },
+        { id: `minus5-${t.id}`, label: `Subtract 5 min from ${t.name}`, run: () => adjustTimer(t.id, -300) },
+      );
+    });
+    return list;
+  }
+  // "+15 name" / "-10 name": adjust by any number of minutes
+  function paletteAdjust(query) {
+    const adj = parseAdjust(query); if (!adj) return [];
+    const abs = Math.abs(adj.minutes);
+    return timers
+      .filter(t => !adj.rest.trim() || fuzzyScore(adj.rest, t.name) !== null)
+      .map(t => ({ id: `adj-${t.id}`, pinned: true, label: adj.minutes > 0 ? `Add ${abs} min to ${t.name}` : `Subtract ${abs} min from ${t.name}`, run: () => adjustTimer(t.id, adj.minutes * 60, adj.rest.trim() ? "" : "Command palette") }));
+  }
 
-  // drag & drop reordering (persist sort_index via debounced upsert)
+  // drag & drop reordering (sort_index changes sync like any other edit)
   function onDragStart(e, id) { setDragId(id); e.dataTransfer.setData("text/plain", id); e.dataTransfer.effectAllowed = "move"; }
+  // dragging over a timer of another project (or over a project header) moves the timer into that project
   function onDragOverItem(e, overId) {
     e.preventDefault(); const dragging = dragId; if (!dragging || dragging === overId) return;
-    setTimers(prev => { const arr=[...prev]; const from=arr.findIndex(x=>x.id===dragging); const to=arr.findIndex(x=>x.id===overId); if(from<0||to<0) return prev; const [m]=arr.splice(from,1); arr.splice(to,0,m); return arr.map((t,idx)=>({ ...t, sort_index: idx })); });
+    setTimers(prev => { const next = moveTimer(prev, dragging, { overId }); return next === prev ? prev : reindex(next); });
+  }
+  function onDragOverProject(e, projectId) {
+    e.preventDefault(); const dragging = dragId; if (!dragging) return;
+    setTimers(prev => { const t = prev.find(x => x.id === dragging); if (!t || (t.projectId ?? null) === projectId) return prev; return reindex(moveTimer(prev, dragging, { projectId })); });
   }
   function onDropList(e) { e.preventDefault(); setDragId(null); }
 
@@ -270,7 +1035,12 @@ export default function App() {
     for (let i=0;i<count;i++) { const piece=document.createElement("span"); piece.className="confetti-piece"; const size=Math.random()*8+6; const startLeft=Math.random()*100; const rotate=Math.random()*360; const duration=2200+Math.random()*2400; piece.style.setProperty("--size",`${size}px`); piece.style.setProperty("--left",`${startLeft}vw`); piece.style.setProperty("--rotate",`${rotate}deg`); piece.style.setProperty("--duration",`${duration}ms`); layer.appendChild(piece); setTimeout(()=>piece.remove(), duration+200); }
   }
 
-  const totalTracked = useMemo(() => timers.reduce((a, t) => a + timerNetSeconds(t), 0), [timers]);
+  const groups = useMemo(() => groupTimers(timers, projects), [timers, projects]);
+  const orderedTimers = groups.flatMap(g => g.timers);
+  const totalTracked = useMemo(() => timers.reduce((a, t) => a + timerNetSeconds(t, now), 0), [timers, now]);
+  // wall clock: the same total, minus time where runs of today's timers overlapped
+  const wallTracked = useMemo(() => Math.max(0, totalTracked - overlapSeconds(trackedRanges(timers, sessions, now))), [timers, sessions, totalTracked, now]);
+  const wallTotal = settings.totalMode === "wall";
 
   /* ---------------- UI ---------------- */
   return (
@@ -296,6 +1066,47 @@ export default function App() {
         </div>
       )}
 
+      {/* Countdown alarms */}
+      {alarms.length > 0 && (
+        <div className="fixed top-4 inset-x-0 z-[60] flex flex-col items-center gap-2 px-4">
+          {alarms.map(id => { const t = timers.find(x => x.id === id); if (!t) return null; return (
+            <div key={id} className="w-full max-w-md rounded-2xl border border-rose-400/40 bg-slate-900/95 p-4 text-white shadow-2xl flex items-center justify-between gap-3 animate-pulse">
+              <div>
+                <div className="font-semibold">⏰ Time’s up: {t.name}</div>
+                <div className="text-sm text-white/70">{t.running ? "Counting overtime" : "Stopped at zero"}</div>
+              </div>
+              <div className="flex gap-2">
+                {t.running && <button onClick={() => snoozeAlarm(id)} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">Snooze {t.snoozeMin || 5}m</button>}
+                <button onClick={() => dismissAlarm(id)} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-rose-500 to-red-600">Dismiss</button>
+              </div>
+            </div>
+          ); })}
+        </div>
+      )}
+
+      {/* New version prompt */}
+      {updateReady && (
+        <div className="fixed bottom-4 inset-x-0 z-[60] flex justify-center px-4">
+          <div className="rounded-2xl border border-white/10 bg-slate-900/95 px-4 py-3 text-white shadow-2xl flex items-center gap-3">
+            <span className="text-sm">A new version of ShinyTimer is ready.</span>
+            <button onClick={applyUpdate} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold">Reload</button>
+            <button onClick={() => setUpdateReady(false)} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">Later</button>
+          </div>
+        </div>
+      )}
+
+      {toast && (
+        <div className="fixed bottom-4 left-4 z-[60] max-w-[calc(100vw-2rem)]" role="status">
+          <div className="rounded-2xl border border-white/10 bg-slate-900/95 px-4 py-3 text-white shadow-2xl flex items-center gap-3">
+            <span className="text-sm">{toast.kind === "done" || toast.kind === "info" ? toast.label : `${toast.kind === "undone" ? "Undone" : "Redone"}: ${toast.label}`}</span>
+            {toast.kind === "undone"
+              ? <button onClick={redo} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 font-semibold">Redo</button>
+              : toast.kind !== "info" && <button onClick={undo} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold">Undo</button>}
+            <button onClick={() => setToast(null)} className="w-7 h-7 rounded-full bg-white/10 hover:bg-white/20 grid place-items-center text-xs" aria-label="Dismiss">✕</button>
+          </div>
+        </div>
+      )}
+
       {/* Top Bar */}
       <header className="sticky top-0 z-30 backdrop-blur bg-slate-900/60 border-b border-white/10">
         <div className="mx-auto max-w-5xl px-4 py-3 flex items-center justify-between">
@@ -318,33 +1129,78 @@ export default function App() {
           </button>
 
           <div className="flex items-center gap-2">
-            <button onClick={addTimer} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 text-white font-semibold shadow-lg hover:scale-[1.02] active:scale-[0.98] transition">+ Add Timer</button>
-            <button onClick={resetAll} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Reset Day</button>
+            {remote && user && <SyncBadge sync={sync} online={online} pending={outbox.length} onRetry={flush} />}
+            <button onClick={() => setPaletteOpen(true)} title="Command palette (Ctrl/⌘ K)" className="hidden md:block px-3 py-2 rounded-xl bg-white/10 text-white/70 border border-white/10 hover:bg-white/15 text-sm">⌘K</button>
+            <button onClick={() => addTimer()} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 text-white font-semibold shadow-lg hover:scale-[1.02] active:scale-[0.98] transition">+ Add Timer</button>
+            <button onClick={addProject} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">+ Project</button>
+            <button onClick={() => setEntryFor({ timerId: null })} title="Log time you forgot to track" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">+ Entry</button>
+            <button onClick={resetAll} title="Archive today's totals to History, then reset" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Close Day</button>
+            <button onClick={()=>setIntervalOpen(true)} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Interval</button>
+            {supabaseFeatures && user && <button onClick={()=>setTeamOpen(true)} title="Shared workspaces" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Team</button>}
+            <button onClick={()=>setHistoryOpen(true)} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">History</button>
+            <button onClick={()=>setReportsOpen(true)} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Reports</button>
+            <button onClick={()=>setBillingOpen(true)} title="Billable time, totals per client and invoices" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Billing</button>
+            <button onClick={()=>setTrashOpen(true)} title="Deleted timers" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Trash{trash.length ? ` (${trash.length})` : ""}</button>
+            <button onClick={()=>setImportOpen(true)} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Import</button>
             <button onClick={()=>exportCSV(timers)} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Export CSV</button>
-            <div className="text-slate-300 text-sm hidden md:block">
-              Total tracked: <span className="time-mono text-white font-semibold">{fmtHMS(totalTracked)}</span>
-            </div>
+            <button onClick={()=>exportJSON({ timers, sessions, history, revisions })} className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Export JSON</button>
+            <button onClick={()=>setExportOpen(true)} title="Calendar (.ics) or Toggl/Clockify timesheet for a date range" className="px-3 py-2 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15">Timesheet</button>
+            <button onClick={() => setSettings(s => ({ ...s, totalMode: wallTotal ? "sum" : "wall" }))} title={wallTotal ? "Wall-clock time (overlaps counted once) — click for the sum of all timers" : "Sum of all timers — click for wall-clock time"} className="text-slate-300 text-sm hidden md:block hover:text-white">
+              {wallTotal ? "Wall clock" : "Total tracked"}: <span className="time-mono text-white font-semibold">{fmtHMS(wallTotal ? wallTracked : totalTracked)}</span>
+            </button>
+            <button onClick={()=>setSettingsOpen(true)} className="w-10 h-10 rounded-xl bg-white/10 text-white/90 border border-white/10 hover:bg-white/15" aria-label="Settings">⚙️</button>
           </div>
         </div>
       </header>
 
       {/* Timers List */}
       <main className="mx-auto max-w-5xl px-4 py-6">
+        {pomo.active && <IntervalBar state={pomo} timers={timers} now={now} onPause={pauseCycles} onResume={resumeCycles} onSkip={nextPhase} onStop={stopCycles} />}
         <div className="space-y-4" onDragOver={(e) => e.preventDefault()} onDrop={onDropList}>
-          {timers.map((t) => (
-            <TimerCard
-              key={t.id}
-              t={t}
-              onDragStart={onDragStart}
-              onDragOverItem={onDragOverItem}
-              onClick={() => setEditTimer(t)}
-              start={() => startTimer(t.id)}
-              pause={() => pauseTimer(t.id)}
-              reset={() => resetTimer(t.id)}
-              netSeconds={timerNetSeconds(t)}
-              adjust={(d)=>adjustTimer(t.id, d)}
-            />
-          ))}
+          {groups.map(({ project, timers: list }) => {
+            const cards = list.map((t) => (
+              <TimerCard
+                key={t.id}
+                t={t}
+                onDragStart={onDragStart}
+                onDragOverItem={onDragOverItem}
+                onClick={() => setEditTimer(t)}
+                start={() => startTimer(t.id)}
+                pause={() => pauseTimer(t.id)}
+                reset={() => resetTimer(t.id)}
+                netSeconds={timerNetSeconds(t, now)}
+                periodSeconds={isRecurring(t) ? goalProgress(t) : null}
+                streak={liveStreak(t, today)}
+                adjust={(d, reason)=>adjustTimer(t.id, d, reason)}
+              />
+            ));
+            if (!project) {
+              const fromProject = dragId && timers.find(t => t.id === dragId)?.projectId;
+              return (
+                <React.Fragment key="ungrouped">
+                  {cards}
+                  {fromProject && !list.length && (
+                    <div onDragOver={(e) => onDragOverProject(e, null)} className="py-4 text-center text-sm text-white/60 border border-dashed border-white/20 rounded-3xl">Drop here to take it out of its project</div>
+                  )}
+                </React.Fragment>
+              );
+            }
+            return (
+              <section key={project.id} className="space-y-3">
+                <ProjectHeader
+                  project={project}
+                  netSeconds={list.reduce((a, t) => a + timerNetSeconds(t, now), 0)}
+                  count={list.length}
+                  running={list.some(t => t.running)}
+                  onToggle={() => updateProject(project.id, { collapsed: !project.collapsed })}
+                  onEdit={() => setEditProject(project)}
+                  onAddTimer={() => addTimer(project.id)}
+                  onDragOver={(e) => onDragOverProject(e, project.id)}
+                />
+                {!project.collapsed && <div className="space-y-4 pl-4 border-l-2 border-white/10">{cards}</div>}
+              </section>
+            );
+          })}
           {timers.length === 0 && (
             <div className="text-center text-white/60 py-16 border border-white/10 rounded-3xl bg-white/5">
               No timers. Click “+ Add Timer”.
@@ -354,10 +1210,31 @@ export default function App() {
       </main>
 
       {/* Modals */}
+      {editProject && (
+        <Modal onClose={() => setEditProject(null)}>
+          <ProjectEditor
+            project={editProject}
+            onSave={(patch) => { updateProject(editProject.id, patch); setEditProject(null); }}
+            onDelete={() => removeProject(editProject.id)}
+          />
+        </Modal>
+      )}
       {editTimer && (
         <Modal onClose={() => setEditTimer(null)}>
           <TimerEditor
             timer={editTimer}
+            sessions={sessionsForTimer(sessions, editTimer.id)}
+            revisions={revisionsForTimer(revisions, editTimer.id)}
+            onDeduct={(sec, reason) => deductTimer(editTimer.id, sec, reason)}
+            onExportLog={() => exportRevisionsCSV(revisions, [...timers, ...trash])}
+            onAddEntry={() => { setEntryFor({ timerId: editTimer.id }); setEditTimer(null); }}
+            parallel={settings.parallel}
+            settings={settings}
+            projects={projects}
+            onCategoryRate={(category, rate) => setSettings(s => ({ ...s, categoryRates: { ...s.categoryRates, [category]: rate } }))}
+            onUpdateSession={updateSession}
+            onSplitSession={splitSessionAt}
+            onDeleteSession={deleteSession}
             onSave={(patch) => { applyPatch(editTimer.id, patch); setEditTimer(null); }}
             onDelete={() => removeTimer(editTimer.id)}
           />
@@ -366,10 +1243,79 @@ export default function App() {
 
       {profileOpen && (
         <Modal onClose={() => setProfileOpen(false)}>
-          <ProfileEditor profile={profile} user={user} onSave={(p) => { setProfile(p); setProfileOpen(false); }} />
+          <ProfileEditor profile={profile} user={user} onSave={(p) => { setProfile(p); setProfileOpen(false); }}
+            share={share} timers={orderedTimers} onShare={updateShare} />
+        </Modal>
+      )}
+
+      {historyOpen && (
+        <Modal onClose={() => setHistoryOpen(false)}>
+          <HistoryView history={history} today={currentDay} />
+        </Modal>
+      )}
+
+      {reportsOpen && (
+        <Modal onClose={() => setReportsOpen(false)}>
+          <ReportsView days={liveSnapshot(history, currentDay, timers.map(t => ({ timerId:t.id, name:t.name, category:t.category, targetSec:t.targetSec||0, netSec:timerNetSeconds(t) })))} today={currentDay} />
         </Modal>
       )}
 
+      {exportOpen && (
+        <Modal onClose={() => setExportOpen(false)}>
+          <ExportDialog timers={[...timers, ...trash]} projects={projects} sessions={sessions} today={currentDay} dayStartHour={settings.dayStartHour} email={user?.email ?? ""} />
+        </Modal>
+      )}
+
+      {billingOpen && (
+        <Modal onClose={() => setBillingOpen(false)}>
+          <BillingView days={liveSnapshot(history, currentDay, timers.map(t => ({ timerId:t.id, name:t.name, category:t.category, targetSec:t.targetSec||0, netSec:timerNetSeconds(t) })))} timers={[...timers, ...trash]} projects={projects} settings={settings} today={currentDay} from={profile.name} onSettings={(patch) => setSettings(s => ({ ...s, ...patch }))} />
+        </Modal>
+      )}
+
+      {intervalOpen && (
+        <Modal onClose={() => setIntervalOpen(false)}>
+          <IntervalSetup config={pomo.config} timers={timers} onStart={beginCycles} />
+        </Modal>
+      )}
+
+      {entryFor && (
+        <Modal onClose={() => setEntryFor(null)}>
+          <EntryDialog timers={orderedTimers} sessions={sessions} defaultTimerId={entryFor.timerId} onAdd={addEntry} />
+        </Modal>
+      )}
+
+      {teamOpen && supabaseFeatures && user && (
+        <Modal onClose={() => setTeamOpen(false)}>
+          <WorkspaceView user={user} profile={profile} now={now} />
+        </Modal>
+      )}
+
+      {trashOpen && (
+        <Modal onClose={() => setTrashOpen(false)}>
+          <TrashView trash={trash} days={settings.trashDays} onRestore={restoreTimer} onPurge={(id) => purgeTimers([id])} onEmpty={() => purgeTimers(trash.map(t => t.id))} />
+        </Modal>
+      )}
+
+      {importOpen && (
+        <Modal onClose={() => setImportOpen(false)}>
+          <ImportDialog timers={timers} onApply={applyImport} />
+        </Modal>
+      )}
+
+      {settingsOpen && (
+        <Modal onClose={() => setSettingsOpen(false)}>
+          <SettingsEditor settings={settings} onSave={(s) => { setSettings(s); setSettingsOpen(false); }} />
+        </Modal>
+      )}
+
+      {awayPrompt && (
+        <Modal onClose={() => resolveAway("keep")}>
+          <AwayPrompt away={awayPrompt} timers={timers} onResolve={resolveAway} />
+        </Modal>
+      )}
+
+      {paletteOpen && <CommandPalette commands={paletteCommands()} extra={paletteAdjust} onClose={() => setPaletteOpen(false)} />}
+
       {/* Auth panel */}
       {authOpen && !user && <AuthPanel onClose={() => setAuthOpen(false)} />}
 
@@ -380,9 +1326,28 @@ export default function App() {
 }
 
 /* ---------------- Card & UI components ---------------- */
-function TimerCard({ t, onDragStart, onDragOverItem, onClick, start, pause, reset, netSeconds, adjust }) {
+function SyncBadge({ sync, online, pending, onRetry }) {
+  const view = !online ? { dot: "bg-amber-400", text: pending ? `Offline · ${pending} pending` : "Offline" }
+    : sync.state === "error" ? { dot: "bg-rose-500", text: "Sync error" }
+    : sync.state === "syncing" ? { dot: "bg-cyan-400 animate-pulse", text: "Syncing…" }
+    : pending ? { dot: "bg-amber-400", text: `${pending} pending` }
+    : { dot: "bg-emerald-400", text: "Synced" };
+  return (
+    <button onClick={onRetry} disabled={!online} title={sync.error ? `${sync.error} — click to retry` : "Click to sync now"}
+      className="hidden sm:inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-xs text-white/80 hover:bg-white/10">
+      <span className={`w-2 h-2 rounded-full ${view.dot}`} />{view.text}
+    </button>
+  );
+}
+
+
+function TimerCard({ t, onDragStart, onDragOverItem, onClick, start, pause, reset, netSeconds, periodSeconds, streak, adjust }) {
   const [xy, setXy] = useState({ x: 50, y: 50 });
   const running = t.running;
+  // countdown: time left to target, negative once in overtime
+  const countdown = t.countdown && t.targetSec > 0;
+  const remaining = countdown ? Math.ceil(t.targetSec - netSeconds) : 0;
+  const repeat = isRecurring(t) ? GOAL_REPEATS.find(r => r.value === t.goalRepeat)?.label : null;
   return (
     <div
       draggable
@@ -408,11 +1373,19 @@ function TimerCard({ t, onDragStart, onDragOverItem, onClick, start, pause, rese
           <div className="w-10 h-10 rounded-2xl bg-white/15 border border-white/20 grid place-items-center text-white/90 text-lg">⏱️</div>
           <div>
             <div className="text-white font-semibold text-lg leading-tight drop-shadow-sm">{t.name}</div>
-            <div className="text-white/80 text-sm">Target: {t.targetSec > 0 ? fmtHMS(t.targetSec) : "–"} {t.goalOn ? "• Goal ON" : "• Goal OFF"}</div>
+            <div className="text-white/80 text-sm">Target: {t.targetSec > 0 ? fmtHMS(t.targetSec) : "–"} {!t.goalOn ? "• Goal OFF" : repeat ? `• ${repeat} goal ON` : "• Goal ON"}{countdown ? " • Countdown" : ""}</div>
+            {t.goalOn && periodSeconds != null && (
+              <div className="text-white/70 text-xs">
+                {t.goalRepeat === "weekly" && <>This week: <span className="time-mono">{fmtHMS(periodSeconds)}</span> • </>}
+                {streak > 0 ? `🔥 ${streakLabel(t.goalRepeat, streak)}` : "No streak yet"}{t.bestStreak > 0 ? ` • best ${t.bestStreak}` : ""}
+              </div>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-2">
-          <div className="time-mono text-white text-2xl drop-shadow-sm min-w-[130px] text-right">{fmtHMS(netSeconds)}</div>
+          {countdown
+            ? <div className={`time-mono text-2xl drop-shadow-sm min-w-[130px] text-right ${remaining < 0 ? "text-rose-300" : "text-white"}`}>{remaining < 0 ? "-" : ""}{fmtHMS(Math.abs(remaining))}</div>
+            : <div className="time-mono text-white text-2xl drop-shadow-sm min-w-[130px] text-right">{fmtHMS(netSeconds)}</div>}
           <button
             onClick={(e) => { e.stopPropagation(); running ? pause() : start(); }}
             className={`w-11 h-11 rounded-full grid place-items-center text-xl text-white shadow-lg transition ${running ? "bg-gradient-to-tr from-rose-500 to-red-500" : "bg-gradient-to-tr from-lime-500 to-green-600"}`}
@@ -426,7 +1399,7 @@ function TimerCard({ t, onDragStart, onDragOverItem, onClick, start, pause, rese
       </div>
 
       {/* Quick adjust row */}
-      <QuickAdjust onAdd={(s)=>adjust(+s)} onSub={(s)=>adjust(-s)} />
+      <QuickAdjust onAdd={(s, reason)=>adjust(+s, reason)} onSub={(s, reason)=>adjust(-s, reason)} />
 
       {/* Shine overlay */}
       <div className="pointer-events-none absolute inset-0 rounded-3xl overflow-hidden">
@@ -436,11 +1409,65 @@ function TimerCard({ t, onDragStart, onDragOverItem, onClick, start, pause, rese
   );
 }
 
+/* ---------------- Projects ---------------- */
+function ProjectHeader({ project, netSeconds, count, running, onToggle, onEdit, onAddTimer, onDragOver }) {
+  const pct = project.targetSec > 0 ? clamp(netSeconds / project.targetSec, 0, 1) * 100 : 0;
+  return (
+    <div onDragOver={onDragOver} className="rounded-2xl border border-white/10 bg-white/5 px-4 py-3">
+      <div className="flex items-center justify-between gap-3">
+        <button onClick={onToggle} className="flex items-center gap-3 text-left min-w-0" aria-expanded={!project.collapsed}>
+          <span className={`text-white/70 transition ${project.collapsed ? "" : "rotate-90"}`}>▶</span>
+          <span className="text-white font-semibold truncate">{project.name}</span>
+          <span className="text-white/50 text-sm">{count} timer{count === 1 ? "" : "s"}{running ? " • running" : ""}</span>
+        </button>
+        <div className="flex items-center gap-2">
+          <div className="time-mono text-white text-lg">{fmtHMS(netSeconds)}{project.targetSec > 0 && <span className="text-white/50 text-sm"> / {fmtHMS(project.targetSec)}</span>}</div>
+          <button onClick={onAddTimer} title="Add a timer to this project" className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white/90 text-sm">+ Timer</button>
+          <button onClick={onEdit} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white/90 text-sm">Edit</button>
+        </div>
+      </div>
+      {project.targetSec > 0 && (
+        <div className="mt-2 h-1.5 rounded-full bg-white/10 overflow-hidden">
+          <div className={`h-full ${pct >= 100 ? "bg-lime-400" : "bg-cyan-400"}`} style={{ width: `${pct}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProjectEditor({ project, onSave, onDelete }) {
+  const [name, setName] = useState(project.name);
+  const [h, setH] = useState(Math.floor((project.targetSec || 0) / 3600));
+  const [m, setM] = useState(Math.floor(((project.targetSec || 0) % 3600) / 60));
+  function save() {
+    onSave({ name: name.trim() || "Untitled project", targetSec: Math.max(0, (parseInt(h)||0)*3600 + (parseInt(m)||0)*60) });
+  }
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Edit Project</h3>
+      <Field label="Name">
+        <input value={name} onChange={(e) => setName(e.target.value)} className="w-full rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+      </Field>
+      <Field label="Target (optional, sum of its timers)">
+        <div className="flex items-center gap-2">
+          <input type="number" min="0" value={h} onChange={(e) => setH(e.target.value)} className="w-20 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" /> h
+          <input type="number" min="0" max="59" value={m} onChange={(e) => setM(e.target.value)} className="w-20 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" /> m
+        </div>
+      </Field>
+      <div className="flex items-center justify-between pt-2">
+        <button onClick={onDelete} className="px-4 py-2 rounded-xl bg-white/10 border border-rose-400/30 text-rose-200">Delete project</button>
+        <button onClick={save} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold">Save</button>
+      </div>
+      <div className="text-xs text-white/50">Deleting a project keeps its timers; they move out of the group.</div>
+    </div>
+  );
+}
+
 function QuickAdjust({ onAdd, onSub }) {
-  const [h, setH] = useState(0); const [m, setM] = useState(0);
+  const [h, setH] = useState(0); const [m, setM] = useState(0); const [reason, setReason] = useState("");
   function toSec(){ return Math.max(0, (parseInt(h)||0)*3600 + (parseInt(m)||0)*60); }
-  function add(){ const s=toSec(); if(s>0){ onAdd(s); setH(0); setM(0); } }
-  function sub(){ const s=toSec(); if(s>0){ onSub(s); setH(0); setM(0); } }
+  function add(){ const s=toSec(); if(s>0){ onAdd(s, reason); setH(0); setM(0); setReason(""); } }
+  function sub(){ const s=toSec(); if(s>0){ onSub(s, reason); setH(0); setM(0); setReason(""); } }
   return (
     <div className="mt-3 flex items-center gap-2 text-sm"
          onMouseDown={(e)=>e.stopPropagation()}
@@ -451,46 +1478,13 @@ function QuickAdjust({ onAdd, onSub }) {
       <input type="number" min="0" value={h} onChange={(e)=>setH(e.target.value)} className="w-20 rounded-xl bg-white/10 border border-white/15 px-2 py-1" />
       <span>:</span>
       <input type="number" min="0" max="59" value={m} onChange={(e)=>setM(clamp(Number(e.target.value),0,59))} className="w-20 rounded-xl bg-white/10 border border-white/15 px-2 py-1" />
+      <input value={reason} onChange={(e)=>setReason(e.target.value)} placeholder="Reason (optional)" className="min-w-0 flex-1 max-w-[220px] rounded-xl bg-white/10 border border-white/15 px-2 py-1 placeholder-white/50" />
       <button onClick={(e)=>{ e.stopPropagation(); add(); }} className="px-2 py-1 rounded-lg bg-gradient-to-tr from-lime-500 to-green-600 active:scale-95">Add</button>
       <button onClick={(e)=>{ e.stopPropagation(); sub(); }} className="px-2 py-1 rounded-lg bg-gradient-to-tr from-rose-500 to-red-600 active:scale-95">Subtract</button>
     </div>
   );
 }
 
-function Modal({ children, onClose }) {
-  useEffect(() => { function onKey(e){ if(e.key==="Escape") onClose(); } window.addEventListener("keydown", onKey); return () => window.removeEventListener("keydown", onKey); }, [onClose]);
-  return (
-    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
-      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
-      <div className="relative z-10 w-full max-w-[min(720px,95vw)] max-h-[90vh] overflow-y-auto rounded-3xl border border-white/10 bg-slate-900/85 p-6 text-white shadow-2xl">
-        <button onClick={onClose} className="sticky float-right right-0 top-0 rounded-full bg-white/10 hover:bg-white/20 w-8 h-8 grid place-items-center" aria-label="Close">✕</button>
-        {children}
-      </div>
-    </div>
-  );
-}
-
-function Segmented({ value, onChange, options }) {
-  return (
-    <div className="inline-flex rounded-xl bg-white/10 p-1 border border-white/10">
-      {options.map((opt) => (
-        <button key={opt.value} type="button" onClick={() => onChange(opt.value)} className={`px-3 py-1.5 rounded-lg text-sm transition ${value === opt.value ? "bg-white/30 text-white" : "text-white/80 hover:bg:white/20"}`}>{opt.label}</button>
-      ))}
-    </div>
-  );
-}
-
-function Switch({ checked, onChange, label }) {
-  return (
-    <button type="button" onClick={() => onChange(!checked)} className="relative inline-flex items-center gap-2 select-none" aria-pressed={checked}>
-      <span className="text-sm text-white/80">{label}</span>
-      <span className={`w-12 h-7 rounded-full p-1 transition bg-white/10 border border-white/10 ${checked ? "ring-2 ring-green-400/60" : ""}`}>
-        <span className={`block w-5 h-5 rounded-full bg-gradient-to-tr ${checked ? "from-lime-400 to-green-500 translate-x-5" : "from-slate-300 to-slate-100 translate-x-0"} shadow-md transition`} />
-      </span>
-    </button>
-  );
-}
-
 function ThemeSwatches({ value, onChange }) {
   return (
     <div className="grid grid-cols-4 gap-2">
@@ -503,13 +1497,22 @@ function ThemeSwatches({ value, onChange }) {
   );
 }
 
-function TimerEditor({ timer, onSave, onDelete }) {
+function TimerEditor({ timer, sessions, revisions, parallel, settings: appSettings, projects, onCategoryRate, onDeduct, onExportLog, onAddEntry, onUpdateSession, onSplitSession, onDeleteSession, onSave, onDelete }) {
   const [form, setForm] = useState({ ...timer });
   const [targetH, setTargetH] = useState(Math.floor((form.targetSec || 0) / 3600));
   const [targetM, setTargetM] = useState(Math.floor(((form.targetSec || 0) % 3600) / 60));
+  // the category rate is shared by every timer of the category, so it's saved to settings
+  const [categoryRate, setCategoryRate] = useState(null);
+  const ownRate = form.hourlyRate != null;
 
   function patch(name, value) { setForm(f => ({ ...f, [name]: value })); }
-  function save() { const tSec = clamp(Number(targetH)*3600 + Number(targetM)*60, 0, 999*3600); onSave({ ...form, targetSec: tSec }); }
+  function save() {
+    const tSec = clamp(Number(targetH)*3600 + Number(targetM)*60, 0, 999*3600);
+    const settings = { ...form }; for (const k of RUNTIME_KEYS) delete settings[k]; // never write back a stale running state
+    if (ownRate) settings.hourlyRate = Math.max(0, Number(form.hourlyRate) || 0);
+    onSave({ ...settings, targetSec: tSec });
+    if (!ownRate && categoryRate != null) onCategoryRate(form.category, Math.max(0, Number(categoryRate) || 0));
+  }
 
   return (
     <div className="space-y-5">
@@ -535,21 +1538,222 @@ function TimerEditor({ timer, onSave, onDelete }) {
           <Switch checked={!!form.goalOn} onChange={(v) => patch("goalOn", v)} label="Celebrate when reaching target" />
         </Field>
 
+        {form.goalOn && (
+          <Field label="Repeat goal">
+            <Segmented value={form.goalRepeat ?? "none"} onChange={(v) => patch("goalRepeat", v)} options={GOAL_REPEATS} />
+            <div className="mt-1 text-xs text-white/50">Recurring goals re-arm at each new day / week and count only time in the current period.</div>
+          </Field>
+        )}
+
+        <Field label="Countdown">
+          <Switch checked={!!form.countdown} onChange={(v) => patch("countdown", v)} label="Count down from target, then overtime" />
+        </Field>
+
+        {form.countdown && (<>
+          <Field label="Alarm at zero">
+            <Segmented value={form.alarmSound} onChange={(v) => patch("alarmSound", v)} options={[{label:"Ring", value:"ring"},{label:"Chime", value:"chime"},{label:"Silent", value:"off"}]} />
+          </Field>
+          <Field label="Snooze (minutes)">
+            <input type="number" min="1" max="120" value={form.snoozeMin} onChange={(e) => patch("snoozeMin", clamp(parseInt(e.target.value)||1, 1, 120))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+          </Field>
+          <Field label="At zero">
+            <Switch checked={!!form.autoStop} onChange={(v) => patch("autoStop", v)} label="Stop the timer automatically" />
+          </Field>
+        </>)}
+
+        <Field label="Alerts">
+          <div className="space-y-2">
+            <Switch checked={!!form.notify} onChange={(v) => { patch("notify", v); if (v) requestNotificationPermission(); }} label="Browser notification (background tab)" />
+            <Switch checked={!!form.goalSound} onChange={(v) => patch("goalSound", v)} label="Chime when reaching target" />
+            <Switch checked={!!form.badge} onChange={(v) => patch("badge", v)} label="Show in tab title & icon while running" />
+          </div>
+        </Field>
+
+        <Field label="Exclusive">
+          <Switch checked={form.exclusive !== false} onChange={(v) => patch("exclusive", v)} label="Pause other exclusive timers when this one starts" />
+          {!parallel && <div className="mt-1 text-xs text-white/50">Parallel timers are off in Settings, so every timer is exclusive.</div>}
+        </Field>
+
+        <Field label="Billing">
+          <Switch checked={!!form.billable} onChange={(v) => patch("billable", v)} label="Billable time" />
+        </Field>
+
+        {form.billable && (<>
+          <Field label="Client">
+            <input value={form.client ?? ""} onChange={(e) => patch("client", e.target.value)} placeholder={clientOf({ ...form, client: "" }, projects)} className="w-full rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white placeholder-white/40" />
+          </Field>
+          <Field label="Hourly rate">
+            <Segmented value={ownRate ? "own" : "category"} onChange={(v) => patch("hourlyRate", v === "own" ? (appSettings.categoryRates?.[form.category] || 0) : null)} options={[{label:"Category rate", value:"category"},{label:"This timer", value:"own"}]} />
+            <div className="mt-2 flex items-center gap-2">
+              {ownRate
+                ? <>
+                    <input type="number" min="0" step="0.01" value={form.hourlyRate} onChange={(e) => patch("hourlyRate", e.target.value)} className="w-28 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+                    <select value={form.currency || appSettings.currency} onChange={(e) => patch("currency", e.target.value === appSettings.currency ? null : e.target.value)} className="rounded-xl bg-slate-800 border border-white/10 px-3 py-2 text-white">
+                      {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                    <span className="text-white/60">/ h</span>
+                  </>
+                : <>
+                    <input type="number" min="0" step="0.01" value={categoryRate ?? appSettings.categoryRates?.[form.category] ?? 0} onChange={(e) => setCategoryRate(e.target.value)} className="w-28 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+                    <span className="text-white/60">{appSettings.currency} / h</span>
+                  </>}
+            </div>
+            <div className="mt-1 text-xs text-white/50">
+              {ownRate ? `${fmtMoney(Number(form.hourlyRate) || 0, form.currency || appSettings.currency)} per hour for this timer only.` : `Shared by all ${form.category} timers without their own rate.`}
+            </div>
+          </Field>
+        </>)}
+
         <Field label="Theme">
           <ThemeSwatches value={form.color} onChange={(v) => patch("color", v)} />
           <div className={`mt-2 h-3 rounded-full bg-gradient-to-r ${form.color}`} />
         </Field>
       </div>
 
+      <ScheduleEditor schedule={form.schedule || []} onChange={(v) => patch("schedule", v)} />
+
+      <SessionList sessions={sessions} onUpdate={onUpdateSession} onSplit={onSplitSession} onDelete={onDeleteSession} />
+      <button type="button" onClick={onAddEntry} className="text-sm px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">+ Add entry for forgotten time…</button>
+
+      <RevisionLog revisions={revisions} onDeduct={onDeduct} onExport={onExportLog} />
+
       <div className="flex justify-between gap-2">
         <button onClick={save} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold active:scale-95">Save & Close</button>
-        <button onClick={onDelete} className="px-3 py-2 rounded-xl bg-white/10 border border-rose-400/30 text-rose-200">Delete</button>
+        <button onClick={onDelete} className="px-3 py-2 rounded-xl bg-white/10 border border-rose-400/30 text-rose-200">Move to trash</button>
       </div>
     </div>
   );
 }
 
-function ProfileEditor({ profile, onSave, user }) {
+/* ---------------- Schedule (inside the timer editor) ---------------- */
+function ScheduleEditor({ schedule, onChange }) {
+  const update = (id, change) => onChange(schedule.map(r => r.id === id ? { ...r, ...change } : r));
+  const toggleDay = (r, day) => update(r.id, { days: r.days.includes(day) ? r.days.filter(d => d !== day) : [...r.days, day] });
+  return (
+    <div className="space-y-2">
+      <div className="text-sm text-white/80 ml-1">Schedule</div>
+      {schedule.length === 0 && <div className="text-sm text-white/50 ml-1">No automatic starts or stops. Add one to follow a routine, e.g. start at 09:00 on weekdays.</div>}
+      {schedule.map(r => (
+        <div key={r.id} className="flex flex-wrap items-center gap-2 rounded-xl border border-white/10 bg-white/5 px-3 py-2" title={ruleLabel(r)}>
+          <Segmented value={r.action} onChange={(v) => update(r.id, { action: v })} options={[{label:"Start", value:"start"},{label:"Stop", value:"stop"}]} />
+          <input type="time" value={r.time} onChange={(e) => update(r.id, { time: e.target.value })} className="rounded-xl bg-white/5 border border-white/10 px-3 py-1.5 text-white" />
+          <div className="flex gap-1">
+            {WEEKDAYS.map(w => (
+              <button key={w.value} type="button" onClick={() => toggleDay(r, w.value)} className={`w-8 h-8 rounded-lg text-xs ${r.days.includes(w.value) ? "bg-white/30 text-white" : "bg-white/5 text-white/50 hover:bg-white/10"}`}>{w.label}</button>
+            ))}
+          </div>
+          <button type="button" onClick={() => onChange(schedule.filter(x => x.id !== r.id))} className="ml-auto text-xs px-2 py-1 rounded bg-white/10 hover:bg-white/20" aria-label="Remove">✕</button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange([...schedule, makeRule(schedule.some(r => r.action === "start") ? "stop" : "start", schedule.some(r => r.action === "start") ? "18:00" : "09:00")])} className="text-sm px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">+ Add start / stop</button>
+      {schedule.length > 0 && <div className="text-xs text-white/50 ml-1">Starting follows the Exclusive setting, so a scheduled start switches away from other timers. Changes missed while the app was closed are applied when it reopens.</div>}
+    </div>
+  );
+}
+
+/* ---------------- Revision log (adjustments & deductions) ---------------- */
+function RevisionLog({ revisions, onDeduct, onExport }) {
+  const [min, setMin] = useState("");
+  const [reason, setReason] = useState("");
+  function deduct(sign) {
+    const sec = Math.round((parseFloat(min) || 0) * 60); if (sec <= 0) return;
+    onDeduct(sign * sec, reason); setMin(""); setReason("");
+  }
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-white/80 font-semibold">Revision log</div>
+        <button type="button" onClick={onExport} className="text-xs px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20">Export log (CSV)</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-white/70">Deduct</span>
+        <input type="number" min="0" value={min} onChange={(e) => setMin(e.target.value)} placeholder="min" className="w-20 rounded-xl bg-white/5 border border-white/10 px-2 py-1 text-white" />
+        <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason" className="flex-1 min-w-[140px] rounded-xl bg-white/5 border border-white/10 px-2 py-1 text-white placeholder-white/40" />
+        <button type="button" onClick={() => deduct(1)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-rose-200">Deduct</button>
+        <button type="button" onClick={() => deduct(-1)} title="Take back part of an earlier deduction" className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20">Give back</button>
+      </div>
+      {revisions.length === 0
+        ? <div className="text-sm text-white/50">No manual changes yet.</div>
+        : (
+          <ul className="max-h-56 overflow-y-auto divide-y divide-white/5 rounded-xl border border-white/10">
+            {revisions.map(r => (
+              <li key={r.id} className="px-3 py-2 text-sm flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="text-white/90">{REVISION_KINDS[r.kind] ?? r.kind}{r.reason ? <span className="text-white/70"> — {r.reason}</span> : null}</div>
+                  <div className="text-xs text-white/50">{fmtDate(r.at)} {fmtClock(r.at)} • {r.device || "unknown device"}</div>
+                </div>
+                <div className={`time-mono shrink-0 ${r.amountSec < 0 ? "text-rose-300" : "text-lime-300"}`}>{r.amountSec < 0 ? "−" : "+"}{fmtHMS(Math.abs(r.amountSec))}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+    </div>
+  );
+}
+
+/* ---------------- Sessions (inside the timer editor) ---------------- */
+// edits apply immediately, independent of "Save & Close"
+function SessionList({ sessions, onUpdate, onSplit, onDelete }) {
+  const [editing, setEditing] = useState(null); // { id, mode: "edit"|"split", start, end, note, at }
+  if (!sessions.length) return <div className="text-sm text-white/60">No sessions recorded yet. Each start → pause is saved here.</div>;
+
+  function openEdit(s) { setEditing({ id:s.id, mode:"edit", start:toLocalInput(s.start), end:toLocalInput(s.end), note:s.note || "" }); }
+  function openSplit(s) { setEditing({ id:s.id, mode:"split", at:toLocalInput(s.start + (s.end - s.start) / 2) }); }
+  function commit() {
+    if (editing.mode === "edit") {
+      const start = fromLocalInput(editing.start), end = fromLocalInput(editing.end);
+      if (start == null || end == null || end <= start) return;
+      onUpdate(editing.id, { start, end, note: editing.note });
+    } else {
+      const at = fromLocalInput(editing.at); if (at == null) return;
+      onSplit(editing.id, at);
+    }
+    setEditing(null);
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm text-white/80 ml-1">Sessions</div>
+      <div className="max-h-64 overflow-y-auto space-y-1 pr-1">
+        {sessions.map(s => (
+          <div key={s.id} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm">
+            {editing?.id === s.id ? (
+              <div className="flex flex-wrap items-center gap-2">
+                {editing.mode === "edit" ? (<>
+                  <input type="datetime-local" value={editing.start} onChange={(e)=>setEditing(v=>({ ...v, start:e.target.value }))} className="rounded-lg bg-white/10 border border-white/15 px-2 py-1" />
+                  <span>→</span>
+                  <input type="datetime-local" value={editing.end} onChange={(e)=>setEditing(v=>({ ...v, end:e.target.value }))} className="rounded-lg bg-white/10 border border-white/15 px-2 py-1" />
+                  <input placeholder="Note" value={editing.note} onChange={(e)=>setEditing(v=>({ ...v, note:e.target.value }))} className="flex-1 min-w-[8rem] rounded-lg bg-white/10 border border-white/15 px-2 py-1" />
+                </>) : (<>
+                  <span className="text-white/70">Split at</span>
+                  <input type="datetime-local" value={editing.at} onChange={(e)=>setEditing(v=>({ ...v, at:e.target.value }))} className="rounded-lg bg-white/10 border border-white/15 px-2 py-1" />
+                </>)}
+                <button type="button" onClick={commit} className="px-2 py-1 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500">OK</button>
+                <button type="button" onClick={()=>setEditing(null)} className="px-2 py-1 rounded-lg bg-white/10">Cancel</button>
+              </div>
+            ) : (
+              <div className="flex items-center justify-between gap-2">
+                <div>
+                  <span className="text-white/70">{fmtDate(s.start)}</span>{" "}
+                  <span>{fmtClock(s.start)}–{fmtClock(s.end)}</span>{" "}
+                  <span className="text-white font-semibold">{fmtHMS(sessionSeconds(s))}</span>
+                  {s.note && <span className="text-white/60"> • {s.note}</span>}
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <button type="button" onClick={()=>openEdit(s)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20">Edit</button>
+                  <button type="button" onClick={()=>openSplit(s)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20">Split</button>
+                  <button type="button" onClick={()=>onDelete(s.id)} className="px-2 py-1 rounded-lg bg-white/10 text-rose-200 hover:bg-white/20">Delete</button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ProfileEditor({ profile, onSave, user, share, timers, onShare }) {
   const EMOJIS = ["😺","🐻","🐼","🦊","🐯","🐵","🐨","🐸","🐰","🐥","🌟","🚀","🎨","🎧","🧠","🐳","🍀","🔥","💎","🍉","🍩"];
   const [name, setName] = useState(profile.name || "");
   const [emoji, setEmoji] = useState(profile.emoji || "🌟");
@@ -557,7 +1761,7 @@ function ProfileEditor({ profile, onSave, user }) {
 
   function onFile(e) { const f = e.target.files?.[0]; if (!f) return; const reader = new FileReader(); reader.onload = () => { setPhoto(reader.result); }; reader.readAsDataURL(f); }
 
-  async function signOut(){ if(supabase) await supabase.auth.signOut(); }
+  async function signOut(){ if(remote) await remote.auth.signOut(); }
 
   return (
     <div className="space-y-4">
@@ -590,11 +1794,177 @@ function ProfileEditor({ profile, onSave, user }) {
         <button onClick={()=>onSave({ name, emoji, photo })} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold active:scale-95">Save</button>
         {user && <button onClick={signOut} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-rose-500 to-red-600 active:scale-95">Sign out</button>}
       </div>
+      {user && supabaseFeatures && <ShareSettings share={share} timers={timers} onShare={onShare} />}
+    </div>
+  );
+}
+
+/* ---------------- Public read-only link ---------------- */
+function ShareSettings({ share, timers, onShare }) {
+  const [ids, setIds] = useState(() => share?.timerIds ?? timers.map(t => t.id));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const dirty = share && (ids.length !== share.timerIds.length || ids.some(id => !share.timerIds.includes(id)));
+
+  async function run(action) {
+    if (action === "revoke" && !confirm("Revoke the link? Anyone using it loses access.")) return;
+    setBusy(true); setError(await onShare(action, ids)); setBusy(false);
+  }
+  function toggle(id) { setIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]); }
+  async function copy() { await navigator.clipboard?.writeText(shareUrl(share.token)); setCopied(true); setTimeout(() => setCopied(false), 1500); }
+
+  return (
+    <div className="space-y-3 border-t border-white/10 pt-4">
+      <div>
+        <div className="font-semibold">Public share</div>
+        <div className="text-xs text-white/60">A read-only, live view of the timers you pick. No account needed to open it.</div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {timers.map(t => (
+          <label key={t.id} className={`px-3 py-1.5 rounded-xl border text-sm cursor-pointer ${ids.includes(t.id) ? "border-white/60 bg-white/15" : "border-white/10 bg-white/5 text-white/60"}`}>
+            <input type="checkbox" className="sr-only" checked={ids.includes(t.id)} onChange={() => toggle(t.id)} />{t.name}
+          </label>
+        ))}
+      </div>
+      {share ? (<>
+        <div className="flex items-center gap-2">
+          <input readOnly value={shareUrl(share.token)} onFocus={(e) => e.target.select()} className="flex-1 min-w-0 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm text-white/80" />
+          <button type="button" onClick={copy} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-sm">{copied ? "Copied" : "Copy"}</button>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {dirty && <button type="button" disabled={busy} onClick={() => run("save")} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 text-sm font-semibold">Update shared timers</button>}
+          <button type="button" disabled={busy} onClick={() => run("rotate")} title="New link; the old one stops working" className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm">Rotate link</button>
+          <button type="button" disabled={busy} onClick={() => run("revoke")} className="px-3 py-1.5 rounded-lg bg-white/10 border border-rose-400/30 text-rose-200 text-sm">Revoke</button>
+        </div>
+      </>) : (
+        <button type="button" disabled={busy || !ids.length} onClick={() => run("save")} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 text-sm font-semibold disabled:opacity-50">Create link</button>
+      )}
+      {error && <div className="text-sm text-rose-300">{error}</div>}
+    </div>
+  );
+}
+
+/* ---------------- Back from idle ---------------- */
+function AwayPrompt({ away, timers, onResolve }) {
+  const [target, setTarget] = useState(() => (timers.find(t => t.category === "break") || timers[0])?.id ?? "");
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Welcome back</h3>
+      <div className="text-white/80">
+        You were away from <b>{fmtClock(away.from)}</b> to <b>{fmtClock(away.to)}</b> ({fmtHMS((away.to - away.from) / 1000)}) while a timer was running.
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onResolve("keep")} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold">Keep it</button>
+        <button onClick={() => onResolve("discard")} className="px-4 py-2 rounded-xl bg-white/10 border border-rose-400/30 text-rose-200">Discard it</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-white/70">or move it to</span>
+        <select value={target} onChange={(e) => setTarget(e.target.value)} className="rounded-xl bg-slate-800 border border-white/10 px-3 py-2 text-white">
+          {timers.map(t => <option key={t.id} value={t.id}>{t.name} ({t.category})</option>)}
+        </select>
+        <button disabled={!target} onClick={() => onResolve("move", target)} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 disabled:opacity-50">Move</button>
+      </div>
     </div>
   );
 }
 
-function Field({ label, children }) { return (<label className="text-sm text-white/80 space-y-1 block"><div className="ml-1 mb-0.5">{label}</div>{children}</label>); }
+function SettingsEditor({ settings, onSave }) {
+  const [form, setForm] = useState({ ...settings });
+  const [permission, setPermission] = useState(notificationPermission);
+  function patch(name, value) { setForm(f => ({ ...f, [name]: value })); }
+  return (
+    <div className="space-y-5">
+      <h3 className="text-xl font-bold">Settings</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Day Rollover">
+          <Switch checked={!!form.autoRollover} onChange={(v) => patch("autoRollover", v)} label="Archive & reset automatically" />
+        </Field>
+        <Field label="Day starts at (hour, 0–23)">
+          <input type="number" min="0" max="23" value={form.dayStartHour} onChange={(e) => patch("dayStartHour", clamp(parseInt(e.target.value)||0, 0, 23))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+        </Field>
+        <Field label="Do Not Disturb">
+          <Switch checked={!!form.dnd} onChange={(v) => patch("dnd", v)} label="Mute sounds & notifications" />
+        </Field>
+        <Field label="Parallel timers">
+          <Switch checked={!!form.parallel} onChange={(v) => patch("parallel", v)} label="Let non-exclusive timers run alongside others" />
+        </Field>
+        <Field label="Header total">
+          <Segmented value={form.totalMode} onChange={(v) => patch("totalMode", v)} options={[{label:"Sum of timers", value:"sum"},{label:"Wall clock", value:"wall"}]} />
+        </Field>
+        <Field label="Empty trash after (days, 0 = never)">
+          <input type="number" min="0" max="365" value={form.trashDays} onChange={(e) => patch("trashDays", clamp(parseInt(e.target.value)||0, 0, 365))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+        </Field>
+        <Field label="Idle detection">
+          <Switch checked={!!form.idleEnabled} onChange={(v) => patch("idleEnabled", v)} label="Watch for inactivity while a timer runs" />
+        </Field>
+        {form.idleEnabled && (<>
+          <Field label="Idle after (minutes)">
+            <input type="number" min="1" max="240" value={form.idleMinutes} onChange={(e) => patch("idleMinutes", clamp(parseInt(e.target.value)||1, 1, 240))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+          </Field>
+          <Field label="When idle">
+            <Segmented value={form.idleAction} onChange={(v) => patch("idleAction", v)} options={[{label:"Ask on return", value:"ask"},{label:"Pause timers", value:"pause"}]} />
+          </Field>
+          <Field label="Hidden tab">
+            <Switch checked={!!form.idleHiddenCounts} onChange={(v) => patch("idleHiddenCounts", v)} label="Count time in other tabs/apps as idle" />
+          </Field>
+          {idleApiSupported() && (
+            <Field label="System idle (screen lock, whole computer)">
+              <Switch checked={!!form.idleSystem} onChange={async (v) => { if (v && (await requestIdlePermission()) !== "granted") return; patch("idleSystem", v); }} label="Use the browser's Idle Detection" />
+            </Field>
+          )}
+        </>)}
+        <Field label="Work hours">
+          <div className="flex items-center gap-2">
+            <input type="time" value={form.workStart} onChange={(e) => patch("workStart", e.target.value)} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+            <span>→</span>
+            <input type="time" value={form.workEnd} onChange={(e) => patch("workEnd", e.target.value)} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+          </div>
+        </Field>
+        <Field label="Work days">
+          <div className="flex gap-1">
+            {WEEKDAYS.map(w => (
+              <button key={w.value} type="button" onClick={() => patch("workDays", form.workDays.includes(w.value) ? form.workDays.filter(d => d !== w.value) : [...form.workDays, w.value])} className={`w-9 h-9 rounded-lg text-xs ${form.workDays.includes(w.value) ? "bg-white/30 text-white" : "bg-white/5 text-white/50 hover:bg-white/10"}`}>{w.label}</button>
+            ))}
+          </div>
+        </Field>
+        <Field label="End of work hours">
+          <Switch checked={!!form.workEndStop} onChange={(v) => patch("workEndStop", v)} label="Pause all running timers" />
+        </Field>
+        <Field label="Idle reminder">
+          <Switch checked={!!form.remindIdle} onChange={(v) => patch("remindIdle", v)} label="Remind me when nothing runs in work hours" />
+        </Field>
+        {form.remindIdle && (
+          <Field label="Remind after (minutes)">
+            <input type="number" min="5" max="240" value={form.remindMinutes} onChange={(e) => patch("remindMinutes", clamp(parseInt(e.target.value)||5, 5, 240))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+          </Field>
+        )}
+        <Field label="Default currency">
+          <select value={form.currency} onChange={(e) => patch("currency", e.target.value)} className="rounded-xl bg-slate-800 border border-white/10 px-3 py-2 text-white">
+            {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </Field>
+        <Field label={`Hourly rate per category (${form.currency})`}>
+          <div className="flex flex-wrap items-center gap-2">
+            {["work", "break", "neutral"].map(c => (
+              <span key={c} className="flex items-center gap-1">
+                <span className="text-white/60 capitalize">{c}</span>
+                <input type="number" min="0" step="0.01" value={form.categoryRates?.[c] ?? 0} onChange={(e) => patch("categoryRates", { ...form.categoryRates, [c]: Math.max(0, Number(e.target.value) || 0) })} className="w-20 rounded-xl bg-white/5 border border-white/10 px-2 py-2 text-white" />
+              </span>
+            ))}
+          </div>
+        </Field>
+        <Field label="Browser notifications">
+          <div className="flex items-center gap-2">
+            <span className="text-white/70">{{ granted:"Allowed", denied:"Blocked in browser", default:"Not asked yet", unsupported:"Not supported" }[permission]}</span>
+            {permission === "default" && <button type="button" onClick={async () => setPermission(await requestNotificationPermission())} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">Allow</button>}
+          </div>
+        </Field>
+      </div>
+      <button onClick={() => onSave(form)} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold active:scale-95">Save</button>
+    </div>
+  );
+}
 
 /* ---------------- Auth Panel (magic link) ---------------- */
 function AuthPanel({ onClose }) {
@@ -604,9 +1974,9 @@ function AuthPanel({ onClose }) {
   const [sending, setSending] = useState(false);
 
   async function sendLink() {
-    if (!supabase) { alert("Supabase env vars missing."); return; }
+    if (!remote) { alert("No sync backend is configured (see remote.js)."); return; }
     setErr(""); setSending(true);
-    const { error } = await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: window.location.origin } });
+    const { error } = await remote.auth.signIn(email);
     setSending(false);
     if (error) setErr(error.message); else setSent(true);
   }
@@ -630,34 +2000,6 @@ function AuthPanel({ onClose }) {
   );
 }
 
-/* ---------------- Export CSV ---------------- */
-function exportCSV(timers){
-  const rows = [["id","name","category","targetSec","elapsedSec","revisionSec","running","startTs","goalOn","goalFired","color","netSec","human"]];
-  const data = timers.map(t=>{ const runningNow = t.running && t.startTs ? (Date.now()-t.startTs)/1000 : 0; const net = Math.max(0,(t.elapsedSec + runningNow) - (t.revisionSec||0)); return [t.id,t.name,t.category,t.targetSec,Math.floor(t.elapsedSec),Math.floor(t.revisionSec||0),t.running?1:0,t.startTs||"",t.goalOn?1:0,t.goalFired?1:0,t.color,Math.floor(net),fmtHMS(net)]; });
-  const csv = rows.concat(data).map(r=>r.map(x=>`"${String(x).replaceAll('"','""')}"`).join(',')).join('\n');
-  const blob = new Blob([csv],{type:'text/csv;charset=utf-8;'}); const a=document.createElement('a'); a.href=URL.createObjectURL(blob); a.download=`shiny-timer-${new Date().toISOString().slice(0,10)}.csv`; a.click(); URL.revokeObjectURL(a.href);
-}
-
-/* ---------------- Global styles ---------------- */
-function StyleTags() {
-  return (
-    <style>{`
-      html,body,#root{height:100%}
-      body{background:#0b1220}
-      @keyframes cardShine { 0%{ transform: translateX(-120%) rotate(12deg);} 100%{ transform: translateX(120%) rotate(12deg);} }
-      .animate-card-shine { animation: cardShine 1.1s ease forwards; }
-      .time-mono { font-family: "Monomakh", sans-serif; font-weight: 600; font-variant-numeric: tabular-nums; font-size: 2rem; }
-
-      /* Confetti */
-      .confetti-piece { position: fixed; top: -10vh; left: var(--left); width: var(--size); height: var(--size); background: hsl(var(--h,0),95%,60%); transform: rotate(var(--rotate)); animation: confettiFall var(--duration) ease-out forwards, confettiSpin calc(var(--duration)*0.8) linear infinite; z-index: 9999; border-radius: 2px; box-shadow: 0 0 0 1px rgba(255,255,255,0.15) inset; }
-      .confetti-piece:nth-child(5n) { --h: 190 } .confetti-piece:nth-child(5n+1) { --h: 140 } .confetti-piece:nth-child(5n+2) { --h: 40 } .confetti-piece:nth-child(5n+3) { --h: 320 } .confetti-piece:nth-child(5n+4) { --h: 260 }
-      @keyframes confettiFall { 0%{ transform: translateY(-10vh) rotate(var(--rotate)); opacity:1 } 100%{ transform: translateY(110vh) rotate(calc(var(--rotate) + 360deg)); opacity:.9 } }
-      @keyframes confettiSpin { from { filter: brightness(1) } to { filter: brightness(1.2) } }
-      .glow-text { filter: drop-shadow(0 0 14px rgba(255,255,255,0.25)) drop-shadow(0 0 34px rgba(255,255,255,0.15)); }
-    `}</style>
-  );
-}
-
 /* ---------------- Keep dynamic gradient classes (Tailwind v4) ---------------- */
 function ClassKeepAlive() {
   return (
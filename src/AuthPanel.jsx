@@ -8,6 +8,7 @@ export default function AuthPanel({ user, onClose }) {
 
   async function sendLink() {
     setErr('')
+    if (!supabase) { setErr('Cloud sign-in is not configured.'); return }
     const { error } = await supabase.auth.signInWithOtp({
       email,
       options: { emailRedirectTo: window.location.origin }
@@ -15,7 +16,7 @@ export default function AuthPanel({ user, onClose }) {
     if (error) setErr(error.message); else setSent(true)
   }
 
-  async function signOut() { await supabase.auth.signOut() }
+  async function signOut() { await supabase?.auth.signOut() }
 
   return (
     <div className="fixed inset-0 z-50">
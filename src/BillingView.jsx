@@ -0,0 +1,81 @@
+import { useMemo, useState } from "react";
+import { fmtHMS, clamp } from "./utils";
+import { addDays } from "./history";
+import { presetRange } from "./reports";
+import { ROUND_MODES, billingSummary, fmtMoney, exportBillingCSV, downloadInvoice, printInvoice } from "./billing";
+import { Field, Segmented, DateRange } from "./ui";
+
+/* ---------------- Billing summary & invoices ---------------- */
+// `days` = archived history with today's live totals merged in (as for Reports)
+export default function BillingView({ days, timers, projects, settings, today, from, onSettings }) {
+  const [range, setRange] = useState({ preset: "thisMonth", custom: [addDays(today, -29), today] });
+  const [number, setNumber] = useState("");
+  const [blocked, setBlocked] = useState(false);
+  const [fromDay, toDay] = presetRange(range.preset, today, range.custom);
+  const valid = !!fromDay && !!toDay && fromDay <= toDay;
+
+  const summary = useMemo(() => valid ? billingSummary({ days, timers, projects, settings, fromDay, toDay }) : null, [valid, days, timers, projects, settings, fromDay, toDay]);
+  const opts = { fromDay, toDay, from, number: number.trim() };
+  const empty = !summary?.clients.length;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Billing</h3>
+      <div className="text-sm text-white/70">Billable timers in the range, rounded per timer and totaled per client. Rates, currency and clients are set in each timer's editor; category rates in Settings.</div>
+      <Field label="Range">
+        <DateRange value={range} today={today} onChange={setRange} />
+      </Field>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Round each line to (minutes, 0 = exact)">
+          <input type="number" min="0" max="240" value={settings.billingRoundMin} onChange={(e) => onSettings({ billingRoundMin: clamp(parseInt(e.target.value)||0, 0, 240) })} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+        </Field>
+        <Field label="Rounding">
+          <Segmented value={settings.billingRoundMode} onChange={(v) => onSettings({ billingRoundMode: v })} options={ROUND_MODES} />
+        </Field>
+      </div>
+
+      {!valid && <div className="text-sm text-rose-300">The start date must be on or before the end date.</div>}
+      {valid && empty && <div className="text-center text-white/60 py-8 border border-white/10 rounded-2xl bg-white/5">No billable time in this range. Turn on “Billable” in a timer's editor.</div>}
+      {valid && !empty && (
+        <div className="space-y-3">
+          {summary.clients.map(c => (
+            <div key={`${c.client}-${c.currency}`} className="rounded-2xl border border-white/10 bg-white/5 p-3">
+              <div className="flex items-center justify-between font-semibold">
+                <span>{c.client}</span>
+                <span>{fmtMoney(c.amount, c.currency)}</span>
+              </div>
+              <table className="mt-2 w-full text-sm">
+                <tbody>
+                  {c.lines.map(l => (
+                    <tr key={l.timerId} className="text-white/80">
+                      <td className="py-0.5 truncate">{l.name}</td>
+                      <td className="py-0.5 text-right time-mono" title={`tracked ${fmtHMS(l.seconds)}`}>{(l.billedSeconds / 3600).toFixed(2)} h</td>
+                      <td className="py-0.5 text-right">× {fmtMoney(l.rate, c.currency)}/h</td>
+                      <td className="py-0.5 text-right">{fmtMoney(l.amount, c.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+          <div className="flex flex-wrap justify-between gap-2 text-sm">
+            <span className="text-white/60">{summary.unbilledSeconds > 0 && <>Not billable: <span className="time-mono">{fmtHMS(summary.unbilledSeconds)}</span></>}</span>
+            <span className="font-semibold">Total: {Object.entries(summary.totals).map(([cur, amt]) => fmtMoney(amt, cur)).join(" + ")}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end justify-between gap-2">
+        <Field label="Invoice number (optional)">
+          <input value={number} onChange={(e) => setNumber(e.target.value)} placeholder="2024-001" className="w-40 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white placeholder-white/40" />
+        </Field>
+        <div className="flex flex-wrap gap-2">
+          <button disabled={empty} onClick={() => exportBillingCSV(summary, opts)} className="px-4 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/15 disabled:opacity-50">Export CSV</button>
+          <button disabled={empty} onClick={() => downloadInvoice(summary, opts)} className="px-4 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/15 disabled:opacity-50">Invoice (.html)</button>
+          <button disabled={empty} onClick={() => setBlocked(!printInvoice(summary, opts))} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold disabled:opacity-50">Print invoice</button>
+        </div>
+      </div>
+      {blocked && <div className="text-sm text-amber-300">The browser blocked the print window — allow pop-ups, or download the invoice instead.</div>}
+    </div>
+  );
+}
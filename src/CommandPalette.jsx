@@ -0,0 +1,58 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { fuzzyScore, SHORTCUTS } from "./commands";
+
+/* ---------------- Command palette (Ctrl/Cmd+K) ---------------- */
+// commands: [{ id, label, hint?, run }]; `extra(query)` adds query-dependent commands (e.g. "+15 name")
+export default function CommandPalette({ commands, extra, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => { inputRef.current?.focus(); }, []);
+
+  const results = useMemo(() => {
+    const all = [...(extra?.(query) || []), ...commands];
+    if (!query.trim()) return all.slice(0, 50);
+    return all
+      .map(c => ({ c, s: c.pinned ? 1e6 : fuzzyScore(query, c.label) }))
+      .filter(x => x.s !== null)
+      .sort((a, b) => b.s - a.s)
+      .slice(0, 50)
+      .map(x => x.c);
+  }, [commands, extra, query]);
+
+  const idx = Math.min(active, Math.max(0, results.length - 1));
+  function run(c) { if (!c) return; onClose(); c.run(); }
+  function onKey(e) {
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive(Math.min(idx + 1, results.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive(Math.max(idx - 1, 0)); }
+    else if (e.key === "Enter") { e.preventDefault(); run(results[idx]); }
+    else if (e.key === "Escape") { e.preventDefault(); onClose(); }
+  }
+  useEffect(() => { listRef.current?.children[idx]?.scrollIntoView({ block: "nearest" }); }, [idx]);
+
+  return (
+    <div className="fixed inset-0 z-[65] flex items-start justify-center p-4 pt-[12vh]">
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative w-full max-w-lg rounded-2xl border border-white/10 bg-slate-900/95 text-white shadow-2xl overflow-hidden">
+        <input ref={inputRef} value={query} onChange={(e) => { setQuery(e.target.value); setActive(0); }} onKeyDown={onKey}
+          placeholder="Type a command or timer…  (+15 name to add minutes)"
+          className="w-full bg-transparent px-4 py-3 border-b border-white/10 focus:outline-none placeholder-white/40" />
+        <div ref={listRef} className="max-h-80 overflow-y-auto py-1">
+          {results.map((c, i) => (
+            <button key={c.id} type="button" onMouseEnter={() => setActive(i)} onClick={() => run(c)}
+              className={`w-full text-left px-4 py-2 flex items-center justify-between text-sm ${i === idx ? "bg-white/15" : ""}`}>
+              <span>{c.label}</span>
+              {c.hint && <span className="text-white/50 text-xs">{c.hint}</span>}
+            </button>
+          ))}
+          {results.length === 0 && <div className="px-4 py-3 text-sm text-white/60">No matches.</div>}
+        </div>
+        <div className="px-4 py-2 border-t border-white/10 text-[11px] text-white/50 flex flex-wrap gap-x-4 gap-y-1">
+          {SHORTCUTS.map(([k, d]) => <span key={k}><kbd className="text-white/80">{k}</kbd> {d}</span>)}
+        </div>
+      </div>
+    </div>
+  );
+}
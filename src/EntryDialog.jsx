@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { fmtHMS, fmtClock, fmtDate, pad } from "./utils";
+import { overlapping } from "./sessions";
+import { Field, Segmented } from "./ui";
+
+const todayInput = () => { const d = new Date(); return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}`; };
+const at = (date, time) => { const [y, m, d] = date.split("-").map(Number); const [h, mi] = time.split(":").map(Number); return new Date(y, m - 1, d, h, mi).getTime(); };
+
+/* ---------------- Add a manual time entry (forgotten work) ---------------- */
+export default function EntryDialog({ timers, sessions, defaultTimerId, onAdd }) {
+  const [timerId, setTimerId] = useState(defaultTimerId ?? timers[0]?.id ?? "");
+  const [date, setDate] = useState(todayInput);
+  const [mode, setMode] = useState("range");
+  const [startTime, setStartTime] = useState("09:00");
+  const [endTime, setEndTime] = useState("10:00");
+  const [durH, setDurH] = useState(1);
+  const [durM, setDurM] = useState(0);
+  const [note, setNote] = useState("");
+
+  // the entry as [start, end]; an end before the start means it ran past midnight
+  function range() {
+    if (!date || !startTime) return null;
+    const start = at(date, startTime);
+    if (mode === "duration") return { start, end: start + ((parseInt(durH) || 0) * 3600 + (parseInt(durM) || 0) * 60) * 1000 };
+    if (!endTime) return null;
+    let end = at(date, endTime);
+    if (end <= start) end += 24 * 3600 * 1000;
+    return { start, end };
+  }
+
+  const r = range();
+  const timer = timers.find(t => t.id === timerId);
+  const errors = [];
+  if (!timer) errors.push("Pick a timer.");
+  if (!r || !Number.isFinite(r.start) || !Number.isFinite(r.end)) errors.push("Enter a date and times.");
+  else {
+    if (r.end <= r.start) errors.push("The entry needs a duration.");
+    if (r.end > Date.now()) errors.push("The entry can't end in the future.");
+    if (r.end - r.start > 24 * 3600 * 1000) errors.push("An entry can be at most 24 hours long.");
+    if (timer) {
+      for (const s of overlapping(sessions, timer.id, r.start, r.end)) errors.push(`Overlaps ${fmtDate(s.start)} ${fmtClock(s.start)}–${fmtClock(s.end)}${s.note ? ` (${s.note})` : ""}.`);
+      if (timer.running && timer.startTs && timer.startTs < r.end) errors.push(`Overlaps the run in progress since ${fmtClock(timer.startTs)}.`);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Add time entry</h3>
+      <div className="text-sm text-white/70">For work you forgot to track. It counts toward the day it happened, in History and Reports.</div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Timer">
+          <select value={timerId} onChange={(e) => setTimerId(e.target.value)} className="w-full rounded-xl bg-slate-800 border border-white/10 px-3 py-2 text-white">
+            {timers.map(t => <option key={t.id} value={t.id}>{t.name} ({t.category})</option>)}
+          </select>
+        </Field>
+        <Field label="Date">
+          <input type="date" value={date} max={todayInput()} onChange={(e) => setDate(e.target.value)} className="w-full rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+        </Field>
+        <Field label="Enter as">
+          <Segmented value={mode} onChange={setMode} options={[{ label: "Start – end", value: "range" }, { label: "Duration", value: "duration" }]} />
+        </Field>
+        <Field label={mode === "range" ? "Start – end" : "Start, duration (H : M)"}>
+          <div className="flex items-center gap-2">
+            <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+            {mode === "range"
+              ? <><span>→</span><input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" /></>
+              : <>
+                  <input type="number" min="0" max="24" value={durH} onChange={(e) => setDurH(e.target.value)} className="w-16 rounded-xl bg-white/5 border border-white/10 px-2 py-2 text-white" />
+                  <span>:</span>
+                  <input type="number" min="0" max="59" value={durM} onChange={(e) => setDurM(e.target.value)} className="w-16 rounded-xl bg-white/5 border border-white/10 px-2 py-2 text-white" />
+                </>}
+          </div>
+        </Field>
+      </div>
+      <Field label="Note (optional)">
+        <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="What was it?" className="w-full rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white placeholder-white/40" />
+      </Field>
+      {errors.length > 0
+        ? <ul className="text-sm text-rose-300 list-disc pl-5">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+        : r && <div className="text-sm text-white/70">{fmtDate(r.start)} {fmtClock(r.start)}–{fmtClock(r.end)} • <span className="time-mono">{fmtHMS((r.end - r.start) / 1000)}</span></div>}
+      <div className="flex justify-end">
+        <button disabled={errors.length > 0} onClick={() => onAdd({ timerId, start: r.start, end: r.end, note: note.trim() })} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold disabled:opacity-50">Add entry</button>
+      </div>
+    </div>
+  );
+}
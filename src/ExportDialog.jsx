@@ -0,0 +1,36 @@
+import { useState } from "react";
+import { fmtHMS } from "./utils";
+import { addDays } from "./history";
+import { presetRange } from "./reports";
+import { intervalsInRange, exportTimesheet } from "./timesheet";
+import { Field, DateRange } from "./ui";
+
+/* ---------------- Export tracked intervals (.ics / timesheet) for a date range ---------------- */
+export default function ExportDialog({ timers, projects, sessions, today, dayStartHour, email }) {
+  const [range, setRange] = useState({ preset: "week", custom: [addDays(today, -6), today] });
+  const [fromDay, toDay] = presetRange(range.preset, today, range.custom);
+
+  const valid = !!fromDay && !!toDay && fromDay <= toDay;
+  const intervals = valid ? intervalsInRange({ sessions, timers, projects, fromDay, toDay, dayStartHour }) : [];
+  const totalSec = intervals.reduce((a, x) => a + (x.end - x.start) / 1000, 0);
+  const live = intervals.some(x => x.live);
+  const run = (format) => exportTimesheet(format, intervals, { fromDay, toDay, email });
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Export timesheet</h3>
+      <div className="text-sm text-white/70">Every tracked interval in the range: as calendar events, or as a timesheet that Toggl and Clockify can import.</div>
+      <Field label="Range">
+        <DateRange value={range} today={today} onChange={setRange} />
+      </Field>
+      {!valid
+        ? <div className="text-sm text-rose-300">The start date must be on or before the end date.</div>
+        : <div className="text-sm text-white/70">{fromDay} – {toDay} • {intervals.length} interval{intervals.length === 1 ? "" : "s"} • <span className="time-mono">{fmtHMS(totalSec)}</span>{live && " • includes the run in progress (up to now)"}</div>}
+      <div className="flex flex-wrap justify-end gap-2">
+        <button disabled={!intervals.length} onClick={() => run("ics")} className="px-4 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/15 disabled:opacity-50">Calendar (.ics)</button>
+        <button disabled={!intervals.length} onClick={() => run("json")} className="px-4 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/15 disabled:opacity-50">Timesheet JSON</button>
+        <button disabled={!intervals.length} onClick={() => run("csv")} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold disabled:opacity-50">Timesheet CSV</button>
+      </div>
+    </div>
+  );
+}
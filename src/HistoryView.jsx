@@ -0,0 +1,74 @@
+import { useMemo, useState } from "react";
+import { fmtHMS } from "./utils";
+import { keyOf, dayTotal } from "./history";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/* ---------------- History (calendar of archived days) ---------------- */
+export default function HistoryView({ history, today }) {
+  const [month, setMonth] = useState(() => { const [y, m] = today.split("-").map(Number); return new Date(y, m - 1, 1); });
+  const [selected, setSelected] = useState(() => history[today] ? today : latestDay(history));
+
+  const cells = useMemo(() => {
+    const first = new Date(month.getFullYear(), month.getMonth(), 1);
+    const lead = (first.getDay() + 6) % 7; // weeks start on Monday
+    const days = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    const out = Array.from({ length: lead }, () => null);
+    for (let d = 1; d <= days; d++) out.push(keyOf(new Date(month.getFullYear(), month.getMonth(), d)));
+    return out;
+  }, [month]);
+  const maxTotal = useMemo(() => Math.max(1, ...cells.filter(Boolean).map(k => dayTotal(history[k]))), [cells, history]);
+
+  const shift = (n) => setMonth(m => new Date(m.getFullYear(), m.getMonth() + n, 1));
+  const entries = Object.entries(history[selected] || {}).sort((a, b) => b[1].netSec - a[1].netSec);
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">History</h3>
+
+      <div className="flex items-center justify-between">
+        <button type="button" onClick={() => shift(-1)} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">‹</button>
+        <div className="font-semibold">{month.toLocaleDateString(undefined, { month: "long", year: "numeric" })}</div>
+        <button type="button" onClick={() => shift(1)} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20">›</button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map(w => <div key={w} className="text-white/60 py-1">{w}</div>)}
+        {cells.map((k, i) => {
+          if (!k) return <div key={`pad-${i}`} />;
+          const total = dayTotal(history[k]);
+          return (
+            <button key={k} type="button" onClick={() => setSelected(k)}
+              className={`h-14 rounded-lg border flex flex-col items-center justify-center ${selected === k ? "border-white/80" : "border-white/10"} ${k === today ? "ring-1 ring-cyan-400/60" : ""}`}
+              style={{ background: total ? `rgba(34,211,238,${0.08 + 0.4 * total / maxTotal})` : "rgba(255,255,255,0.03)" }}>
+              <span className="text-white/90">{Number(k.slice(8))}</span>
+              {total > 0 && <span className="text-[10px] text-white/80">{fmtHMS(total).slice(0, 5)}</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="space-y-1">
+        <div className="text-sm text-white/80 ml-1">{selected ? new Date(`${selected}T00:00`).toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", year: "numeric" }) : "No archived days yet"}</div>
+        {selected && entries.length === 0 && <div className="text-sm text-white/60">Nothing archived for this day.</div>}
+        {entries.map(([id, e]) => (
+          <div key={id} className="flex items-center justify-between rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm">
+            <div>
+              <span className="font-semibold">{e.name}</span> <span className="text-white/60">• {e.category}</span>
+            </div>
+            <div>
+              <span className="font-semibold">{fmtHMS(e.netSec)}</span>
+              {e.targetSec > 0 && <span className="text-white/60"> / {fmtHMS(e.targetSec)}</span>}
+            </div>
+          </div>
+        ))}
+        {entries.length > 1 && <div className="text-right text-sm text-white/80 pr-3">Total <span className="font-semibold text-white">{fmtHMS(dayTotal(history[selected]))}</span></div>}
+      </div>
+    </div>
+  );
+}
+
+function latestDay(history) {
+  const keys = Object.keys(history).sort();
+  return keys[keys.length - 1] || null;
+}
@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { parseBackup, planImport } from "./backup";
+import { Segmented } from "./ui";
+
+/* ---------------- Import (CSV / JSON backup) with preview ---------------- */
+export default function ImportDialog({ timers, onApply }) {
+  const [file, setFile] = useState(null); // { name, parsed }
+  const [mode, setMode] = useState("merge");
+
+  function onFile(e) {
+    const f = e.target.files?.[0]; if (!f) return;
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: f.name, parsed: parseBackup(String(reader.result), f.name) });
+    reader.readAsText(f);
+  }
+
+  const parsed = file?.parsed;
+  const plan = parsed ? planImport(timers, parsed.timers, mode) : null;
+  const canApply = !!parsed && (parsed.timers.length > 0 || (parsed.sessions?.length ?? 0) > 0);
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold">Import</h3>
+      <div className="text-sm text-white/70">Accepts a file from “Export CSV” or “Export JSON”. Nothing changes until you press Import.</div>
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={onFile} className="text-sm" />
+
+      {parsed && (<>
+        <div className="flex flex-wrap items-center gap-3">
+          <Segmented value={mode} onChange={setMode} options={[{ label: "Merge by id", value: "merge" }, { label: "Replace all", value: "replace" }]} />
+          <span className="text-sm text-white/70">
+            {parsed.kind.toUpperCase()} • {parsed.timers.length} valid timer{parsed.timers.length === 1 ? "" : "s"}
+            {parsed.kind === "json" && ` • ${parsed.sessions.length} sessions • ${Object.keys(parsed.history).length} history days`}
+          </span>
+        </div>
+
+        <div className="space-y-1 max-h-56 overflow-y-auto pr-1 text-sm">
+          {plan.added.map(t => <PreviewRow key={`a-${t.id}`} tag="new" cls="text-emerald-300" t={t} />)}
+          {plan.updated.map(t => <PreviewRow key={`u-${t.id}`} tag="update" cls="text-cyan-300" t={t} />)}
+          {plan.removed.map(t => <PreviewRow key={`r-${t.id}`} tag="to trash" cls="text-rose-300" t={t} />)}
+        </div>
+
+        {parsed.errors.length > 0 && (
+          <div className="rounded-xl border border-rose-400/30 bg-rose-500/10 p-3 text-sm space-y-1 max-h-40 overflow-y-auto">
+            <div className="font-semibold text-rose-200">{parsed.errors.length} row{parsed.errors.length === 1 ? "" : "s"} rejected</div>
+            {parsed.errors.map((e, i) => <div key={i} className="text-rose-200/90">{e.row ? `Row ${e.row}: ` : ""}{e.message}</div>)}
+          </div>
+        )}
+
+        <button disabled={!canApply} onClick={() => onApply(parsed, mode)} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold active:scale-95 disabled:opacity-50">
+          Import{mode === "replace" ? " & replace" : ""}
+        </button>
+      </>)}
+    </div>
+  );
+}
+
+function PreviewRow({ tag, cls, t }) {
+  return (
+    <div className="flex items-center justify-between rounded-xl bg-white/5 border border-white/10 px-3 py-1.5">
+      <span><span className={`${cls} font-semibold uppercase text-xs mr-2`}>{tag}</span>{t.name}</span>
+      <span className="text-white/60 text-xs">{t.category ? `${t.category} • ` : ""}{t.id}</span>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { clamp, fmtHMS } from "./utils";
+import { PHASE_LABELS, phaseTimerId } from "./pomodoro";
+import { Field, Switch } from "./ui";
+
+/* ---------------- Interval (pomodoro) setup ---------------- */
+export function IntervalSetup({ config, timers, onStart }) {
+  const [form, setForm] = useState(() => ({
+    ...config,
+    workTimerId: timers.some(t => t.id === config.workTimerId) ? config.workTimerId : (timers.find(t => t.category === "work") || timers[0])?.id ?? null,
+    breakTimerId: timers.some(t => t.id === config.breakTimerId) ? config.breakTimerId : (timers.find(t => t.category === "break") || timers[1] || timers[0])?.id ?? null,
+  }));
+  function patch(name, value) { setForm(f => ({ ...f, [name]: value })); }
+  const num = (name, max) => (
+    <input type="number" min="1" max={max} value={form[name]} onChange={(e) => patch(name, clamp(parseInt(e.target.value) || 1, 1, max))} className="w-24 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+  );
+  const picker = (name) => (
+    <select value={form[name] ?? ""} onChange={(e) => patch(name, e.target.value)} className="w-full rounded-xl bg-slate-800 border border-white/10 px-3 py-2 text-white">
+      {timers.map(t => <option key={t.id} value={t.id}>{t.name} ({t.category})</option>)}
+    </select>
+  );
+  const valid = form.workTimerId && form.breakTimerId && form.workTimerId !== form.breakTimerId;
+
+  return (
+    <div className="space-y-5">
+      <h3 className="text-xl font-bold">Interval Mode</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Work timer">{picker("workTimerId")}</Field>
+        <Field label="Break timer">{picker("breakTimerId")}</Field>
+        <Field label="Work (min)">{num("workMin", 240)}</Field>
+        <Field label="Break (min)">{num("breakMin", 120)}</Field>
+        <Field label="Long break (min)">{num("longBreakMin", 240)}</Field>
+        <Field label="Long break every N work phases">{num("longBreakEvery", 20)}</Field>
+        <Field label="Sound">
+          <Switch checked={!!form.sound} onChange={(v) => patch("sound", v)} label="Play a cue when a phase ends" />
+        </Field>
+      </div>
+      {!valid && <div className="text-sm text-rose-300">Pick two different timers for work and break.</div>}
+      <button disabled={!valid} onClick={() => onStart(form)} className="px-4 py-2 rounded-xl bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold active:scale-95 disabled:opacity-50">Start cycles</button>
+    </div>
+  );
+}
+
+/* ---------------- Interval status bar (shown while cycles run) ---------------- */
+export function IntervalBar({ state, timers, now, onPause, onResume, onSkip, onStop }) {
+  const timer = timers.find(t => t.id === phaseTimerId(state.phase, state.config));
+  const left = state.paused ? state.remainingMs : Math.max(0, state.phaseEndsAt - now);
+  const work = state.phase === "work";
+  return (
+    <div className={`mb-4 rounded-3xl border border-white/10 p-4 flex flex-wrap items-center justify-between gap-3 bg-gradient-to-br ${work ? "from-cyan-500/20 to-blue-500/20" : "from-lime-500/20 to-green-500/20"}`}>
+      <div>
+        <div className="text-white/70 text-sm">{PHASE_LABELS[state.phase]} • {timer?.name ?? "—"} • cycle {state.cycle + (work ? 1 : 0)}{state.paused ? " • paused" : ""}</div>
+        <div className="time-mono text-white">{fmtHMS(left / 1000)}</div>
+      </div>
+      <div className="flex gap-2">
+        {state.paused
+          ? <button onClick={onResume} className="px-3 py-2 rounded-xl bg-gradient-to-tr from-lime-500 to-green-600">Resume</button>
+          : <button onClick={onPause} className="px-3 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/20">Pause</button>}
+        <button onClick={onSkip} className="px-3 py-2 rounded-xl bg-white/10 border border-white/10 hover:bg-white/20">Skip</button>
+        <button onClick={onStop} className="px-3 py-2 rounded-xl bg-gradient-to-tr from-rose-500 to-red-600">Stop</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useMemo, useState } from "react";
+import { fmtHMS } from "./utils";
+import { PERIODS, aggregate, workBreakRatio } from "./reports";
+import { Segmented } from "./ui";
+
+const PALETTE = ["#22d3ee", "#a78bfa", "#f472b6", "#fbbf24", "#34d399", "#60a5fa", "#fb7185", "#a3e635"];
+const CATEGORY_COLORS = { work: "#22d3ee", break: "#a3e635", neutral: "#94a3b8" };
+
+const W = 600, H = 220, PAD_L = 44, PAD_B = 24, PAD_T = 8;
+
+/* ---------------- Reports (plain SVG charts) ---------------- */
+// `days` = archived history with today's live totals merged in
+export default function ReportsView({ days, today }) {
+  const [period, setPeriod] = useState("day");
+  const [groupBy, setGroupBy] = useState("timer");
+  const [picked, setPicked] = useState(null);
+
+  const data = useMemo(() => aggregate(days, today, period, groupBy), [days, today, period, groupBy]);
+  const perTimer = useMemo(() => groupBy === "timer" ? data : aggregate(days, today, period, "timer"), [data, days, today, period, groupBy]);
+
+  const groupIds = Object.keys(data.groups);
+  const colorOf = (g, i) => groupBy === "category" ? (CATEGORY_COLORS[g] || PALETTE[i % PALETTE.length]) : PALETTE[i % PALETTE.length];
+  const selected = data.buckets.find(b => b.bucket === picked) || data.buckets[data.buckets.length - 1];
+  const selectedTimers = perTimer.buckets.find(b => b.bucket === selected.bucket);
+
+  const maxTotal = Math.max(3600, ...data.buckets.map(b => b.total));
+  const yMaxH = Math.ceil(maxTotal / 3600);
+  const slot = (W - PAD_L) / data.buckets.length;
+  const barW = Math.max(6, slot * 0.6);
+  const y = (sec) => PAD_T + (H - PAD_T - PAD_B) * (1 - sec / (yMaxH * 3600));
+
+  const categoryOf = (g) => groupBy === "category" ? g : data.groups[g]?.category;
+  const overall = data.buckets.reduce((acc, b) => { for (const [g, v] of Object.entries(b.values)) acc[g] = (acc[g] || 0) + v; return acc; }, {});
+  const ratioSel = workBreakRatio(selected.values, categoryOf);
+  const ratioAll = workBreakRatio(overall, categoryOf);
+
+  const targets = Object.entries(perTimer.groups)
+    .filter(([, g]) => g.targetSec > 0)
+    .map(([id, g]) => ({ id, label: g.label, actual: selectedTimers?.values[id] || 0, target: g.targetSec * (selectedTimers?.days || 1) }));
+  const targetMax = Math.max(1, ...targets.map(t => Math.max(t.actual, t.target)));
+
+  return (
+    <div className="space-y-5">
+      <h3 className="text-xl font-bold">Reports</h3>
+
+      <div className="flex flex-wrap gap-3">
+        <Segmented value={period} onChange={(v) => { setPeriod(v); setPicked(null); }} options={Object.entries(PERIODS).map(([value, p]) => ({ value, label: p.label }))} />
+        <Segmented value={groupBy} onChange={setGroupBy} options={[{ label: "By timer", value: "timer" }, { label: "By category", value: "category" }]} />
+      </div>
+
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto select-none">
+        {Array.from({ length: yMaxH + 1 }, (_, h) => h).filter(h => h % Math.max(1, Math.ceil(yMaxH / 4)) === 0).map(h => (
+          <g key={h}>
+            <line x1={PAD_L} x2={W} y1={y(h * 3600)} y2={y(h * 3600)} stroke="rgba(255,255,255,0.1)" />
+            <text x={PAD_L - 6} y={y(h * 3600) + 4} textAnchor="end" fontSize="10" fill="rgba(255,255,255,0.6)">{h}h</text>
+          </g>
+        ))}
+        {data.buckets.map((b, i) => {
+          const x = PAD_L + i * slot + (slot - barW) / 2;
+          let acc = 0;
+          return (
+            <g key={b.bucket} onClick={() => setPicked(b.bucket)} className="cursor-pointer">
+              <rect x={PAD_L + i * slot} y={PAD_T} width={slot} height={H - PAD_T - PAD_B} fill={b.bucket === selected.bucket ? "rgba(255,255,255,0.06)" : "transparent"} />
+              {groupIds.map((g, gi) => {
+                const v = b.values[g] || 0; if (!v) return null;
+                const top = y(acc + v), bottom = y(acc); acc += v;
+                return <rect key={g} x={x} y={top} width={barW} height={Math.max(0, bottom - top)} fill={colorOf(g, gi)} rx="2"><title>{`${data.groups[g].label}: ${fmtHMS(v)}`}</title></rect>;
+              })}
+              <text x={x + barW / 2} y={H - 8} textAnchor="middle" fontSize="10" fill="rgba(255,255,255,0.6)">{b.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 text-xs">
+        {groupIds.map((g, gi) => (
+          <span key={g} className="inline-flex items-center gap-1"><span className="w-3 h-3 rounded-sm" style={{ background: colorOf(g, gi) }} />{data.groups[g].label}</span>
+        ))}
+        {groupIds.length === 0 && <span className="text-white/60">No tracked time in this range yet.</span>}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+          <div className="text-white/70">{selected.label} total</div>
+          <div className="text-lg font-semibold">{fmtHMS(selected.total)}</div>
+          <div className="text-white/70 mt-1">Work : Break {fmtRatio(ratioSel)}</div>
+        </div>
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+          <div className="text-white/70">Last {data.buckets.length} {PERIODS[period].label.toLowerCase()} periods</div>
+          <div className="text-lg font-semibold">{fmtHMS(data.buckets.reduce((a, b) => a + b.total, 0))}</div>
+          <div className="text-white/70 mt-1">Work : Break {fmtRatio(ratioAll)}</div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-sm text-white/80 ml-1">Target vs actual — {selected.label}</div>
+        {targets.length === 0 && <div className="text-sm text-white/60">No timers with a target.</div>}
+        <svg viewBox={`0 0 ${W} ${targets.length * 28}`} className="w-full h-auto">
+          {targets.map((t, i) => (
+            <g key={t.id} transform={`translate(0 ${i * 28})`}>
+              <text x="0" y="16" fontSize="11" fill="rgba(255,255,255,0.8)">{t.label.slice(0, 18)}</text>
+              <rect x="140" y="5" width={(W - 240) * t.target / targetMax} height="14" rx="3" fill="rgba(255,255,255,0.12)" />
+              <rect x="140" y="8" width={(W - 240) * t.actual / targetMax} height="8" rx="2" fill={t.actual >= t.target ? "#34d399" : "#22d3ee"} />
+              <text x={W} y="16" textAnchor="end" fontSize="11" fill="rgba(255,255,255,0.8)">{Math.round(100 * t.actual / t.target)}%</text>
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+function fmtRatio({ work, break: brk, ratio }) {
+  if (!work && !brk) return "–";
+  if (ratio == null) return `${fmtHMS(work)} : 0 (no breaks)`;
+  return `${ratio.toFixed(1)} : 1 (${fmtHMS(work)} / ${fmtHMS(brk)})`;
+}
@@ -0,0 +1,85 @@
+import { useEffect, useState } from "react";
+import { supabase } from "./supabaseClient";
+import { fmtHMS, clamp } from "./utils";
+import { fetchShared, shareChannelName } from "./share";
+import { StyleTags } from "./ui";
+
+// at most one re-read per this many ms, however often "changed" pings arrive
+const PING_THROTTLE_MS = 2000;
+
+/* ---------------- Read-only shared dashboard (#/share/<token>) ---------------- */
+export default function ShareView({ token }) {
+  const [state, setState] = useState({ status: supabase ? "loading" : "offline", owner: {}, timers: [] });
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => { const id = setInterval(() => setNow(Date.now()), 1000); return () => clearInterval(id); }, []);
+
+  // state only ever comes from the RPC: on open, when the owner's app pings "changed"
+  // (throttled), and every minute (catches revocation while the owner is offline)
+  useEffect(() => {
+    if (!supabase) return;
+    let ignore = false, pending = null;
+    async function load() {
+      const { data, error } = await fetchShared(supabase, token);
+      if (ignore) return;
+      if (error) setState(s => ({ ...s, status: "error" }));
+      else if (!data) setState({ status: "revoked", owner: {}, timers: [] });
+      else setState({ status: "live", owner: data.owner, timers: data.timers });
+    }
+    load();
+    const id = setInterval(load, 60000);
+    const channel = supabase
+      .channel(shareChannelName(token))
+      .on("broadcast", { event: "changed" }, () => { pending ??= setTimeout(() => { pending = null; load(); }, PING_THROTTLE_MS); })
+      .subscribe();
+    return () => { ignore = true; clearInterval(id); clearTimeout(pending); supabase.removeChannel(channel); };
+  }, [token]);
+
+  const net = (t) => Math.max(0, t.elapsedSec + (t.running && t.startTs ? (now - t.startTs) / 1000 : 0) - (t.revisionSec || 0));
+  const message = { loading: "Loading…", offline: "Sharing isn't available in this build.", error: "Couldn't load this dashboard. Retrying…", revoked: "This link is no longer active." }[state.status];
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white">
+      <StyleTags />
+      <header className="border-b border-white/10 bg-slate-900/60">
+        <div className="mx-auto max-w-3xl px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-2xl bg-white/10 border border-white/15 grid place-items-center text-xl">{state.owner.emoji || "⏱️"}</div>
+            <div>
+              <div className="font-semibold">{state.owner.name ? `${state.owner.name}'s timers` : "Shared timers"}</div>
+              <div className="text-xs text-white/60">Read-only • updates live</div>
+            </div>
+          </div>
+          <a href={window.location.pathname} className="text-sm text-white/60 hover:text-white">ShinyTimer</a>
+        </div>
+      </header>
+      <main className="mx-auto max-w-3xl px-4 py-6 space-y-3">
+        {message && <div className="text-center text-white/60 py-16 border border-white/10 rounded-3xl bg-white/5">{message}</div>}
+        {state.status === "live" && state.timers.length === 0 && <div className="text-center text-white/60 py-16 border border-white/10 rounded-3xl bg-white/5">No timers are shared yet.</div>}
+        {state.status === "live" && state.timers.map(t => {
+          const sec = net(t);
+          const pct = t.targetSec > 0 ? clamp(sec / t.targetSec, 0, 1) * 100 : 0;
+          return (
+            <div key={t.id} className={`rounded-3xl border border-white/10 p-4 shadow-lg bg-gradient-to-br ${t.color}`}>
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="font-semibold text-lg truncate">{t.name}</div>
+                  <div className="text-white/80 text-sm flex items-center gap-2">
+                    <span className={`w-2 h-2 rounded-full ${t.running ? "bg-lime-400 animate-pulse" : "bg-white/40"}`} />
+                    {t.running ? "Running" : "Paused"} • {t.category}{t.targetSec > 0 ? ` • target ${fmtHMS(t.targetSec)}` : ""}
+                  </div>
+                </div>
+                <div className="time-mono text-2xl drop-shadow-sm">{fmtHMS(sec)}</div>
+              </div>
+              {t.targetSec > 0 && (
+                <div className="mt-3 h-1.5 rounded-full bg-white/15 overflow-hidden">
+                  <div className="h-full bg-white/80" style={{ width: `${pct}%` }} />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </main>
+    </div>
+  );
+}
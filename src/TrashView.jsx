@@ -0,0 +1,38 @@
+import { fmtHMS, fmtDate } from "./utils";
+
+/* ---------------- Trash: restore or purge deleted timers ---------------- */
+export default function TrashView({ trash, days, onRestore, onPurge, onEmpty }) {
+  const sorted = [...trash].sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+  const net = (t) => Math.max(0, (t.elapsedSec || 0) - (t.revisionSec || 0));
+  const left = (t) => days > 0 ? Math.max(0, Math.ceil(((t.deletedAt || 0) + days * 86400000 - Date.now()) / 86400000)) : null;
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-xl font-bold">Trash</h3>
+        {trash.length > 0 && <button onClick={onEmpty} className="px-3 py-1.5 rounded-lg bg-white/10 border border-rose-400/30 text-rose-200 text-sm">Empty trash</button>}
+      </div>
+      <div className="text-sm text-white/70">
+        Deleted timers keep their time, settings and sessions until you restore them.{" "}
+        {days > 0 ? `They are removed for good after ${days} day${days === 1 ? "" : "s"} (see Settings).` : "Automatic purge is off."}
+      </div>
+      {sorted.length === 0 && <div className="text-center text-white/60 py-10 border border-white/10 rounded-2xl bg-white/5">Trash is empty.</div>}
+      <ul className="space-y-2">
+        {sorted.map(t => (
+          <li key={t.id} className="flex items-center justify-between gap-3 rounded-2xl border border-white/10 bg-white/5 px-4 py-3">
+            <div className="min-w-0">
+              <div className="font-semibold truncate">{t.name}</div>
+              <div className="text-xs text-white/60">
+                {t.category} • <span className="time-mono">{fmtHMS(net(t))}</span> • deleted {fmtDate(t.deletedAt || t.updatedAt)}
+                {left(t) != null && ` • purged in ${left(t)} day${left(t) === 1 ? "" : "s"}`}
+              </div>
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              <button onClick={() => onRestore(t.id)} className="px-3 py-1.5 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold text-sm">Restore</button>
+              <button onClick={() => onPurge(t.id)} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-rose-200 text-sm">Delete forever</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
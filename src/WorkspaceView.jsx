@@ -0,0 +1,237 @@
+import { useEffect, useState } from "react";
+import { supabase } from "./supabaseClient";
+import { fmtHMS, fmtClock } from "./utils";
+import { Segmented } from "./ui";
+import {
+  ROLES, canTrack, canManage, memberSeconds, stateFromRow, nextState, saveState,
+  listWorkspaces, createWorkspace, loadWorkspace, inviteMember, cancelInvite, acceptInvite,
+  setMemberRole, removeMember, addWorkspaceTimer,
+} from "./workspaces";
+
+const TEAM_COLOR = "from-sky-400/30 via-indigo-400/25 to-fuchsia-400/30";
+
+/* ---------------- Team workspaces: shared timers, per-member time ---------------- */
+export default function WorkspaceView({ user, profile, now }) {
+  const [list, setList] = useState(null); // { workspaces, invites }
+  const [selected, setSelected] = useState(null);
+  const [data, setData] = useState(null); // { members, invites, timers, states }
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const reportError = (e) => { if (e) setError(e.message ?? String(e)); return !e; };
+
+  useEffect(() => {
+    let ignore = false;
+    (async () => {
+      const { data, error } = await listWorkspaces(supabase, user);
+      if (ignore || !reportError(error)) return;
+      setList(data);
+      setSelected(s => s ?? data.workspaces[0]?.id ?? null);
+    })();
+    return () => { ignore = true; };
+  }, [user, reloadKey]);
+
+  useEffect(() => {
+    if (!selected) { setData(null); return; }
+    let ignore = false;
+    (async () => {
+      const { data, error } = await loadWorkspace(supabase, selected);
+      if (!ignore && reportError(error)) setData(data);
+    })();
+    return () => { ignore = true; };
+  }, [selected, reloadKey]);
+
+  // live state of everyone's timers, same approach as the personal timers-rt channel
+  useEffect(() => {
+    if (!selected) return;
+    const filter = `workspace_id=eq.${selected}`;
+    const channel = supabase
+      .channel(`workspace-rt:${selected}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: "workspace_timer_state", filter }, (payload) => {
+        const row = payload.new?.timer_id ? payload.new : payload.old; if (!row?.timer_id) return;
+        setData(d => {
+          if (!d) return d;
+          const rest = d.states.filter(s => !(s.timerId === row.timer_id && s.userId === row.user_id));
+          return { ...d, states: payload.eventType === "DELETE" ? rest : [...rest, stateFromRow(row)] };
+        });
+      })
+      .on("postgres_changes", { event: "*", schema: "public", table: "workspace_timers", filter }, () => setReloadKey(k => k + 1))
+      .subscribe();
+    return () => { supabase.removeChannel(channel); };
+  }, [selected]);
+
+  const current = list?.workspaces.find(w => w.id === selected);
+  const role = current?.role;
+  const memberName = (userId) => { const m = data?.members.find(x => x.userId === userId); return m?.name || m?.email || "Someone"; };
+  const stateOf = (timerId, userId) => data?.states.find(s => s.timerId === timerId && s.userId === userId) ?? { timerId, userId, elapsedSec: 0, running: false, startTs: null };
+
+  async function onCreate() {
+    const name = newName.trim(); if (!name) return;
+    const { data: ws, error } = await createWorkspace(supabase, user, name, profile.name);
+    if (!reportError(error)) return;
+    setNewName(""); setSelected(ws.id); setReloadKey(k => k + 1);
+  }
+  async function onAccept(invite) {
+    const { data: id, error } = await acceptInvite(supabase, invite.id, profile.name);
+    if (reportError(error)) { setSelected(id); setReloadKey(k => k + 1); }
+  }
+  async function onDecline(invite) {
+    const { error } = await cancelInvite(supabase, invite.id);
+    if (reportError(error)) setReloadKey(k => k + 1);
+  }
+  // my own time on a shared timer; applied locally first, the realtime echo confirms it
+  async function track(timerId, action) {
+    const next = nextState(stateOf(timerId, user.id), action);
+    setData(d => ({ ...d, states: [...d.states.filter(s => !(s.timerId === timerId && s.userId === user.id)), next] }));
+    const { error } = await saveState(supabase, selected, next);
+    if (!reportError(error)) setReloadKey(k => k + 1);
+  }
+
+  const running = data ? data.states.filter(s => s.running).map(s => ({ ...s, timer: data.timers.find(t => t.id === s.timerId) })).filter(s => s.timer) : [];
+
+  return (
+    <div className="space-y-5">
+      <h3 className="text-xl font-bold">Team workspaces</h3>
+      {error && <div className="text-sm text-rose-300 flex items-center gap-2">{error}<button onClick={() => setError(null)} className="text-xs underline">dismiss</button></div>}
+
+      {list?.invites.length > 0 && (
+        <div className="space-y-2">
+          {list.invites.map(inv => (
+            <div key={inv.id} className="flex items-center justify-between gap-3 rounded-2xl border border-cyan-400/30 bg-cyan-400/10 px-4 py-2 text-sm">
+              <span>You're invited to <b>{inv.name}</b> as {inv.role}.</span>
+              <span className="flex gap-2">
+                <button onClick={() => onAccept(inv)} className="px-3 py-1 rounded-lg bg-gradient-to-tr from-cyan-500 to-blue-500 font-semibold">Join</button>
+                <button onClick={() => onDecline(inv)} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20">Decline</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {list?.workspaces.length > 0 && <Segmented value={selected} onChange={setSelected} options={list.workspaces.map(w => ({ label: w.name, value: w.id }))} />}
+        <input value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && onCreate()} placeholder="New workspace name" className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm text-white" />
+        <button onClick={onCreate} disabled={!newName.trim()} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-sm disabled:opacity-50">Create</button>
+      </div>
+
+      {!list && <div className="text-white/60 text-sm">Loading…</div>}
+      {list && !list.workspaces.length && <div className="text-white/60 text-sm">You're not in a workspace yet. Create one, or ask a teammate to invite your email address.</div>}
+
+      {current && data && (<>
+        <section className="space-y-2">
+          <div className="text-sm text-white/80 font-semibold">Running now</div>
+          {running.length === 0
+            ? <div className="text-sm text-white/50">Nobody is tracking right now.</div>
+            : running.map(s => (
+              <div key={`${s.timerId}|${s.userId}`} className="flex items-center justify-between rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm">
+                <span><span className="inline-block w-2 h-2 rounded-full bg-lime-400 animate-pulse mr-2" />{s.userId === user.id ? "You" : memberName(s.userId)} → <b>{s.timer.name}</b> since {fmtClock(s.startTs)}</span>
+                <span className="time-mono">{fmtHMS(memberSeconds(s, now))}</span>
+              </div>
+            ))}
+        </section>
+
+        <section className="space-y-2">
+          <div className="text-sm text-white/80 font-semibold">Shared timers</div>
+          {data.timers.length === 0 && <div className="text-sm text-white/50">No shared timers yet.</div>}
+          {data.timers.map(t => {
+            const mine = stateOf(t.id, user.id);
+            const total = data.states.filter(s => s.timerId === t.id).reduce((a, s) => a + memberSeconds(s, now), 0);
+            return (
+              <div key={t.id} className={`rounded-2xl border border-white/10 px-4 py-3 bg-gradient-to-br ${t.color || TEAM_COLOR}`}>
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="font-semibold truncate">{t.name}</div>
+                    <div className="text-xs text-white/70">{t.category} • team total <span className="time-mono">{fmtHMS(total)}</span></div>
+                  </div>
+                  {canTrack(role) && (
+                    <div className="flex items-center gap-2">
+                      <span className="time-mono text-lg">{fmtHMS(memberSeconds(mine, now))}</span>
+                      <button onClick={() => track(t.id, mine.running ? "pause" : "start")} className={`w-9 h-9 rounded-full grid place-items-center text-white ${mine.running ? "bg-gradient-to-tr from-rose-500 to-red-500" : "bg-gradient-to-tr from-lime-500 to-green-600"}`} aria-label={mine.running ? "Pause" : "Start"}>{mine.running ? "❚❚" : "►"}</button>
+                      <button onClick={() => track(t.id, "reset")} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-xs">Reset mine</button>
+                    </div>
+                  )}
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                  {data.members.map(m => {
+                    const st = stateOf(t.id, m.userId);
+                    if (!st.running && !st.elapsedSec) return null;
+                    return <span key={m.userId} className="px-2 py-1 rounded-lg bg-black/20">{st.running && "● "}{m.userId === user.id ? "You" : m.name || m.email}: <span className="time-mono">{fmtHMS(memberSeconds(st, now))}</span></span>;
+                  })}
+                </div>
+              </div>
+            );
+          })}
+          {canTrack(role) && <AddSharedTimer onAdd={async (name, category) => {
+            const { error } = await addWorkspaceTimer(supabase, selected, user.id, { name, category, color: TEAM_COLOR, sort_index: data.timers.length });
+            if (reportError(error)) setReloadKey(k => k + 1);
+          }} />}
+        </section>
+
+        <Members
+          workspace={current} members={data.members} invites={data.invites} me={user.id} owner={canManage(role)}
+          onInvite={async (email, r) => { const { error } = await inviteMember(supabase, selected, user.id, email, r); if (reportError(error)) setReloadKey(k => k + 1); return !error; }}
+          onCancelInvite={async (id) => { const { error } = await cancelInvite(supabase, id); if (reportError(error)) setReloadKey(k => k + 1); }}
+          onRole={async (userId, r) => { const { error } = await setMemberRole(supabase, selected, userId, r); if (reportError(error)) setReloadKey(k => k + 1); }}
+          onRemove={async (userId) => { const { error } = await removeMember(supabase, selected, userId); if (!reportError(error)) return; if (userId === user.id) setSelected(null); setReloadKey(k => k + 1); }}
+        />
+      </>)}
+    </div>
+  );
+}
+
+function AddSharedTimer({ onAdd }) {
+  const [name, setName] = useState("");
+  const [category, setCategory] = useState("work");
+  function add() { const n = name.trim(); if (!n) return; onAdd(n, category); setName(""); }
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && add()} placeholder="New shared timer" className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm text-white" />
+      <Segmented value={category} onChange={setCategory} options={[{ label: "Work", value: "work" }, { label: "Break", value: "break" }, { label: "Neutral", value: "neutral" }]} />
+      <button onClick={add} disabled={!name.trim()} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-sm disabled:opacity-50">Add</button>
+    </div>
+  );
+}
+
+function Members({ workspace, members, invites, me, owner, onInvite, onCancelInvite, onRole, onRemove }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("member");
+  const [sent, setSent] = useState(null);
+  async function invite() {
+    const to = email.trim(); if (!/^\S+@\S+\.\S+$/.test(to)) return;
+    if (await onInvite(to, role)) { setSent(to); setEmail(""); }
+  }
+  const mailto = (to) => `mailto:${to}?subject=${encodeURIComponent(`Join "${workspace.name}" on ShinyTimer`)}&body=${encodeURIComponent(`Sign in at ${window.location.origin}${window.location.pathname} with this email address and open Team to accept the invite.`)}`;
+  return (
+    <section className="space-y-2">
+      <div className="text-sm text-white/80 font-semibold">Members</div>
+      <ul className="divide-y divide-white/5 rounded-xl border border-white/10">
+        {members.map(m => (
+          <li key={m.userId} className="px-3 py-2 text-sm flex items-center justify-between gap-3">
+            <span className="truncate">{m.name || m.email}{m.userId === me && " (you)"} <span className="text-white/50">{m.email}</span></span>
+            <span className="flex items-center gap-2">
+              {owner && m.role !== "owner"
+                ? <select value={m.role} onChange={(e) => onRole(m.userId, e.target.value)} className="rounded-lg bg-slate-800 border border-white/10 px-2 py-1">{ROLES.filter(r => r !== "owner").map(r => <option key={r} value={r}>{r}</option>)}</select>
+                : <span className="text-white/60">{m.role}</span>}
+              {m.role !== "owner" && (owner || m.userId === me) && <button onClick={() => onRemove(m.userId)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-rose-200 text-xs">{m.userId === me ? "Leave" : "Remove"}</button>}
+            </span>
+          </li>
+        ))}
+        {invites.map(i => (
+          <li key={i.id} className="px-3 py-2 text-sm flex items-center justify-between gap-3 text-white/60">
+            <span className="truncate">{i.email} — invited as {i.role}</span>
+            {owner && <button onClick={() => onCancelInvite(i.id)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-xs">Cancel</button>}
+          </li>
+        ))}
+      </ul>
+      {owner && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} onKeyDown={(e) => e.key === "Enter" && invite()} placeholder="teammate@example.com" className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm text-white" />
+          <Segmented value={role} onChange={setRole} options={[{ label: "Member", value: "member" }, { label: "Viewer", value: "viewer" }]} />
+          <button onClick={invite} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-sm">Invite</button>
+        </div>
+      )}
+      {sent && <div className="text-xs text-white/70">Invite saved for {sent}. It shows up when they sign in with that address — <a href={mailto(sent)} className="underline">email them the link</a>.</div>}
+    </section>
+  );
+}
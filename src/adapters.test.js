@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { memoryAdapter, createLocalStore } from "./storage";
+import { memoryRemote } from "./remote";
+
+describe("memory local adapter", () => {
+  it("keeps values across a fresh hydrate", async () => {
+    const adapter = memoryAdapter({ tt_day: "2024-05-01" });
+    const store = createLocalStore(adapter);
+    await store.hydrate();
+    expect(store.get("tt_day")).toBe("2024-05-01");
+    store.set("tt_timers", [{ id: "a", name: "Focus" }]);
+    store.set("tt_day", "2024-05-02");
+    store.remove("tt_missing");
+
+    const again = createLocalStore(adapter);
+    await again.hydrate();
+    expect(again.get("tt_timers")).toEqual([{ id: "a", name: "Focus" }]);
+    expect(again.get("tt_day")).toBe("2024-05-02");
+    expect(again.get("tt_missing", "none")).toBe("none");
+  });
+
+  it("stores copies, not the caller's objects", async () => {
+    const adapter = memoryAdapter();
+    const value = { id: "a", elapsedSec: 5 };
+    await adapter.save("tt_x", value);
+    value.elapsedSec = 99;
+    expect((await adapter.loadAll()).tt_x).toEqual({ id: "a", elapsedSec: 5 });
+    await adapter.remove("tt_x");
+    expect(await adapter.loadAll()).toEqual({});
+  });
+});
+
+describe("memory remote adapter", () => {
+  const row = (id, extra = {}) => ({ id, user_id: "u1", name: id, updated_at: "2024-05-01T00:00:00.000Z", ...extra });
+
+  it("round-trips upsert, update, select and remove per user", async () => {
+    const remote = memoryRemote();
+    await remote.upsert("timers", [row("a"), row("b"), { ...row("c"), user_id: "u2" }]);
+    expect((await remote.select("timers", "u1")).data.map(r => r.id)).toEqual(["a", "b"]);
+    expect((await remote.select("timers", "u1", { ids: ["b"] })).data).toEqual([row("b")]);
+
+    await remote.update("timers", "u1", "a", { name: "renamed" });
+    await remote.upsert("timers", [row("b", { name: "replaced" })]);
+    expect((await remote.select("timers", "u1")).data.map(r => r.name)).toEqual(["renamed", "replaced"]);
+
+    await remote.remove("timers", "u1", { id: "a" });
+    await remote.remove("timers", "u1", { id: "c" }); // another user's row stays
+    expect((await remote.select("timers", "u1")).data.map(r => r.id)).toEqual(["b"]);
+    expect((await remote.select("timers", "u2")).data.map(r => r.id)).toEqual(["c"]);
+  });
+
+  it("upserts on a composite conflict key and echoes writes to subscribers", async () => {
+    const remote = memoryRemote();
+    const changes = [];
+    const unsubscribe = remote.subscribe("day_history", "u1", (c) => changes.push(c));
+    const entry = (netSec) => ({ user_id: "u1", day: "2024-05-01", timer_id: "a", net_sec: netSec });
+    await remote.upsert("day_history", [entry(60)], { onConflict: "user_id,day,timer_id" });
+    await remote.upsert("day_history", [entry(120)], { onConflict: "user_id,day,timer_id" });
+    expect((await remote.select("day_history", "u1")).data).toEqual([entry(120)]);
+    expect(changes.map(c => c.row.net_sec)).toEqual([60, 120]);
+
+    unsubscribe();
+    await remote.remove("day_history", "u1", { day: "2024-05-01", timer_id: "a" });
+    expect(changes).toHaveLength(2);
+    expect((await remote.select("day_history", "u1")).data).toEqual([]);
+  });
+
+  it("signs in and out", async () => {
+    const remote = memoryRemote();
+    const seen = [];
+    remote.auth.onChange((u) => seen.push(u?.email ?? null));
+    await remote.auth.signIn("me@example.com");
+    expect(await remote.auth.getUser()).toEqual({ id: "memory-me@example.com", email: "me@example.com" });
+    await remote.auth.signOut();
+    expect(await remote.auth.getUser()).toBeNull();
+    expect(seen).toEqual(["me@example.com", null]);
+  });
+});
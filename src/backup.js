@@ -0,0 +1,163 @@
+import { fmtHMS } from "./utils";
+import { REVISION_KINDS } from "./revisions";
+
+/* -------------------------------------------------
+   Backups: CSV (timer state, same columns as "Export CSV")
+   and a versioned JSON file (timers + sessions + history + revision log)
+----------------------------------------------------*/
+export const CSV_COLUMNS = ["id","name","category","targetSec","elapsedSec","revisionSec","running","startTs","goalOn","goalFired","color","netSec","human"];
+export const BACKUP_FORMAT = "shinytimer-backup";
+export const BACKUP_VERSION = 1;
+const CATEGORIES = ["work", "break", "neutral"];
+
+export function download(text, type, filename) {
+  const blob = new Blob([text],{type}); const a=document.createElement('a'); a.href=URL.createObjectURL(blob); a.download=filename; a.click(); URL.revokeObjectURL(a.href);
+}
+export const stamp = () => new Date().toISOString().slice(0,10);
+export const toCSV = (rows) => rows.map(r=>r.map(x=>`"${String(x ?? "").replaceAll('"','""')}"`).join(',')).join('\n');
+
+/* ---------------- Export ---------------- */
+export function exportCSV(timers){
+  const data = timers.map(t=>{ const runningNow = t.running && t.startTs ? (Date.now()-t.startTs)/1000 : 0; const net = Math.max(0,(t.elapsedSec + runningNow) - (t.revisionSec||0)); return [t.id,t.name,t.category,t.targetSec,Math.floor(t.elapsedSec),Math.floor(t.revisionSec||0),t.running?1:0,t.startTs||"",t.goalOn?1:0,t.goalFired?1:0,t.color,Math.floor(net),fmtHMS(net)]; });
+  const csv = [CSV_COLUMNS].concat(data).map(r=>r.map(x=>`"${String(x).replaceAll('"','""')}"`).join(',')).join('\n');
+  download(csv, 'text/csv;charset=utf-8;', `shiny-timer-${stamp()}.csv`);
+}
+
+// the revision log: why totals changed, one row per entry
+export const REVISION_COLUMNS = ["at","timerId","timer","kind","amountSec","amount","reason","device"];
+export function exportRevisionsCSV(revisions, timers) {
+  const names = new Map(timers.map(t => [t.id, t.name]));
+  const data = [...revisions].sort((a,b)=>a.at-b.at).map(r => [new Date(r.at).toISOString(), r.timerId, names.get(r.timerId) ?? "", REVISION_KINDS[r.kind] ?? r.kind, r.amountSec, `${r.amountSec < 0 ? "-" : "+"}${fmtHMS(Math.abs(r.amountSec))}`, r.reason, r.device]);
+  const csv = [REVISION_COLUMNS].concat(data).map(r=>r.map(x=>`"${String(x).replaceAll('"','""')}"`).join(',')).join('\n');
+  download(csv, 'text/csv;charset=utf-8;', `shiny-timer-log-${stamp()}.csv`);
+}
+
+export function exportJSON({ timers, sessions, history, revisions }) {
+  const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), timers, sessions, history, revisions };
+  download(JSON.stringify(backup, null, 2), 'application/json', `shiny-timer-${stamp()}.json`);
+}
+
+/* ---------------- Parse ---------------- */
+// RFC 4180-ish: quoted fields, "" escapes, commas/newlines inside quotes
+export function parseCSV(text) {
+  const rows = []; let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i+1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(x => x.trim() !== ""));
+}
+
+const toBool = (v) => v === true || v === 1 || /^(1|true|yes)$/i.test(String(v ?? "").trim());
+function toNum(v, name, errors) {
+  if (v === "" || v == null) return 0;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) { errors.push(`${name} must be a non-negative number (got "${v}")`); return 0; }
+  return n;
+}
+
+// one raw record (CSV row object or JSON timer) → { timer } or { errors }
+// `timer` holds only the fields the record has, so a merge keeps everything else.
+// running/startTs are never imported: an old startTs would credit all the time since
+// it was exported. New timers come in paused; existing ones keep their own run.
+export function validateTimer(raw) {
+  const errors = [];
+  const id = String(raw.id ?? "").trim();
+  const name = String(raw.name ?? "").trim();
+  const category = String(raw.category ?? "neutral").trim() || "neutral";
+  if (!id) errors.push("id is missing");
+  if (!name) errors.push("name is missing");
+  if (!CATEGORIES.includes(category)) errors.push(`category must be one of ${CATEGORIES.join("/")} (got "${category}")`);
+  const targetSec = toNum(raw.targetSec, "targetSec", errors);
+  const elapsedSec = toNum(raw.elapsedSec, "elapsedSec", errors);
+  const revisionSec = toNum(raw.revisionSec, "revisionSec", errors);
+  if (errors.length) return { errors };
+  const has = (k) => raw[k] !== undefined;
+  const color = String(raw.color ?? "").trim();
+  return { timer: {
+    id, name, deleted: false,
+    ...(has("category") && { category }),
+    ...(has("targetSec") && { targetSec }),
+    ...(has("elapsedSec") && { elapsedSec }),
+    ...(has("revisionSec") && { revisionSec }),
+    ...(has("goalOn") && { goalOn: toBool(raw.goalOn) }),
+    ...(has("goalFired") && { goalFired: toBool(raw.goalFired) }),
+    ...(color && { color }),
+  } };
+}
+
+/**
+ * Reads a backup file. Returns
+ * { kind: "csv"|"json", timers, sessions?, history?, revisions?, errors: [{ row, message }] }
+ * Rows with errors are left out of `timers`; `row` is the 1-based line (CSV) or array index + 1 (JSON).
+ */
+export function parseBackup(text, filename = "") {
+  const trimmed = text.trim();
+  if (filename.toLowerCase().endsWith(".json") || trimmed.startsWith("{")) return parseJSONBackup(trimmed);
+  return parseCSVBackup(trimmed);
+}
+
+function parseCSVBackup(text) {
+  const rows = parseCSV(text);
+  const errors = [], timers = [];
+  if (!rows.length) return { kind: "csv", timers, errors: [{ row: 0, message: "File is empty" }] };
+  const header = rows[0].map(h => h.trim());
+  const missing = ["id", "name"].filter(c => !header.includes(c));
+  if (missing.length) return { kind: "csv", timers, errors: [{ row: 1, message: `Header is missing column(s): ${missing.join(", ")}` }] };
+  const seen = new Set();
+  rows.slice(1).forEach((cells, i) => {
+    const row = i + 2;
+    if (cells.length !== header.length) { errors.push({ row, message: `expected ${header.length} columns, found ${cells.length}` }); return; }
+    const raw = Object.fromEntries(header.map((h, j) => [h, cells[j]]));
+    const res = validateTimer(raw);
+    if (res.errors) { errors.push({ row, message: res.errors.join("; ") }); return; }
+    if (seen.has(res.timer.id)) { errors.push({ row, message: `duplicate id "${res.timer.id}"` }); return; }
+    seen.add(res.timer.id); timers.push(res.timer);
+  });
+  return { kind: "csv", timers, errors };
+}
+
+function parseJSONBackup(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch (e) { return { kind: "json", timers: [], errors: [{ row: 0, message: `Not valid JSON: ${e.message}` }] }; }
+  if (doc?.format !== BACKUP_FORMAT) return { kind: "json", timers: [], errors: [{ row: 0, message: "Not a ShinyTimer backup (missing format marker)" }] };
+  if (!(doc.version <= BACKUP_VERSION)) return { kind: "json", timers: [], errors: [{ row: 0, message: `Backup version ${doc.version} is newer than this app supports (${BACKUP_VERSION})` }] };
+  const errors = [], timers = [], seen = new Set();
+  (Array.isArray(doc.timers) ? doc.timers : []).forEach((t, i) => {
+    const row = i + 1;
+    if (!t || typeof t !== "object") { errors.push({ row, message: "timer entry is not an object" }); return; }
+    const res = validateTimer(t);
+    if (res.errors) { errors.push({ row, message: res.errors.join("; ") }); return; }
+    if (seen.has(res.timer.id)) { errors.push({ row, message: `duplicate id "${res.timer.id}"` }); return; }
+    // fields this version doesn't validate (added by later features) are kept as they are
+    const { running: _running, startTs: _startTs, ...rest } = t;
+    seen.add(res.timer.id); timers.push({ ...rest, ...res.timer });
+  });
+  const sessions = (Array.isArray(doc.sessions) ? doc.sessions : []).filter(s => s && s.id && s.timerId && s.end > s.start);
+  const history = doc.history && typeof doc.history === "object" ? doc.history : {};
+  const revisions = (Array.isArray(doc.revisions) ? doc.revisions : []).filter(r => r && r.id && r.timerId && Number.isFinite(r.amountSec) && r.at);
+  return { kind: "json", timers, sessions, history, revisions, errors };
+}
+
+/* ---------------- Plan ---------------- */
+// mode "merge": incoming timers replace same-id timers, others are kept; "replace": only incoming remain
+export function planImport(existing, incoming, mode) {
+  const byId = new Map(existing.map(t => [t.id, t]));
+  const incomingIds = new Set(incoming.map(t => t.id));
+  const added = incoming.filter(t => !byId.has(t.id));
+  const updated = incoming.filter(t => byId.has(t.id));
+  const removed = mode === "replace" ? existing.filter(t => !incomingIds.has(t.id)) : [];
+  const kept = mode === "replace" ? [] : existing.filter(t => !incomingIds.has(t.id));
+  const next = [...incoming.map(t => ({ ...byId.get(t.id), ...t })), ...kept];
+  return { next, added, updated, removed };
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { parseCSV, validateTimer, parseBackup, planImport, toCSV, BACKUP_FORMAT } from "./backup";
+
+describe("parseCSV", () => {
+  it("reads quoted fields with commas, quotes and newlines", () => {
+    const text = 'id,name,note\r\n"a","Write, edit","line 1\nline ""2"""\n';
+    expect(parseCSV(text)).toEqual([["id", "name", "note"], ["a", "Write, edit", 'line 1\nline "2"']]);
+  });
+
+  it("skips blank lines and reads a last row without a newline", () => {
+    expect(parseCSV("a,b\n\n1,2")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("reads back what toCSV writes", () => {
+    const rows = [["id", "name"], ["x", 'He said "hi", then\nleft']];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe("validateTimer", () => {
+  it("keeps only the fields the record has", () => {
+    expect(validateTimer({ id: "a", name: "Focus", elapsedSec: "90" }).timer).toEqual({ id: "a", name: "Focus", deleted: false, elapsedSec: 90 });
+  });
+
+  it("rejects missing ids and names, unknown categories and bad numbers", () => {
+    const { errors } = validateTimer({ id: "", name: " ", category: "play", targetSec: "-5" });
+    expect(errors).toEqual([
+      "id is missing",
+      "name is missing",
+      'category must be one of work/break/neutral (got "play")',
+      'targetSec must be a non-negative number (got "-5")',
+    ]);
+  });
+
+  it("never imports a run in progress", () => {
+    const { timer } = validateTimer({ id: "a", name: "Focus", elapsedSec: "60", running: "1", startTs: String(Date.now() - 30 * 24 * 3600 * 1000) });
+    expect(timer).toEqual({ id: "a", name: "Focus", deleted: false, elapsedSec: 60 });
+  });
+});
+
+describe("parseBackup", () => {
+  it("lists rejected CSV rows by line and keeps the valid ones", () => {
+    const text = [
+      "id,name,category,elapsedSec",
+      "a,Focus,work,60",
+      "b,,work,0",
+      "c,Break,nap,0",
+      "a,Again,work,0",
+      "d,Short",
+    ].join("\n");
+    const res = parseBackup(text, "timers.csv");
+    expect(res.kind).toBe("csv");
+    expect(res.timers.map(t => t.id)).toEqual(["a"]);
+    expect(res.errors).toEqual([
+      { row: 3, message: "name is missing" },
+      { row: 4, message: 'category must be one of work/break/neutral (got "nap")' },
+      { row: 5, message: 'duplicate id "a"' },
+      { row: 6, message: "expected 4 columns, found 2" },
+    ]);
+  });
+
+  it("refuses a CSV without id and name columns", () => {
+    expect(parseBackup("title,elapsedSec\nx,1").errors).toEqual([{ row: 1, message: "Header is missing column(s): id, name" }]);
+  });
+
+  it("imports a CSV row exported while running as paused", () => {
+    const text = `id,name,elapsedSec,running,startTs\na,Focus,120,1,${Date.now() - 3600 * 1000}`;
+    const [t] = parseBackup(text).timers;
+    expect(t.elapsedSec).toBe(120);
+    expect(t).not.toHaveProperty("running");
+    expect(t).not.toHaveProperty("startTs");
+  });
+
+  it("reads a JSON backup, keeping fields it doesn't validate but not the run", () => {
+    const doc = {
+      format: BACKUP_FORMAT, version: 1,
+      timers: [{ id: "a", name: "Focus", projectId: "p1", running: true, startTs: 1 }, { id: "b" }],
+      sessions: [{ id: "s1", timerId: "a", start: 1, end: 2 }, { id: "s2", timerId: "a", start: 2, end: 2 }],
+    };
+    const res = parseBackup(JSON.stringify(doc), "backup.json");
+    expect(res.timers).toEqual([{ id: "a", name: "Focus", projectId: "p1", deleted: false }]);
+    expect(res.errors).toEqual([{ row: 2, message: "name is missing" }]);
+    expect(res.sessions.map(s => s.id)).toEqual(["s1"]);
+  });
+
+  it("refuses files that aren't ShinyTimer backups or are too new", () => {
+    expect(parseBackup("{ nope", "x.json").errors[0].message).toMatch(/^Not valid JSON/);
+    expect(parseBackup('{"timers":[]}').errors[0].message).toMatch(/missing format marker/);
+    expect(parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99 })).errors[0].message).toMatch(/newer than this app supports/);
+  });
+});
+
+describe("planImport", () => {
+  const existing = [{ id: "a", name: "A", elapsedSec: 10, color: "red" }, { id: "b", name: "B", elapsedSec: 20 }];
+  const incoming = [{ id: "a", name: "A2" }, { id: "c", name: "C" }];
+
+  it("merge: updates same-id timers over their other fields and keeps the rest", () => {
+    const plan = planImport(existing, incoming, "merge");
+    expect(plan.added.map(t => t.id)).toEqual(["c"]);
+    expect(plan.updated.map(t => t.id)).toEqual(["a"]);
+    expect(plan.removed).toEqual([]);
+    expect(plan.next).toEqual([{ id: "a", name: "A2", elapsedSec: 10, color: "red" }, { id: "c", name: "C" }, { id: "b", name: "B", elapsedSec: 20 }]);
+  });
+
+  it("replace: timers not in the file are removed", () => {
+    const plan = planImport(existing, incoming, "replace");
+    expect(plan.removed.map(t => t.id)).toEqual(["b"]);
+    expect(plan.next.map(t => t.id)).toEqual(["a", "c"]);
+    expect(plan.next[0].elapsedSec).toBe(10);
+  });
+});
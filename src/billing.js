@@ -0,0 +1,140 @@
+import { fmtHMS } from "./utils";
+import { download, toCSV } from "./backup";
+
+/* -------------------------------------------------
+   Billing
+   t.billable:   the timer's time is billed
+   t.hourlyRate: own rate, or null to use settings.categoryRates[t.category]
+   t.currency:   own currency, or null for settings.currency
+   t.client:     who is billed; falls back to the timer's project name
+   Amounts are computed per timer over a range of days from net seconds
+   (archived history + today's live totals), each line rounded to
+   settings.billingRoundMin in settings.billingRoundMode.
+----------------------------------------------------*/
+export const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "CHF", "JPY", "SEK", "NOK", "DKK", "PLN", "INR", "BRL"];
+export const ROUND_MODES = [
+  { label: "Up", value: "up" },
+  { label: "Nearest", value: "nearest" },
+  { label: "Down", value: "down" },
+];
+export const BILLING_DEFAULTS = { currency: "USD", categoryRates: { work: 0, break: 0, neutral: 0 }, billingRoundMin: 15, billingRoundMode: "up" };
+export const NO_CLIENT = "No client";
+
+// { rate, currency, own } — own: the rate is set on the timer itself
+export function rateOf(t, settings) {
+  const own = t.hourlyRate != null && t.hourlyRate !== "";
+  return { rate: Number(own ? t.hourlyRate : settings.categoryRates?.[t.category]) || 0, currency: t.currency || settings.currency, own };
+}
+
+export const clientOf = (t, projects = []) => t.client?.trim() || projects.find(p => p.id === t.projectId)?.name || NO_CLIENT;
+
+export function roundSeconds(sec, minutes, mode = "up") {
+  const step = Math.round(minutes * 60);
+  if (!(step > 0)) return Math.round(sec);
+  const fn = mode === "down" ? Math.floor : mode === "nearest" ? Math.round : Math.ceil;
+  return fn(Math.round(sec) / step) * step;
+}
+
+export function fmtMoney(amount, currency) {
+  try { return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount); }
+  catch { return `${amount.toFixed(2)} ${currency}`; }
+}
+
+/**
+ * Billing lines for the days [fromDay, toDay] of `days` (see reports.js),
+ * grouped per client and currency.
+ * Returns { clients: [{ client, currency, lines, seconds, billedSeconds, amount }], totals: { [currency]: amount }, unbilledSeconds }
+ */
+export function billingSummary({ days, timers, projects, settings, fromDay, toDay }) {
+  const byId = new Map(timers.map(t => [t.id, t]));
+  const seconds = {};
+  for (const [day, entries] of Object.entries(days)) {
+    if (day < fromDay || day > toDay) continue;
+    for (const [timerId, e] of Object.entries(entries)) seconds[timerId] = (seconds[timerId] || 0) + (e.netSec || 0);
+  }
+  const clients = new Map();
+  const totals = {};
+  let unbilledSeconds = 0;
+  for (const [timerId, sec] of Object.entries(seconds)) {
+    const t = byId.get(timerId);
+    if (sec <= 0) continue;
+    if (!t?.billable) { unbilledSeconds += sec; continue; }
+    const { rate, currency } = rateOf(t, settings);
+    const billedSeconds = roundSeconds(sec, settings.billingRoundMin, settings.billingRoundMode);
+    const amount = Math.round(billedSeconds / 3600 * rate * 100) / 100;
+    const client = clientOf(t, projects);
+    const key = `${client}\u0000${currency}`;
+    if (!clients.has(key)) clients.set(key, { client, currency, lines: [], seconds: 0, billedSeconds: 0, amount: 0 });
+    const c = clients.get(key);
+    c.lines.push({ timerId, name: t.name, category: t.category, seconds: sec, billedSeconds, rate, amount });
+    c.seconds += sec; c.billedSeconds += billedSeconds; c.amount += amount;
+    totals[currency] = (totals[currency] || 0) + amount;
+  }
+  const list = [...clients.values()].sort((a, b) => a.client === NO_CLIENT ? 1 : b.client === NO_CLIENT ? -1 : a.client.localeCompare(b.client));
+  for (const c of list) { c.lines.sort((a, b) => b.amount - a.amount); c.amount = Math.round(c.amount * 100) / 100; }
+  return { clients: list, totals, unbilledSeconds };
+}
+
+const hours = (sec) => (sec / 3600).toFixed(2);
+
+/* ---------- CSV ---------- */
+export const BILLING_COLUMNS = ["client", "timer", "category", "tracked", "billedHours", "rate", "currency", "amount"];
+export function exportBillingCSV(summary, { fromDay, toDay }) {
+  const rows = [BILLING_COLUMNS];
+  for (const c of summary.clients) {
+    for (const l of c.lines) rows.push([c.client, l.name, l.category, fmtHMS(l.seconds), hours(l.billedSeconds), l.rate.toFixed(2), c.currency, l.amount.toFixed(2)]);
+    rows.push([c.client, "Total", "", fmtHMS(c.seconds), hours(c.billedSeconds), "", c.currency, c.amount.toFixed(2)]);
+  }
+  download(toCSV(rows), "text/csv;charset=utf-8;", `shiny-timer-billing-${fromDay}_${toDay}.csv`);
+}
+
+/* ---------- Printable invoice (standalone HTML) ---------- */
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+// one invoice page per client (page breaks between clients when printed)
+export function invoiceHTML(summary, { fromDay, toDay, from = "", number = "" }) {
+  const issued = new Date().toLocaleDateString();
+  const pages = summary.clients.map((c, i) => `
+<section>
+  <header>
+    <div><h1>Invoice</h1>${number ? `<div>No. ${esc(number)}${summary.clients.length > 1 ? `-${i + 1}` : ""}</div>` : ""}<div>Issued ${esc(issued)}</div></div>
+    <div class="right">${from ? `<strong>${esc(from)}</strong><br>` : ""}Bill to: <strong>${esc(c.client)}</strong><br>Period: ${esc(fromDay)} – ${esc(toDay)}</div>
+  </header>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+    <tbody>${c.lines.map(l => `<tr><td>${esc(l.name)}</td><td class="num">${hours(l.billedSeconds)}</td><td class="num">${esc(fmtMoney(l.rate, c.currency))}/h</td><td class="num">${esc(fmtMoney(l.amount, c.currency))}</td></tr>`).join("")}</tbody>
+    <tfoot><tr><td>Total</td><td class="num">${hours(c.billedSeconds)}</td><td></td><td class="num">${esc(fmtMoney(c.amount, c.currency))}</td></tr></tfoot>
+  </table>
+</section>`).join("");
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Invoice ${esc(fromDay)} – ${esc(toDay)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; margin: 0; }
+  section { max-width: 760px; margin: 40px auto; padding: 0 24px; page-break-after: always; }
+  section:last-child { page-break-after: auto; }
+  header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  .right { text-align: right; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 8px 6px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  tfoot td { font-weight: 700; border-bottom: none; border-top: 2px solid #111; }
+  @media print { section { margin: 0 auto; } }
+</style></head>
+<body>${pages}</body></html>`;
+}
+
+export function downloadInvoice(summary, opts) {
+  download(invoiceHTML(summary, opts), "text/html;charset=utf-8", `shiny-timer-invoice-${opts.fromDay}_${opts.toDay}.html`);
+}
+
+// opens the invoice in a new window and brings up the print dialog
+export function printInvoice(summary, opts) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(invoiceHTML(summary, opts));
+  w.document.close();
+  w.focus();
+  w.print();
+  return true;
+}
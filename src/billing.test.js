@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { roundSeconds, rateOf, clientOf, billingSummary, invoiceHTML, BILLING_DEFAULTS, NO_CLIENT } from "./billing";
+
+describe("roundSeconds", () => {
+  it("rounds up, to the nearest or down to the step", () => {
+    expect(roundSeconds(16 * 60, 15, "up")).toBe(30 * 60);
+    expect(roundSeconds(22 * 60, 15, "nearest")).toBe(15 * 60);
+    expect(roundSeconds(23 * 60, 15, "nearest")).toBe(30 * 60);
+    expect(roundSeconds(29 * 60, 15, "down")).toBe(15 * 60);
+  });
+
+  it("leaves exact multiples alone in every mode", () => {
+    for (const mode of ["up", "nearest", "down"]) expect(roundSeconds(30 * 60, 15, mode)).toBe(30 * 60);
+  });
+
+  it("bills exact seconds for a 0-minute step", () => {
+    expect(roundSeconds(61.4, 0, "up")).toBe(61);
+  });
+});
+
+describe("rates and clients", () => {
+  const settings = { ...BILLING_DEFAULTS, currency: "EUR", categoryRates: { work: 80, break: 0, neutral: 40 } };
+
+  it("a timer's own rate and currency override the category's", () => {
+    expect(rateOf({ category: "work", hourlyRate: 120, currency: "USD" }, settings)).toEqual({ rate: 120, currency: "USD", own: true });
+    expect(rateOf({ category: "work", hourlyRate: null, currency: null }, settings)).toEqual({ rate: 80, currency: "EUR", own: false });
+    expect(rateOf({ category: "work", hourlyRate: 0 }, settings).rate).toBe(0);
+  });
+
+  it("bills the timer's client, else its project, else nobody", () => {
+    const projects = [{ id: "p", name: "Acme" }];
+    expect(clientOf({ client: " Globex ", projectId: "p" }, projects)).toBe("Globex");
+    expect(clientOf({ client: "", projectId: "p" }, projects)).toBe("Acme");
+    expect(clientOf({ client: "" }, projects)).toBe(NO_CLIENT);
+  });
+});
+
+describe("billingSummary", () => {
+  const settings = { ...BILLING_DEFAULTS, currency: "EUR", categoryRates: { work: 60, break: 0, neutral: 0 }, billingRoundMin: 15, billingRoundMode: "up" };
+  const timers = [
+    { id: "a", name: "Design", category: "work", billable: true, client: "Acme" },
+    { id: "b", name: "Review", category: "work", billable: true, client: "Acme", hourlyRate: 100 },
+    { id: "c", name: "Admin", category: "work", billable: false },
+    { id: "d", name: "Support", category: "work", billable: true, currency: "USD" },
+  ];
+  const days = {
+    "2024-04-30": { a: { netSec: 3600 } },
+    "2024-05-01": { a: { netSec: 50 * 60 }, b: { netSec: 10 * 60 }, c: { netSec: 1800 }, d: { netSec: 3600 } },
+    "2024-05-02": { a: { netSec: 10 * 60 } },
+  };
+  const summary = billingSummary({ days, timers, projects: [], settings, fromDay: "2024-05-01", toDay: "2024-05-02" });
+
+  it("totals each timer over the range, rounds it once and applies its rate", () => {
+    const acme = summary.clients.find(c => c.client === "Acme");
+    const byName = Object.fromEntries(acme.lines.map(l => [l.name, l]));
+    expect(byName.Design).toMatchObject({ seconds: 3600, billedSeconds: 3600, rate: 60, amount: 60 });
+    expect(byName.Review).toMatchObject({ seconds: 600, billedSeconds: 900, rate: 100, amount: 25 });
+    expect(acme.amount).toBe(85);
+    expect(acme.lines.map(l => l.name)).toEqual(["Design", "Review"]);
+  });
+
+  it("keeps currencies apart, puts No client last and counts unbillable time", () => {
+    expect(summary.clients.map(c => [c.client, c.currency])).toEqual([["Acme", "EUR"], [NO_CLIENT, "USD"]]);
+    expect(summary.totals).toEqual({ EUR: 85, USD: 60 });
+    expect(summary.unbilledSeconds).toBe(1800);
+  });
+
+  it("rounds money to cents", () => {
+    const odd = billingSummary({ days: { d: { a: { netSec: 60 } } }, timers: [{ ...timers[0], hourlyRate: 33.33 }], projects: [], settings: { ...settings, billingRoundMin: 0 }, fromDay: "d", toDay: "d" });
+    expect(odd.clients[0].amount).toBe(0.56);
+  });
+
+  it("escapes names in the invoice", () => {
+    const html = invoiceHTML({ clients: [{ client: "<b>Acme</b>", currency: "EUR", lines: [], billedSeconds: 0, amount: 0 }] }, { fromDay: "a", toDay: "b" });
+    expect(html).toContain("&lt;b&gt;Acme&lt;/b&gt;");
+  });
+});
@@ -0,0 +1,42 @@
+/* -------------------------------------------------
+   Command palette helpers + global shortcut table
+----------------------------------------------------*/
+export const SHORTCUTS = [
+  ["Ctrl/⌘ K", "Command palette"],
+  ["1 – 9", "Start / pause the Nth timer"],
+  ["Space", "Pause whatever is running"],
+  ["N", "Add a timer"],
+  ["Ctrl/⌘ Z or U", "Undo"],
+  ["Ctrl/⌘ Shift Z or Ctrl/⌘ Y", "Redo"],
+];
+
+// subsequence fuzzy match: null when `query` doesn't match, else a score (higher = better)
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().trim(), t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0, ti = 0, streak = 0;
+  for (const ch of q) {
+    if (ch === " ") { streak = 0; continue; }
+    const at = t.indexOf(ch, ti);
+    if (at === -1) return null;
+    streak = at === ti ? streak + 1 : 0;
+    score += 1 + streak * 2 + (at === 0 || t[at - 1] === " " ? 3 : 0);
+    ti = at + 1;
+  }
+  return score - t.length * 0.01;
+}
+
+// "+15 design" / "-10" → { minutes: ±N, rest: "design" }; null when the query isn't an adjustment
+export function parseAdjust(query) {
+  const m = /^\s*([+-])\s*(\d{1,4})\s*m?\b\s*(.*)$/i.exec(query);
+  if (!m) return null;
+  const minutes = Number(m[2]) * (m[1] === "-" ? -1 : 1);
+  return minutes ? { minutes, rest: m[3] } : null;
+}
+
+// true when a key press belongs to a text field rather than to the app
+export function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return el.isContentEditable || tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { fuzzyScore, parseAdjust, isTypingTarget } from "./commands";
+
+describe("fuzzyScore", () => {
+  it("matches the query's letters in order, ignoring case", () => {
+    expect(fuzzyScore("dsgn", "Design")).not.toBeNull();
+    expect(fuzzyScore("DES", "design")).not.toBeNull();
+    expect(fuzzyScore("ngis", "Design")).toBeNull();
+    expect(fuzzyScore("x", "Design")).toBeNull();
+  });
+
+  it("scores an empty query 0", () => {
+    expect(fuzzyScore("  ", "Anything")).toBe(0);
+  });
+
+  it("prefers consecutive letters and word starts", () => {
+    expect(fuzzyScore("des", "Design")).toBeGreaterThan(fuzzyScore("dsg", "Design"));
+    expect(fuzzyScore("rev", "Code review")).toBeGreaterThan(fuzzyScore("rev", "Street view"));
+  });
+
+  it("breaks ties toward shorter text", () => {
+    expect(fuzzyScore("pause", "Pause")).toBeGreaterThan(fuzzyScore("pause", "Pause all timers"));
+  });
+});
+
+describe("parseAdjust", () => {
+  it("reads signed minutes and the rest of the query", () => {
+    expect(parseAdjust("+15 design")).toEqual({ minutes: 15, rest: "design" });
+    expect(parseAdjust("-10")).toEqual({ minutes: -10, rest: "" });
+    expect(parseAdjust("  - 5m Focus time")).toEqual({ minutes: -5, rest: "Focus time" });
+    expect(parseAdjust("+90M")).toEqual({ minutes: 90, rest: "" });
+  });
+
+  it("isn't an adjustment without a sign, with zero minutes or with a number run into text", () => {
+    expect(parseAdjust("15 design")).toBeNull();
+    expect(parseAdjust("+0 design")).toBeNull();
+    expect(parseAdjust("+15design")).toBeNull();
+    expect(parseAdjust("+15minutes")).toBeNull();
+    expect(parseAdjust("+12345")).toBeNull();
+    expect(parseAdjust("design +15")).toBeNull();
+  });
+});
+
+describe("isTypingTarget", () => {
+  it("lets text fields keep their keys", () => {
+    expect(isTypingTarget({ tagName: "INPUT" })).toBe(true);
+    expect(isTypingTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+    expect(isTypingTarget({ tagName: "BUTTON" })).toBe(false);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
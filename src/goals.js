@@ -0,0 +1,73 @@
+import { addDays } from "./history";
+
+/* -------------------------------------------------
+   Recurring goals
+   t.goalRepeat: "none" (one-shot, cleared by reset) | "daily" | "weekdays" | "weekly"
+   t.goalPeriod: the period the current goalFired belongs to
+   t.streak / t.bestStreak / t.streakPeriod: consecutive periods with the goal met
+   Periods are keyed by their first app day ("YYYY-MM-DD", see history.js);
+   weeks start on Monday.
+----------------------------------------------------*/
+export const GOAL_REPEATS = [
+  { label: "Once", value: "none" },
+  { label: "Daily", value: "daily" },
+  { label: "Weekdays", value: "weekdays" },
+  { label: "Weekly", value: "weekly" },
+];
+
+const UNIT = { daily: "day", weekdays: "weekday", weekly: "week" };
+
+const weekday = (key) => { const [y, m, d] = key.split("-").map(Number); return new Date(y, m - 1, d).getDay(); };
+const isWeekend = (key) => { const w = weekday(key); return w === 0 || w === 6; };
+
+export const isRecurring = (t) => !!t.goalRepeat && t.goalRepeat !== "none";
+
+// the period `day` falls in (null on weekends for weekday goals)
+export function periodKey(repeat, day) {
+  if (repeat === "weekly") return addDays(day, -((weekday(day) + 6) % 7));
+  if (repeat === "weekdays" && isWeekend(day)) return null;
+  return day;
+}
+
+// the period before `key`
+export function prevPeriodKey(repeat, key) {
+  if (repeat === "weekly") return addDays(key, -7);
+  let day = addDays(key, -1);
+  if (repeat === "weekdays") while (isWeekend(day)) day = addDays(day, -1);
+  return day;
+}
+
+/**
+ * Net seconds in the period containing `day`: archived days of the period from
+ * history plus the live (not yet archived) net seconds.
+ */
+export function periodProgress(t, history, day, liveSec) {
+  const start = periodKey(t.goalRepeat, day);
+  if (!start) return 0;
+  let sum = liveSec;
+  for (let d = start; d <= day; d = addDays(d, 1)) sum += history[d]?.[t.id]?.netSec || 0;
+  return sum;
+}
+
+// has the goal already fired in period `key`? (a manual reset doesn't re-arm a recurring goal)
+export function goalFiredIn(t, key) {
+  return isRecurring(t) ? t.goalPeriod === key : !!t.goalFired;
+}
+
+// patch for a goal met in period `key`
+export function metPatch(t, key) {
+  if (!isRecurring(t)) return { goalFired: true };
+  if (t.streakPeriod === key) return { goalFired: true, goalPeriod: key };
+  const streak = t.streakPeriod === prevPeriodKey(t.goalRepeat, key) ? (t.streak || 0) + 1 : 1;
+  return { goalFired: true, goalPeriod: key, streak, bestStreak: Math.max(t.bestStreak || 0, streak), streakPeriod: key };
+}
+
+// the streak still alive on `day` (met in its period or in the one before)
+export function liveStreak(t, day) {
+  if (!isRecurring(t) || !t.streakPeriod) return 0;
+  const key = periodKey(t.goalRepeat, day);
+  const alive = key ? [key, prevPeriodKey(t.goalRepeat, key)] : [prevPeriodKey(t.goalRepeat, day)];
+  return alive.includes(t.streakPeriod) ? t.streak || 0 : 0;
+}
+
+export const streakLabel = (repeat, n) => `${n}-${UNIT[repeat] ?? "day"} streak`;
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import { periodKey, prevPeriodKey, periodProgress, goalFiredIn, metPatch, liveStreak, streakLabel } from "./goals";
+
+// 2024-05-01 is a Wednesday
+describe("periodKey / prevPeriodKey", () => {
+  it("keys a week by its Monday, across month and year ends", () => {
+    expect(periodKey("weekly", "2024-05-01")).toBe("2024-04-29");
+    expect(periodKey("weekly", "2024-05-05")).toBe("2024-04-29"); // Sunday
+    expect(periodKey("weekly", "2024-05-06")).toBe("2024-05-06");
+    expect(periodKey("weekly", "2025-01-01")).toBe("2024-12-30");
+    expect(prevPeriodKey("weekly", "2024-04-29")).toBe("2024-04-22");
+  });
+
+  it("keys days by themselves, across month ends", () => {
+    expect(periodKey("daily", "2024-03-01")).toBe("2024-03-01");
+    expect(prevPeriodKey("daily", "2024-03-01")).toBe("2024-02-29");
+  });
+
+  it("skips weekends for weekday goals", () => {
+    expect(periodKey("weekdays", "2024-05-04")).toBeNull();
+    expect(periodKey("weekdays", "2024-05-03")).toBe("2024-05-03");
+    expect(prevPeriodKey("weekdays", "2024-05-06")).toBe("2024-05-03"); // Monday → Friday
+    expect(prevPeriodKey("weekdays", "2024-06-03")).toBe("2024-05-31"); // … across a month end
+  });
+});
+
+describe("periodProgress", () => {
+  const t = { id: "a", goalRepeat: "weekly" };
+  const history = { "2024-04-28": { a: { netSec: 999 } }, "2024-04-29": { a: { netSec: 60 } }, "2024-04-30": { a: { netSec: 30 }, b: { netSec: 5 } } };
+
+  it("adds the period's archived days to the live seconds", () => {
+    expect(periodProgress(t, history, "2024-05-01", 10)).toBe(100);
+    expect(periodProgress({ ...t, goalRepeat: "daily" }, history, "2024-05-01", 10)).toBe(10);
+  });
+
+  it("is zero on a weekend for a weekday goal", () => {
+    expect(periodProgress({ ...t, goalRepeat: "weekdays" }, history, "2024-05-04", 10)).toBe(0);
+  });
+});
+
+describe("streaks", () => {
+  const daily = { id: "a", goalRepeat: "daily" };
+
+  it("starts a streak, continues it the next period and keeps the best", () => {
+    const first = metPatch(daily, "2024-05-01");
+    expect(first).toEqual({ goalFired: true, goalPeriod: "2024-05-01", streak: 1, bestStreak: 1, streakPeriod: "2024-05-01" });
+    const second = metPatch({ ...daily, ...first }, "2024-05-02");
+    expect([second.streak, second.bestStreak]).toEqual([2, 2]);
+  });
+
+  it("breaks the streak after a missed period but keeps the best", () => {
+    const t = { ...daily, streak: 5, bestStreak: 5, streakPeriod: "2024-05-01" };
+    const next = metPatch(t, "2024-05-03");
+    expect([next.streak, next.bestStreak]).toEqual([1, 5]);
+  });
+
+  it("doesn't count the same period twice", () => {
+    const t = { ...daily, streak: 3, bestStreak: 4, streakPeriod: "2024-05-01" };
+    expect(metPatch(t, "2024-05-01")).toEqual({ goalFired: true, goalPeriod: "2024-05-01" });
+  });
+
+  it("carries a weekday streak over the weekend", () => {
+    const t = { id: "a", goalRepeat: "weekdays", streak: 4, bestStreak: 4, streakPeriod: "2024-05-03" };
+    expect(metPatch(t, "2024-05-06").streak).toBe(5);
+    expect(liveStreak(t, "2024-05-05")).toBe(4);
+  });
+
+  it("continues weekly streaks week over week", () => {
+    const t = { id: "a", goalRepeat: "weekly", streak: 2, bestStreak: 2, streakPeriod: "2024-04-22" };
+    expect(metPatch(t, "2024-04-29").streak).toBe(3);
+    expect(metPatch(t, "2024-05-06").streak).toBe(1);
+  });
+
+  it("shows a streak while it's alive: met this period or the one before", () => {
+    const t = { ...daily, streak: 3, streakPeriod: "2024-05-01" };
+    expect(liveStreak(t, "2024-05-01")).toBe(3);
+    expect(liveStreak(t, "2024-05-02")).toBe(3);
+    expect(liveStreak(t, "2024-05-03")).toBe(0);
+    expect(liveStreak({ goalRepeat: "none", streak: 3, streakPeriod: "2024-05-01" }, "2024-05-01")).toBe(0);
+  });
+
+  it("fires a one-shot goal once and a recurring one once per period", () => {
+    expect(metPatch({ goalRepeat: "none" }, null)).toEqual({ goalFired: true });
+    expect(goalFiredIn({ goalRepeat: "none", goalFired: true }, null)).toBe(true);
+    expect(goalFiredIn({ goalRepeat: "daily", goalFired: true, goalPeriod: "2024-05-01" }, "2024-05-02")).toBe(false);
+    expect(streakLabel("weekly", 3)).toBe("3-week streak");
+  });
+});
@@ -0,0 +1,81 @@
+import { pad } from "./utils";
+
+/* -------------------------------------------------
+   Day history: per-day snapshots of each timer's net time
+   { "YYYY-MM-DD": { [timerId]: { name, category, netSec, targetSec, updatedAt } } }
+   A "day" starts at settings.dayStartHour local time (e.g. 4 → 04:00–03:59).
+----------------------------------------------------*/
+export const keyOf = (d) => `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}`;
+
+// by the wall clock, so the day still turns at dayStartHour on DST change days
+export function dayKey(ms, dayStartHour = 0) {
+  const d = new Date(ms);
+  return d.getHours() < dayStartHour ? addDays(keyOf(d), -1) : keyOf(d);
+}
+
+export function dayStartMs(key, dayStartHour = 0) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d, dayStartHour).getTime();
+}
+
+export function addDays(key, n) {
+  const [y, m, d] = key.split("-").map(Number);
+  return keyOf(new Date(y, m - 1, d + n));
+}
+
+// first boundary after the given day
+export const nextBoundary = (key, dayStartHour = 0) => dayStartMs(addDays(key, 1), dayStartHour);
+
+// net seconds a timer had accumulated at time `at`
+export function netAt(t, at) {
+  const run = t.running && t.startTs && at > t.startTs ? (at - t.startTs) / 1000 : 0;
+  return Math.max(0, (t.elapsedSec + run) - (t.revisionSec || 0));
+}
+
+// adds a snapshot into the history map (a day closed twice accumulates)
+export function mergeSnapshot(history, key, entries) {
+  const day = { ...(history[key] || {}) };
+  const now = Date.now();
+  for (const e of entries) {
+    const prev = day[e.timerId];
+    day[e.timerId] = { name: e.name, category: e.category, targetSec: e.targetSec, netSec: Math.floor((prev?.netSec || 0) + e.netSec), updatedAt: now };
+  }
+  return { ...history, [key]: day };
+}
+
+// history plus the live (not yet archived) totals of `key`, without touching updatedAt
+export function liveSnapshot(history, key, entries) {
+  const day = { ...(history[key] || {}) };
+  for (const e of entries) {
+    if (!(e.netSec > 0)) continue;
+    const prev = day[e.timerId];
+    day[e.timerId] = { ...prev, name: e.name, category: e.category, targetSec: e.targetSec, netSec: (prev?.netSec || 0) + e.netSec };
+  }
+  return { ...history, [key]: day };
+}
+
+export const dayTotal = (day) => Object.values(day || {}).reduce((a, e) => a + (e.netSec || 0), 0);
+
+/* ---------- Supabase row mapping (table: day_history) ---------- */
+export function historyToRows(history, userId, since = 0) {
+  const rows = [];
+  for (const [day, entries] of Object.entries(history)) {
+    for (const [timerId, e] of Object.entries(entries)) {
+      if ((e.updatedAt || 0) <= since) continue;
+      rows.push({ user_id:userId, day, timer_id:timerId, name:e.name, category:e.category, net_sec:Math.floor(e.netSec||0), target_sec:Math.floor(e.targetSec||0), updated_at:new Date(e.updatedAt).toISOString() });
+    }
+  }
+  return rows;
+}
+
+// newest updatedAt wins per (day, timer)
+export function mergeHistoryRows(history, rows) {
+  const next = { ...history };
+  for (const r of rows) {
+    const updatedAt = r.updated_at ? Date.parse(r.updated_at) : 0;
+    const cur = next[r.day]?.[r.timer_id];
+    if (cur && (cur.updatedAt || 0) > updatedAt) continue;
+    next[r.day] = { ...(next[r.day] || {}), [r.timer_id]: { name:r.name, category:r.category, netSec:r.net_sec, targetSec:r.target_sec, updatedAt } };
+  }
+  return next;
+}
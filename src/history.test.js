@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { dayKey, dayStartMs, addDays, nextBoundary, mergeSnapshot, netAt } from "./history";
+
+// a zone with DST, so the spring-forward / fall-back days are real
+process.env.TZ = "Europe/Berlin";
+const at = (y, m, d, h, min = 0) => new Date(y, m - 1, d, h, min).getTime();
+
+describe("dayKey", () => {
+  it("turns at midnight by default", () => {
+    expect(dayKey(at(2024, 5, 1, 23, 59))).toBe("2024-05-01");
+    expect(dayKey(at(2024, 5, 2, 0, 0))).toBe("2024-05-02");
+  });
+
+  it("counts the hours before dayStartHour to the day before", () => {
+    expect(dayKey(at(2024, 5, 2, 3, 59), 4)).toBe("2024-05-01");
+    expect(dayKey(at(2024, 5, 2, 4, 0), 4)).toBe("2024-05-02");
+  });
+
+  it("rolls back across month and year ends", () => {
+    expect(dayKey(at(2024, 3, 1, 2), 4)).toBe("2024-02-29");
+    expect(dayKey(at(2024, 1, 1, 2), 4)).toBe("2023-12-31");
+  });
+
+  it("turns at dayStartHour on DST change days", () => {
+    // 2024-03-31: 02:00 → 03:00; 2024-10-27: 03:00 → 02:00
+    expect(dayKey(at(2024, 3, 31, 3, 59), 4)).toBe("2024-03-30");
+    expect(dayKey(at(2024, 3, 31, 4, 0), 4)).toBe("2024-03-31");
+    expect(dayKey(at(2024, 10, 27, 3, 59), 4)).toBe("2024-10-26");
+    expect(dayKey(at(2024, 10, 27, 4, 0), 4)).toBe("2024-10-27");
+  });
+
+  it("agrees with dayStartMs at every boundary", () => {
+    for (const key of ["2024-03-30", "2024-03-31", "2024-10-27", "2024-12-31"]) {
+      for (const hour of [0, 4]) {
+        expect(dayKey(dayStartMs(key, hour), hour)).toBe(key);
+        expect(dayKey(dayStartMs(key, hour) - 1, hour)).toBe(addDays(key, -1));
+      }
+    }
+  });
+});
+
+describe("day boundaries", () => {
+  it("adds days across months and years", () => {
+    expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+    expect(addDays("2024-12-31", 1)).toBe("2025-01-01");
+    expect(addDays("2024-03-01", -1)).toBe("2024-02-29");
+  });
+
+  it("puts the next boundary at dayStartHour of the following day", () => {
+    expect(nextBoundary("2024-05-01", 4)).toBe(at(2024, 5, 2, 4));
+    expect(nextBoundary("2024-12-31")).toBe(at(2025, 1, 1, 0));
+  });
+
+  it("makes a DST day 23 or 25 hours long", () => {
+    const hours = (key) => (nextBoundary(key, 4) - dayStartMs(key, 4)) / 3600000;
+    expect(hours("2024-03-30")).toBe(23);
+    expect(hours("2024-10-26")).toBe(25);
+    expect(hours("2024-05-01")).toBe(24);
+  });
+});
+
+describe("mergeSnapshot", () => {
+  const entry = (timerId, netSec) => ({ timerId, name: timerId, category: "work", targetSec: 3600, netSec });
+
+  it("adds a day's entries and accumulates a day closed twice", () => {
+    const once = mergeSnapshot({}, "2024-05-01", [entry("a", 60.7)]);
+    expect(once["2024-05-01"].a.netSec).toBe(60);
+    const twice = mergeSnapshot(once, "2024-05-01", [entry("a", 30), entry("b", 10)]);
+    expect(twice["2024-05-01"].a.netSec).toBe(90);
+    expect(twice["2024-05-01"].b.netSec).toBe(10);
+    expect(once["2024-05-01"].a.netSec).toBe(60);
+  });
+
+  it("leaves other days alone", () => {
+    const history = { "2024-04-30": { a: { netSec: 5 } } };
+    expect(mergeSnapshot(history, "2024-05-01", [entry("a", 1)])["2024-04-30"]).toBe(history["2024-04-30"]);
+  });
+});
+
+describe("netAt", () => {
+  it("includes the run up to `at` and takes deductions off", () => {
+    const t = { elapsedSec: 100, revisionSec: 30, running: true, startTs: 1000 };
+    expect(netAt(t, 61000)).toBe(130);
+    expect(netAt({ ...t, running: false }, 61000)).toBe(70);
+    expect(netAt({ ...t, revisionSec: 500 }, 61000)).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+/* -------------------------------------------------
+   Idle detection
+   In-page: no input for `thresholdMs` (hidden tab time counts only if asked to).
+   System: the Idle Detection API (Chromium, needs permission) when `useSystem`.
+   onIdle(since) gets the exact last-activity time, onActive(at) the return time.
+----------------------------------------------------*/
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+export const idleApiSupported = () => typeof window !== "undefined" && "IdleDetector" in window;
+
+export async function requestIdlePermission() {
+  if (!idleApiSupported()) return "unsupported";
+  try { return await window.IdleDetector.requestPermission(); } catch { return "denied"; }
+}
+
+export function startIdleWatch({ thresholdMs, hiddenCountsAsIdle, useSystem, onIdle, onActive }) {
+  let lastActive = Date.now(), idle = false, lastEvent = 0, system = null;
+  const abort = new AbortController();
+
+  function activity() {
+    const at = Date.now();
+    if (at - lastEvent < 1000 && !idle) return; // pointermove floods
+    lastEvent = at;
+    // a gap check() never saw (sleep, throttled background timers) is still an idle period
+    if (!idle && at - lastActive >= thresholdMs) goIdle(lastActive);
+    if (idle) { idle = false; onActive(at); }
+    lastActive = at;
+  }
+  function goIdle(since) { if (idle) return; idle = true; onIdle(since); }
+
+  function check() {
+    if (system) return; // the system detector is authoritative
+    if (document.visibilityState !== "visible" && !hiddenCountsAsIdle) return;
+    if (Date.now() - lastActive >= thresholdMs) goIdle(lastActive);
+  }
+  function onVisibility() {
+    if (document.visibilityState === "visible") { if (!hiddenCountsAsIdle && !idle) lastActive = Date.now(); activity(); }
+    else if (!hiddenCountsAsIdle) lastActive = Date.now(); // time away from the tab isn't evidence of being away
+  }
+
+  ACTIVITY_EVENTS.forEach(ev => window.addEventListener(ev, activity, { passive: true }));
+  document.addEventListener("visibilitychange", onVisibility);
+  const timer = setInterval(check, 5000);
+
+  if (useSystem && idleApiSupported()) {
+    (async () => {
+      try {
+        if ((await window.IdleDetector.requestPermission()) !== "granted") return;
+        const detector = new window.IdleDetector();
+        detector.addEventListener("change", () => {
+          if (detector.userState === "idle" || detector.screenState === "locked") goIdle(Math.min(lastActive, Date.now() - thresholdMs));
+          else activity();
+        });
+        await detector.start({ threshold: Math.max(60000, thresholdMs), signal: abort.signal });
+        system = detector;
+      } catch (e) { console.error(e); }
+    })();
+  }
+
+  return () => {
+    ACTIVITY_EVENTS.forEach(ev => window.removeEventListener(ev, activity));
+    document.removeEventListener("visibilitychange", onVisibility);
+    clearInterval(timer);
+    abort.abort();
+  };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { startIdleWatch } from "./idle";
+
+const MIN = 60 * 1000;
+let stop = null;
+
+// a page with no real DOM: window and document only need to dispatch events
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  vi.stubGlobal("window", new EventTarget());
+  vi.stubGlobal("document", Object.assign(new EventTarget(), { visibilityState: "visible" }));
+});
+afterEach(() => { stop?.(); stop = null; vi.useRealTimers(); vi.unstubAllGlobals(); });
+
+function watch(options = {}) {
+  const calls = [];
+  stop = startIdleWatch({ thresholdMs: 5 * MIN, hiddenCountsAsIdle: false, useSystem: false, onIdle: (since) => calls.push(["idle", since]), onActive: (at) => calls.push(["active", at]), ...options });
+  return calls;
+}
+const input = () => window.dispatchEvent(new Event("keydown"));
+const setVisibility = (state) => { document.visibilityState = state; document.dispatchEvent(new Event("visibilitychange")); };
+
+describe("startIdleWatch", () => {
+  it("goes idle from the last input once the threshold passes, and back on input", () => {
+    const calls = watch();
+    vi.advanceTimersByTime(2 * MIN);
+    input();
+    vi.advanceTimersByTime(4 * MIN);
+    expect(calls).toEqual([]);
+    vi.advanceTimersByTime(1 * MIN);
+    expect(calls).toEqual([["idle", 2 * MIN]]);
+    vi.advanceTimersByTime(3 * MIN);
+    input();
+    expect(calls).toEqual([["idle", 2 * MIN], ["active", 10 * MIN]]);
+  });
+
+  it("still reports a gap the interval never saw, like the machine sleeping", () => {
+    const calls = watch();
+    vi.setSystemTime(20 * MIN); // no interval ran meanwhile
+    input();
+    expect(calls).toEqual([["idle", 0], ["active", 20 * MIN]]);
+  });
+
+  it("doesn't count time on another tab unless asked to", () => {
+    const calls = watch();
+    vi.advanceTimersByTime(1 * MIN);
+    setVisibility("hidden");
+    vi.advanceTimersByTime(10 * MIN);
+    expect(calls).toEqual([]);
+    setVisibility("visible");
+    expect(calls).toEqual([]);
+  });
+
+  it("counts hidden time as idle with hiddenCountsAsIdle", () => {
+    const calls = watch({ hiddenCountsAsIdle: true });
+    vi.advanceTimersByTime(1 * MIN);
+    input();
+    setVisibility("hidden");
+    vi.advanceTimersByTime(10 * MIN);
+    expect(calls).toEqual([["idle", 1 * MIN]]);
+    setVisibility("visible");
+    expect(calls.at(-1)).toEqual(["active", 11 * MIN]);
+  });
+
+  it("stops listening once stopped", () => {
+    const calls = watch();
+    stop();
+    vi.advanceTimersByTime(10 * MIN);
+    input();
+    expect(calls).toEqual([]);
+  });
+});
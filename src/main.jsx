@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ShareView from './ShareView.jsx'
+import { shareTokenFromHash } from './share'
+import { local } from './storage'
 
-createRoot(document.getElementById('root')).render(
+// #/share/<token> is the public read-only dashboard; everything else is the app
+const shareToken = shareTokenFromHash()
+
+// the app reads its saved state synchronously, so the local store is loaded first (see storage.js)
+const ready = shareToken ? Promise.resolve() : local.hydrate()
+
+ready.then(() => createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareToken ? <ShareView token={shareToken} /> : <App />}
   </StrictMode>,
-)
+))
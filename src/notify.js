@@ -0,0 +1,49 @@
+/* -------------------------------------------------
+   Background signals: browser notifications, tab title and favicon badge
+----------------------------------------------------*/
+export const APP_TITLE = "ShinyTimer";
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+export const notificationPermission = () => notificationsSupported() ? Notification.permission : "unsupported";
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  try { return await Notification.requestPermission(); } catch { return Notification.permission; }
+}
+
+// no-op unless the user granted permission; `tag` collapses repeats for the same timer
+export function notify(title, body, tag) {
+  if (notificationPermission() !== "granted") return;
+  try {
+    const n = new Notification(title, { body, tag, icon: "/icons/icon-192.png" });
+    n.onclick = () => { window.focus(); n.close(); };
+  } catch (e) { console.error(e); }
+}
+
+let originalIcon = null;
+function iconLink() {
+  let link = document.querySelector("link[rel~='icon']");
+  if (!link) { link = document.createElement("link"); link.rel = "icon"; document.head.appendChild(link); }
+  if (originalIcon === null) originalIcon = { href: link.href, type: link.type };
+  return link;
+}
+
+// draws ⏱ with a coloured dot; `active=false` restores the original icon
+let badgeOn = false;
+export function setFaviconBadge(active) {
+  if (active === badgeOn) return;
+  badgeOn = active;
+  const link = iconLink();
+  if (!active) { link.href = originalIcon.href; link.type = originalIcon.type; return; }
+  const c = document.createElement("canvas"); c.width = c.height = 64;
+  const g = c.getContext("2d"); if (!g) return;
+  g.font = "52px serif"; g.textAlign = "center"; g.textBaseline = "middle";
+  g.fillText("⏱", 30, 36);
+  g.fillStyle = "#f43f5e"; g.beginPath(); g.arc(50, 14, 12, 0, Math.PI * 2); g.fill();
+  link.type = "image/png"; link.href = c.toDataURL("image/png");
+}
+
+export function setTitleBadge(text) {
+  document.title = text ? `${text} — ${APP_TITLE}` : APP_TITLE;
+}
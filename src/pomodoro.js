@@ -0,0 +1,35 @@
+/* -------------------------------------------------
+   Interval (pomodoro) cycles over a work timer and a break timer
+   state = { active, paused, phase: "work"|"break"|"longBreak", phaseEndsAt, remainingMs, cycle, config }
+   `cycle` counts finished work phases.
+----------------------------------------------------*/
+export const DEFAULT_INTERVAL = { workTimerId: null, breakTimerId: null, workMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 4, sound: true };
+
+export const IDLE_INTERVAL = { active: false, paused: false, phase: "work", phaseEndsAt: null, remainingMs: 0, cycle: 0, config: DEFAULT_INTERVAL };
+
+export const PHASE_LABELS = { work: "Work", break: "Break", longBreak: "Long break" };
+
+export function phaseMs(phase, config) {
+  const min = phase === "work" ? config.workMin : phase === "longBreak" ? config.longBreakMin : config.breakMin;
+  return Math.max(1, Number(min) || 0) * 60 * 1000;
+}
+
+export const phaseTimerId = (phase, config) => phase === "work" ? config.workTimerId : config.breakTimerId;
+
+export function startInterval(config, now = Date.now()) {
+  return { active: true, paused: false, phase: "work", phaseEndsAt: now + phaseMs("work", config), remainingMs: 0, cycle: 0, config };
+}
+
+// the phase after the current one; a long break follows every `longBreakEvery`-th work phase
+export function advance(state, now = Date.now()) {
+  const { config } = state;
+  let phase, cycle = state.cycle;
+  if (state.phase === "work") {
+    cycle += 1;
+    phase = config.longBreakEvery > 0 && cycle % config.longBreakEvery === 0 ? "longBreak" : "break";
+  } else phase = "work";
+  return { ...state, phase, cycle, paused: false, phaseEndsAt: now + phaseMs(phase, config), remainingMs: 0 };
+}
+
+export const pauseInterval = (state, now = Date.now()) => ({ ...state, paused: true, remainingMs: Math.max(0, state.phaseEndsAt - now) });
+export const resumeInterval = (state, now = Date.now()) => ({ ...state, paused: false, phaseEndsAt: now + state.remainingMs, remainingMs: 0 });
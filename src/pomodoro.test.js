@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INTERVAL, phaseMs, phaseTimerId, startInterval, advance, pauseInterval, resumeInterval } from "./pomodoro";
+
+const MIN = 60 * 1000;
+const config = { ...DEFAULT_INTERVAL, workTimerId: "w", breakTimerId: "b", workMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 3 };
+
+describe("phaseMs / phaseTimerId", () => {
+  it("uses each phase's length, at least a minute", () => {
+    expect(phaseMs("work", config)).toBe(25 * MIN);
+    expect(phaseMs("break", config)).toBe(5 * MIN);
+    expect(phaseMs("longBreak", config)).toBe(15 * MIN);
+    expect(phaseMs("work", { ...config, workMin: 0 })).toBe(MIN);
+    expect(phaseMs("work", { ...config, workMin: "abc" })).toBe(MIN);
+  });
+
+  it("runs the break timer for both kinds of break", () => {
+    expect(phaseTimerId("work", config)).toBe("w");
+    expect(phaseTimerId("break", config)).toBe("b");
+    expect(phaseTimerId("longBreak", config)).toBe("b");
+  });
+});
+
+describe("advance", () => {
+  it("starts with a work phase", () => {
+    expect(startInterval(config, 1000)).toEqual({ active: true, paused: false, phase: "work", phaseEndsAt: 1000 + 25 * MIN, remainingMs: 0, cycle: 0, config });
+  });
+
+  it("alternates work and breaks, with a long break after every third work phase", () => {
+    let s = startInterval(config, 0);
+    const phases = [];
+    for (let i = 0; i < 8; i++) { s = advance(s, i); phases.push(s.phase); }
+    expect(phases).toEqual(["break", "work", "break", "work", "longBreak", "work", "break", "work"]);
+    expect(s.cycle).toBe(4);
+  });
+
+  it("times the next phase from now and unpauses", () => {
+    const s = advance({ ...startInterval(config, 0), paused: true, remainingMs: 5000 }, 100);
+    expect(s).toMatchObject({ phase: "break", paused: false, phaseEndsAt: 100 + 5 * MIN, remainingMs: 0, cycle: 1 });
+  });
+
+  it("never takes a long break when longBreakEvery is 0", () => {
+    let s = startInterval({ ...config, longBreakEvery: 0 }, 0);
+    for (let i = 0; i < 10; i++) { s = advance(s, 0); expect(s.phase).not.toBe("longBreak"); }
+  });
+});
+
+describe("pauseInterval / resumeInterval", () => {
+  it("keeps the time left across a pause", () => {
+    const paused = pauseInterval(startInterval(config, 0), 10 * MIN);
+    expect(paused).toMatchObject({ paused: true, remainingMs: 15 * MIN });
+    expect(resumeInterval(paused, 60 * MIN)).toMatchObject({ paused: false, phaseEndsAt: 75 * MIN, remainingMs: 0, phase: "work" });
+  });
+
+  it("has nothing left when paused after the phase ended", () => {
+    expect(pauseInterval(startInterval(config, 0), 30 * MIN).remainingMs).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+import { rowId } from "./utils";
+
+/* -------------------------------------------------
+   Projects: collapsible groups of timers
+   { id, name, targetSec, collapsed, sort_index, deleted, updatedAt }
+   A timer belongs to the project in its `projectId` (null = ungrouped).
+----------------------------------------------------*/
+export function makeProject(name = "New Project") {
+  return { id: rowId(), name, targetSec: 0, collapsed: false, sort_index: 0, deleted: false, updatedAt: Date.now() };
+}
+
+/**
+ * Splits the (sort_index ordered) timers into display groups: ungrouped timers
+ * first, then one group per project in project order. Timers pointing at a
+ * project that no longer exists count as ungrouped.
+ */
+export function groupTimers(timers, projects) {
+  const ids = new Set(projects.map(p => p.id));
+  const of = (t) => ids.has(t.projectId) ? t.projectId : null;
+  return [
+    { project: null, timers: timers.filter(t => of(t) === null) },
+    ...projects.map(p => ({ project: p, timers: timers.filter(t => of(t) === p.id) })),
+  ];
+}
+
+/**
+ * Moves timer `dragId` next to `overId` (or to the end of `projectId` when
+ * dropped on a project header) and adopts that group. Returns the new list in
+ * the same order; the caller reindexes.
+ */
+export function moveTimer(timers, dragId, { overId = null, projectId = null } = {}) {
+  const from = timers.findIndex(t => t.id === dragId);
+  if (from < 0 || dragId === overId) return timers;
+  const arr = [...timers];
+  const [moved] = arr.splice(from, 1);
+  const target = overId ? timers.find(t => t.id === overId)?.projectId ?? null : projectId;
+  const next = (moved.projectId ?? null) === target ? moved : { ...moved, projectId: target, updatedAt: Date.now() };
+  let to;
+  if (overId) to = timers.findIndex(t => t.id === overId);
+  else { const last = arr.findLastIndex(t => (t.projectId ?? null) === target); to = last + 1 || arr.length; }
+  arr.splice(Math.min(to, arr.length), 0, next);
+  return arr;
+}
+
+/* ---------- Supabase row mapping (table: projects) ---------- */
+export const projectFromRow = (r) => ({ id:r.id, name:r.name, targetSec:r.target_sec ?? 0, collapsed: !!r.collapsed, sort_index:r.sort_index ?? 0, deleted: !!r.deleted, updatedAt: r.updated_at ? Date.parse(r.updated_at) : 0 });
+export const projectToRow = (p, userId) => ({ id:p.id, user_id:userId, name:p.name, target_sec:Math.floor(p.targetSec||0), collapsed: !!p.collapsed, sort_index:p.sort_index ?? 0, deleted: !!p.deleted, updated_at:new Date(p.updatedAt || Date.now()).toISOString() });
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { makeProject, groupTimers, moveTimer, projectFromRow, projectToRow } from "./projects";
+
+const t = (id, projectId = null) => ({ id, projectId });
+const ids = (list) => list.map(x => x.id);
+
+describe("groupTimers", () => {
+  it("puts ungrouped timers first, then each project's in project order", () => {
+    const projects = [{ id: "p" }, { id: "q" }];
+    const groups = groupTimers([t("a", "q"), t("b"), t("c", "p"), t("d", "q")], projects);
+    expect(groups.map(g => g.project?.id ?? null)).toEqual([null, "p", "q"]);
+    expect(groups.map(g => ids(g.timers))).toEqual([["b"], ["c"], ["a", "d"]]);
+  });
+
+  it("counts timers of a deleted project as ungrouped and keeps empty projects", () => {
+    const groups = groupTimers([t("a", "gone"), t("b")], [{ id: "p" }]);
+    expect(groups.map(g => ids(g.timers))).toEqual([["a", "b"], []]);
+  });
+});
+
+describe("moveTimer", () => {
+  const timers = [t("a"), t("b"), t("c", "p"), t("d", "p")];
+
+  it("drops a timer in the place of the one it's dropped on, joining its project", () => {
+    const down = moveTimer(timers, "a", { overId: "c" });
+    expect(ids(down)).toEqual(["b", "c", "a", "d"]);
+    expect(down[2].projectId).toBe("p");
+    const up = moveTimer(timers, "d", { overId: "b" });
+    expect(ids(up)).toEqual(["a", "d", "b", "c"]);
+    expect(up[1].projectId).toBeNull();
+  });
+
+  it("keeps the same record when the project doesn't change", () => {
+    const next = moveTimer(timers, "b", { overId: "a" });
+    expect(ids(next)).toEqual(["b", "a", "c", "d"]);
+    expect(next[0]).toBe(timers[1]);
+  });
+
+  it("moves a timer dropped on a project header to the end of that project", () => {
+    expect(ids(moveTimer(timers, "a", { projectId: "p" }))).toEqual(["b", "c", "d", "a"]);
+    expect(ids(moveTimer(timers, "c", { projectId: null }))).toEqual(["a", "b", "c", "d"]);
+    const empty = moveTimer(timers, "a", { projectId: "q" });
+    expect(ids(empty)).toEqual(["b", "c", "d", "a"]);
+    expect(empty[3].projectId).toBe("q");
+  });
+
+  it("leaves the list alone for an unknown timer or a drop on itself", () => {
+    expect(moveTimer(timers, "x", { overId: "a" })).toBe(timers);
+    expect(moveTimer(timers, "a", { overId: "a" })).toBe(timers);
+  });
+});
+
+describe("project rows", () => {
+  it("round-trips through the projects table", () => {
+    const p = { ...makeProject("Site"), targetSec: 3600.7, collapsed: true, sort_index: 2, updatedAt: Date.UTC(2024, 4, 15) };
+    const row = projectToRow(p, "u1");
+    expect(row).toMatchObject({ user_id: "u1", name: "Site", target_sec: 3600, updated_at: "2024-05-15T00:00:00.000Z" });
+    expect(projectFromRow(row)).toEqual({ ...p, targetSec: 3600 });
+  });
+
+  it("fills defaults for missing columns", () => {
+    expect(projectFromRow({ id: "p", name: "P" })).toEqual({ id: "p", name: "P", targetSec: 0, collapsed: false, sort_index: 0, deleted: false, updatedAt: 0 });
+  });
+});
@@ -0,0 +1,37 @@
+/* -------------------------------------------------
+   Service worker registration + "new version" handshake
+----------------------------------------------------*/
+let waiting = null;
+
+// calls onNeedRefresh() when a new build is installed and waiting to take over
+export function registerServiceWorker({ onNeedRefresh }) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  let refreshing = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (refreshing) return; refreshing = true; window.location.reload();
+  });
+  const register = async () => {
+    try {
+      const reg = await navigator.serviceWorker.register("/sw.js");
+      const offer = (sw) => { waiting = sw; onNeedRefresh(); };
+      if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const sw = reg.installing; if (!sw) return;
+        sw.addEventListener("statechange", () => {
+          // "installed" with an existing controller = an update, not the first install
+          if (sw.state === "installed" && navigator.serviceWorker.controller) offer(sw);
+        });
+      });
+      // long-lived tabs: look for a new build every hour
+      setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+    } catch (e) { console.error(e); }
+  };
+  // App mounts after the local store has loaded, usually well after "load"
+  if (document.readyState === "complete") register();
+  else window.addEventListener("load", register, { once: true });
+}
+
+export function applyUpdate() {
+  if (waiting) waiting.postMessage({ type: "SKIP_WAITING" });
+  else window.location.reload();
+}
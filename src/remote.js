@@ -0,0 +1,175 @@
+import { supabase } from "./supabaseClient";
+
+/* -------------------------------------------------
+   Remote (cloud) adapters — what sync.js and App's sign-in merge talk to.
+   Rows are in the database shape (snake_case, user_id, updated_at ISO).
+   {
+     name,
+     select(table, userId, { ids? })           → { data: rows, error }
+     upsert(table, rows, { onConflict })       → { error }
+     remove(table, userId, match)              → { error }   match: { id } or { day, timer_id }
+     update(table, userId, id, patch)          → { error }
+     subscribe(table, userId, onChange)        → unsubscribe; onChange({ type: "upsert", row } | { type: "delete", id })
+     auth: { getUser(), onChange(cb) → unsubscribe, signIn(email) → { error }, signOut() }
+   }
+   VITE_REMOTE picks one: "supabase" (default when configured) | "rest" | "memory" | "none".
+   Public share links and team workspaces use Supabase RPC/realtime directly
+   and are only offered with the Supabase adapter.
+----------------------------------------------------*/
+const ok = { error: null };
+const fail = (e) => ({ error: { message: e?.message || String(e) } });
+
+/* ---------- Supabase ---------- */
+export function supabaseRemote(client) {
+  return {
+    name: "supabase",
+    async select(table, userId, { ids } = {}) {
+      let q = client.from(table).select("*").eq("user_id", userId);
+      if (ids) q = q.in("id", ids);
+      if (table === "timers" || table === "projects") q = q.order("sort_index", { ascending: true });
+      const { data, error } = await q;
+      return { data: data || [], error };
+    },
+    async upsert(table, rows, { onConflict } = {}) {
+      const { error } = await client.from(table).upsert(rows, onConflict ? { onConflict } : undefined);
+      return { error };
+    },
+    async remove(table, userId, match) {
+      const { error } = await client.from(table).delete().match({ user_id: userId, ...match });
+      return { error };
+    },
+    async update(table, userId, id, patch) {
+      const { error } = await client.from(table).update(patch).eq("user_id", userId).eq("id", id);
+      return { error };
+    },
+    subscribe(table, userId, onChange) {
+      const channel = client
+        .channel(`${table}-rt`)
+        .on("postgres_changes", { event: "*", schema: "public", table, filter: `user_id=eq.${userId}` }, (payload) => {
+          if (payload.eventType === "DELETE") { if (payload.old?.id) onChange({ type: "delete", id: payload.old.id }); return; }
+          const row = payload.new || payload.old;
+          if (row) onChange({ type: "upsert", row });
+        })
+        .subscribe();
+      return () => { client.removeChannel(channel); };
+    },
+    auth: {
+      async getUser() { const { data } = await client.auth.getSession(); return data.session?.user ?? null; },
+      onChange(cb) { const { data } = client.auth.onAuthStateChange((_e, session) => cb(session?.user ?? null)); return () => data?.subscription?.unsubscribe?.(); },
+      async signIn(email) { const { error } = await client.auth.signInWithOtp({ email, options: { emailRedirectTo: window.location.origin } }); return { error }; },
+      async signOut() { await client.auth.signOut(); },
+    },
+  };
+}
+
+/* ---------- Generic REST (self-hosted) ----------
+   GET    {base}/{table}?ids=a,b&since=ISO   → rows of the signed-in user
+   POST   {base}/{table}?on_conflict=cols    body: rows            (upsert)
+   PATCH  {base}/{table}/{id}                body: patch
+   DELETE {base}/{table}?id=… | ?day=…&timer_id=…
+   GET    {base}/auth/me → { id, email } | 401;  POST {base}/auth/login { email };  POST {base}/auth/logout
+   The session is the server's cookie; there are no push updates, so
+   subscribe() polls for rows changed since the last poll. */
+export function restRemote(base, { pollMs = 15000 } = {}) {
+  const url = (path, query = {}) => {
+    const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v != null && v !== "")).toString();
+    return `${base.replace(/\/$/, "")}/${path}${qs ? `?${qs}` : ""}`;
+  };
+  async function call(method, path, { query, body } = {}) {
+    try {
+      const res = await fetch(url(path, query), { method, credentials: "include", headers: body ? { "Content-Type": "application/json" } : undefined, body: body ? JSON.stringify(body) : undefined });
+      if (!res.ok) return { data: null, error: { message: `${method} ${path}: HTTP ${res.status}`, status: res.status } };
+      const text = await res.text();
+      return { data: text ? JSON.parse(text) : null, error: null };
+    } catch (e) { return { data: null, ...fail(e) }; }
+  }
+  let listeners = [];
+  const api = {
+    name: "rest",
+    async select(table, _userId, { ids, since } = {}) {
+      const { data, error } = await call("GET", table, { query: { ids: ids?.join(","), since } });
+      return { data: data || [], error };
+    },
+    async upsert(table, rows, { onConflict } = {}) { const { error } = await call("POST", table, { query: { on_conflict: onConflict }, body: rows }); return { error }; },
+    async remove(table, _userId, match) { const { error } = await call("DELETE", table, { query: match }); return { error }; },
+    async update(table, _userId, id, patch) { const { error } = await call("PATCH", `${table}/${encodeURIComponent(id)}`, { body: patch }); return { error }; },
+    subscribe(table, userId, onChange) {
+      let since = new Date().toISOString();
+      const id = setInterval(async () => {
+        const polledAt = new Date().toISOString();
+        const { data, error } = await api.select(table, userId, { since });
+        if (error) return;
+        since = polledAt;
+        data.forEach(row => onChange({ type: "upsert", row }));
+      }, pollMs);
+      return () => clearInterval(id);
+    },
+    auth: {
+      async getUser() { const { data } = await call("GET", "auth/me"); return data?.id ? data : null; },
+      onChange(cb) { listeners.push(cb); return () => { listeners = listeners.filter(l => l !== cb); }; },
+      async signIn(email) { const { error } = await call("POST", "auth/login", { body: { email } }); return { error }; },
+      async signOut() { await call("POST", "auth/logout"); listeners.forEach(l => l(null)); },
+    },
+  };
+  return api;
+}
+
+/* ---------- In-memory fake (tests, local sync without a backend) ----------
+   Rows live in `tables`; every write is echoed to subscribers like realtime,
+   and signIn() signs in immediately as the given email. */
+export function memoryRemote({ user = null } = {}) {
+  const tables = new Map(); // table → Map(key → row)
+  const subs = new Map();   // table → Set(onChange)
+  let current = user;
+  let authListeners = [];
+  const rowsOf = (table) => { if (!tables.has(table)) tables.set(table, new Map()); return tables.get(table); };
+  const keyOf = (row, onConflict = "id") => onConflict.split(",").map(c => row[c.trim()]).join("|");
+  const emit = (table, change) => subs.get(table)?.forEach(fn => fn(change));
+  const matches = (row, userId, match) => row.user_id === userId && Object.entries(match).every(([k, v]) => row[k] === v);
+  return {
+    name: "memory",
+    tables,
+    async select(table, userId, { ids } = {}) {
+      let data = [...rowsOf(table).values()].filter(r => r.user_id === userId);
+      if (ids) data = data.filter(r => ids.includes(r.id));
+      return { data: structuredClone(data), error: null };
+    },
+    async upsert(table, rows, { onConflict } = {}) {
+      for (const row of rows) {
+        rowsOf(table).set(keyOf(row, onConflict), structuredClone(row));
+        emit(table, { type: "upsert", row: structuredClone(row) });
+      }
+      return ok;
+    },
+    async remove(table, userId, match) {
+      for (const [k, row] of rowsOf(table)) if (matches(row, userId, match)) { rowsOf(table).delete(k); emit(table, { type: "delete", id: row.id }); }
+      return ok;
+    },
+    async update(table, userId, id, patch) {
+      for (const row of rowsOf(table).values()) if (matches(row, userId, { id })) { Object.assign(row, patch); emit(table, { type: "upsert", row: structuredClone(row) }); }
+      return ok;
+    },
+    subscribe(table, _userId, onChange) {
+      if (!subs.has(table)) subs.set(table, new Set());
+      subs.get(table).add(onChange);
+      return () => subs.get(table).delete(onChange);
+    },
+    auth: {
+      async getUser() { return current; },
+      onChange(cb) { authListeners.push(cb); return () => { authListeners = authListeners.filter(l => l !== cb); }; },
+      async signIn(email) { current = { id: `memory-${email}`, email }; authListeners.forEach(l => l(current)); return ok; },
+      async signOut() { current = null; authListeners.forEach(l => l(null)); },
+    },
+  };
+}
+
+export function pickRemote(kind = import.meta.env?.VITE_REMOTE) {
+  if (kind === "none") return null;
+  if (kind === "memory") return memoryRemote();
+  if (kind === "rest") return import.meta.env?.VITE_REST_URL ? restRemote(import.meta.env.VITE_REST_URL) : null;
+  return supabase ? supabaseRemote(supabase) : null;
+}
+
+export const remote = pickRemote();
+// share links and team workspaces need the Supabase project itself
+export const supabaseFeatures = remote?.name === "supabase";
@@ -0,0 +1,94 @@
+import { keyOf, addDays } from "./history";
+
+/* -------------------------------------------------
+   Report aggregation over day snapshots
+   days: { "YYYY-MM-DD": { [timerId]: { name, category, netSec, targetSec } } }
+----------------------------------------------------*/
+export const PERIODS = {
+  day:   { label: "Daily",   count: 14 },
+  week:  { label: "Weekly",  count: 8 },
+  month: { label: "Monthly", count: 6 },
+};
+
+const parse = (key) => { const [y, m, d] = key.split("-").map(Number); return new Date(y, m - 1, d); };
+
+// bucket a day key falls into: the day itself, the Monday of its week, or the 1st of its month
+export function bucketOf(key, period) {
+  if (period === "day") return key;
+  const d = parse(key);
+  if (period === "week") return addDays(key, -((d.getDay() + 6) % 7));
+  return keyOf(new Date(d.getFullYear(), d.getMonth(), 1));
+}
+
+export function bucketLabel(bucket, period) {
+  const d = parse(bucket);
+  if (period === "month") return d.toLocaleDateString(undefined, { month: "short", year: "2-digit" });
+  if (period === "week") return `wk ${d.toLocaleDateString(undefined, { month: "numeric", day: "numeric" })}`;
+  return d.toLocaleDateString(undefined, { month: "numeric", day: "numeric" });
+}
+
+// the last `count` buckets ending at `today`, oldest first
+export function recentBuckets(today, period, count) {
+  const out = [];
+  let b = bucketOf(today, period);
+  for (let i = 0; i < count; i++) {
+    out.unshift(b);
+    const d = parse(b);
+    b = period === "day" ? addDays(b, -1) : period === "week" ? addDays(b, -7) : keyOf(new Date(d.getFullYear(), d.getMonth() - 1, 1));
+  }
+  return out;
+}
+
+/**
+ * Sums net seconds per bucket, grouped by timer id or category.
+ * Returns { buckets: [{ bucket, label, values: { [group]: sec }, total, days }], groups: { [group]: { label, category, targetSec } } }
+ * `days` counts the calendar days of the bucket up to `today` (targets are per day).
+ */
+export function aggregate(days, today, period, groupBy) {
+  const keys = recentBuckets(today, period, PERIODS[period].count);
+  const index = new Map(keys.map(k => [k, { bucket: k, label: bucketLabel(k, period), values: {}, total: 0, days: 0 }]));
+  const groups = {};
+  for (const k of keys) {
+    const b = index.get(k);
+    for (let d = k; bucketOf(d, period) === k && d <= today; d = addDays(d, 1)) b.days++;
+  }
+  for (const [day, entries] of Object.entries(days)) {
+    const b = index.get(bucketOf(day, period)); if (!b) continue;
+    for (const [timerId, e] of Object.entries(entries)) {
+      const g = groupBy === "category" ? (e.category || "neutral") : timerId;
+      if (!groups[g]) groups[g] = { label: groupBy === "category" ? g : e.name, category: e.category || "neutral", targetSec: 0 };
+      if (groupBy === "timer") groups[g].targetSec = Math.max(groups[g].targetSec, e.targetSec || 0);
+      b.values[g] = (b.values[g] || 0) + (e.netSec || 0);
+      b.total += e.netSec || 0;
+    }
+  }
+  return { buckets: keys.map(k => index.get(k)), groups };
+}
+
+// work seconds per break second (null when there was no break)
+export function workBreakRatio(values, categoryOf) {
+  let work = 0, brk = 0;
+  for (const [g, sec] of Object.entries(values)) {
+    const c = categoryOf(g);
+    if (c === "work") work += sec; else if (c === "break") brk += sec;
+  }
+  return { work, break: brk, ratio: brk > 0 ? work / brk : null };
+}
+
+/* ---------- Date ranges (timesheet & billing exports) ---------- */
+export const RANGE_PRESETS = [
+  { label: "Today", value: "today" },
+  { label: "7 days", value: "week" },
+  { label: "30 days", value: "month" },
+  { label: "This month", value: "thisMonth" },
+  { label: "Custom", value: "custom" },
+];
+
+// [fromDay, toDay] of a preset, both inclusive; `custom` is used as is
+export function presetRange(preset, today, custom) {
+  if (preset === "today") return [today, today];
+  if (preset === "week") return [addDays(today, -6), today];
+  if (preset === "month") return [addDays(today, -29), today];
+  if (preset === "thisMonth") return [bucketOf(today, "month"), today];
+  return custom;
+}
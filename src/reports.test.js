@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { bucketOf, recentBuckets, aggregate, workBreakRatio, PERIODS } from "./reports";
+
+// 2024-05-15 is a Wednesday
+const TODAY = "2024-05-15";
+
+describe("bucketOf", () => {
+  it("maps a day to itself, the Monday of its week or the 1st of its month", () => {
+    expect(bucketOf(TODAY, "day")).toBe(TODAY);
+    expect(bucketOf(TODAY, "week")).toBe("2024-05-13");
+    expect(bucketOf("2024-05-19", "week")).toBe("2024-05-13");
+    expect(bucketOf("2024-05-20", "week")).toBe("2024-05-20");
+    expect(bucketOf(TODAY, "month")).toBe("2024-05-01");
+  });
+
+  it("puts a week starting in the old year in that year's Monday", () => {
+    expect(bucketOf("2025-01-02", "week")).toBe("2024-12-30");
+  });
+});
+
+describe("recentBuckets", () => {
+  it("lists the last buckets oldest first, ending at today's", () => {
+    expect(recentBuckets(TODAY, "day", 3)).toEqual(["2024-05-13", "2024-05-14", "2024-05-15"]);
+    expect(recentBuckets(TODAY, "week", 3)).toEqual(["2024-04-29", "2024-05-06", "2024-05-13"]);
+    expect(recentBuckets("2024-02-10", "month", 3)).toEqual(["2023-12-01", "2024-01-01", "2024-02-01"]);
+  });
+});
+
+describe("aggregate", () => {
+  const days = {
+    "2024-05-06": { a: { name: "Focus", category: "work", netSec: 600, targetSec: 3600 } },
+    "2024-05-14": {
+      a: { name: "Focus", category: "work", netSec: 300, targetSec: 1800 },
+      b: { name: "Walk", category: "break", netSec: 120 },
+      c: { name: "Misc", netSec: 60 },
+    },
+    "2024-05-15": { a: { name: "Focus", category: "work", netSec: 100 } },
+    "2023-01-02": { a: { name: "Focus", category: "work", netSec: 9999 } },
+  };
+
+  it("sums each timer's seconds into its week, leaving out days before the range", () => {
+    const { buckets, groups } = aggregate(days, TODAY, "week", "timer");
+    expect(buckets).toHaveLength(PERIODS.week.count);
+    const [prev, last] = buckets.slice(-2);
+    expect(prev).toMatchObject({ bucket: "2024-05-06", values: { a: 600 }, total: 600 });
+    expect(last).toMatchObject({ bucket: "2024-05-13", values: { a: 400, b: 120, c: 60 }, total: 580 });
+    expect(buckets.reduce((s, b) => s + b.total, 0)).toBe(1180);
+    expect(groups.a).toEqual({ label: "Focus", category: "work", targetSec: 3600 });
+    expect(groups.c).toEqual({ label: "Misc", category: "neutral", targetSec: 0 });
+  });
+
+  it("groups by category, counting timers without one as neutral", () => {
+    const { buckets, groups } = aggregate(days, TODAY, "week", "category");
+    expect(buckets.at(-1).values).toEqual({ work: 400, break: 120, neutral: 60 });
+    expect(groups.work).toEqual({ label: "work", category: "work", targetSec: 0 });
+  });
+
+  it("counts a bucket's days only up to today", () => {
+    const week = aggregate({}, TODAY, "week", "timer").buckets;
+    expect(week.at(-1).days).toBe(3);
+    expect(week.at(-2).days).toBe(7);
+    const month = aggregate({}, TODAY, "month", "timer").buckets;
+    expect(month.at(-1).days).toBe(15);
+    expect(month.at(-2).days).toBe(30);
+    expect(aggregate({}, TODAY, "day", "timer").buckets.every(b => b.days === 1)).toBe(true);
+  });
+});
+
+describe("workBreakRatio", () => {
+  it("divides work by break seconds, ignoring neutral time", () => {
+    const category = { a: "work", b: "break", c: "neutral" };
+    expect(workBreakRatio({ a: 600, b: 200, c: 50 }, g => category[g])).toEqual({ work: 600, break: 200, ratio: 3 });
+  });
+
+  it("has no ratio without a break", () => {
+    expect(workBreakRatio({ work: 600 }, g => g).ratio).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { rowId } from "./utils";
+import { local } from "./storage";
+
+/* -------------------------------------------------
+   Revision log: one audit entry per manual change of a timer's total
+   { id, timerId, amountSec, kind, reason, at, device, updatedAt }
+   amountSec is the change of the net total (+ added, − removed).
+   Entries are append-only; undo logs a counter-entry instead of deleting one.
+----------------------------------------------------*/
+export const REVISION_KINDS = {
+  adjust: "Adjusted",
+  deduct: "Deduction",
+  session: "Session edited",
+  entry: "Manual entry",
+  reset: "Reset",
+  away: "Away time",
+  undo: "Undo / redo",
+};
+
+// "Chrome on macOS"-style name of this browser, kept once per device
+export function deviceLabel() {
+  const saved = local.get("tt_device");
+  if (saved) return saved;
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? "Edge" : /Firefox\//.test(ua) ? "Firefox" : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : "Browser";
+  const os = /iPhone|iPad/.test(ua) ? "iOS" : /Android/.test(ua) ? "Android" : /Mac OS X/.test(ua) ? "macOS" : /Windows/.test(ua) ? "Windows" : /Linux/.test(ua) ? "Linux" : "unknown OS";
+  const label = `${browser} on ${os}`;
+  local.set("tt_device", label);
+  return label;
+}
+
+export function makeRevision(timerId, amountSec, kind, reason = "") {
+  const now = Date.now();
+  return { id: rowId(), timerId, amountSec: Math.round(amountSec), kind, reason: reason.trim(), at: now, device: deviceLabel(), updatedAt: now };
+}
+
+export function revisionsForTimer(revisions, timerId) {
+  return revisions.filter(r => r.timerId === timerId).sort((a, b) => b.at - a.at);
+}
+
+/* ---------- Supabase row mapping (table: timer_revisions) ---------- */
+export const revisionFromRow = (r) => ({ id:r.id, timerId:r.timer_id, amountSec:r.amount_sec, kind:r.kind, reason:r.reason ?? "", at:Number(r.at), device:r.device ?? "", updatedAt: r.updated_at ? Date.parse(r.updated_at) : 0 });
+export const revisionToRow = (x, userId) => ({ id:x.id, user_id:userId, timer_id:x.timerId, amount_sec:Math.round(x.amountSec), kind:x.kind, reason:x.reason || "", at:Math.floor(x.at), device:x.device || "", updated_at:new Date(x.updatedAt || Date.now()).toISOString() });
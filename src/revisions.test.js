@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { deviceLabel, makeRevision, revisionsForTimer, revisionFromRow, revisionToRow } from "./revisions";
+import { local } from "./storage";
+
+const FIREFOX_LINUX = "Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0";
+const EDGE_WINDOWS = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36 Edg/126.0";
+
+const browser = (userAgent) => vi.stubGlobal("navigator", { userAgent });
+
+// the app's local store writes through to localStorage, which Node doesn't have
+beforeEach(() => vi.stubGlobal("localStorage", { setItem() {}, removeItem() {} }));
+afterEach(() => { local.remove("tt_device"); vi.unstubAllGlobals(); });
+
+describe("deviceLabel", () => {
+  it("names the browser and OS, and keeps the first name for the device", () => {
+    browser(EDGE_WINDOWS);
+    expect(deviceLabel()).toBe("Edge on Windows");
+    browser(FIREFOX_LINUX);
+    expect(deviceLabel()).toBe("Edge on Windows");
+    local.remove("tt_device");
+    expect(deviceLabel()).toBe("Firefox on Linux");
+  });
+});
+
+describe("makeRevision", () => {
+  it("rounds the amount, trims the reason and stamps the device", () => {
+    browser(FIREFOX_LINUX);
+    const r = makeRevision("a", -90.6, "deduct", "  lunch  ");
+    expect(r).toMatchObject({ timerId: "a", amountSec: -91, kind: "deduct", reason: "lunch", device: "Firefox on Linux" });
+    expect(r.updatedAt).toBe(r.at);
+  });
+});
+
+describe("revisionsForTimer", () => {
+  it("lists a timer's revisions newest first", () => {
+    const revs = [{ id: "1", timerId: "a", at: 1 }, { id: "2", timerId: "b", at: 2 }, { id: "3", timerId: "a", at: 3 }];
+    expect(revisionsForTimer(revs, "a").map(r => r.id)).toEqual(["3", "1"]);
+  });
+});
+
+describe("revision rows", () => {
+  it("round-trips through the timer_revisions table", () => {
+    const rev = { id: "r", timerId: "a", amountSec: 300, kind: "adjust", reason: "forgot", at: 1715731200000, device: "Safari on iOS", updatedAt: Date.UTC(2024, 4, 15) };
+    const row = revisionToRow(rev, "u1");
+    expect(row).toMatchObject({ user_id: "u1", timer_id: "a", amount_sec: 300, updated_at: "2024-05-15T00:00:00.000Z" });
+    expect(revisionFromRow({ ...row, at: String(row.at) })).toEqual(rev);
+  });
+});
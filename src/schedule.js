@@ -0,0 +1,88 @@
+import { uid } from "./utils";
+
+/* -------------------------------------------------
+   Schedules & reminders
+   t.schedule: [{ id, action: "start"|"stop", time: "HH:MM", days: [0-6] }]
+     (days are Date#getDay() numbers, 0 = Sunday; local wall-clock time)
+   settings.workDays / workStart / workEnd: work hours, used by
+     - workEndStop: pause every running timer when work hours end
+     - remindIdle: remind after remindMinutes with nothing running
+   The app tick asks for the transitions due since its last check
+   (persisted as tt_schedule_at), so ones missed while the tab was
+   closed are replayed, in order, when it reopens.
+----------------------------------------------------*/
+export const WEEKDAYS = [
+  { label: "Mo", value: 1 }, { label: "Tu", value: 2 }, { label: "We", value: 3 }, { label: "Th", value: 4 },
+  { label: "Fr", value: 5 }, { label: "Sa", value: 6 }, { label: "Su", value: 0 },
+];
+export const WORKWEEK = [1, 2, 3, 4, 5];
+export const SCHEDULE_DEFAULTS = { workDays: WORKWEEK, workStart: "09:00", workEnd: "18:00", workEndStop: false, remindIdle: false, remindMinutes: 30 };
+// missed transitions older than this are not replayed
+export const MAX_CATCH_UP_MS = 7 * 24 * 3600 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+
+export const makeRule = (action = "start", time = "09:00", days = WORKWEEK) => ({ id: uid(), action, time, days: [...days] });
+
+// ms of `time` ("HH:MM") on the calendar day of `ms`
+export function atTime(ms, time) {
+  const [h, m] = time.split(":").map(Number);
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), h || 0, m || 0).getTime();
+}
+
+// times in (from, to] a rule fires at
+function occurrences(rule, from, to) {
+  const out = [];
+  if (!rule.time || !rule.days?.length) return out;
+  for (let day = atTime(from, "00:00"); day <= to; day = atTime(day + DAY_MS + 3600 * 1000, "00:00")) {
+    if (!rule.days.includes(new Date(day).getDay())) continue;
+    const at = atTime(day, rule.time);
+    if (at > from && at <= to) out.push(at);
+  }
+  return out;
+}
+
+/**
+ * Every transition due in (from, to], oldest first:
+ * [{ at, timerId, action }] — timerId null = all timers (work hours ended).
+ */
+export function dueTransitions(timers, settings, from, to) {
+  from = Math.max(from, to - MAX_CATCH_UP_MS);
+  const out = [];
+  for (const t of timers) {
+    for (const rule of t.schedule || []) for (const at of occurrences(rule, from, to)) out.push({ at, timerId: t.id, action: rule.action });
+  }
+  if (settings.workEndStop) for (const at of occurrences({ time: settings.workEnd, days: settings.workDays }, from, to)) out.push({ at, timerId: null, action: "stop" });
+  return out.sort((a, b) => a.at - b.at || (a.action === "stop" ? 0 : 1) - (b.action === "stop" ? 0 : 1)); // stops first: "switch" at the same minute
+}
+
+export function inWorkHours(settings, at) {
+  if (!settings.workDays?.includes(new Date(at).getDay())) return false;
+  const start = atTime(at, settings.workStart), end = atTime(at, settings.workEnd);
+  return end > start ? at >= start && at < end : at >= start || at < end; // end before start: overnight shift
+}
+
+// minutes with nothing running, counted from when today's work hours began
+export function quietMinutes(settings, now, quietSince) {
+  const workStart = atTime(now, settings.workStart);
+  return Math.floor((now - Math.max(quietSince, workStart <= now ? workStart : 0)) / 60000);
+}
+
+/**
+ * Is an idle reminder due at `now`? `quietSince`: when the last timer stopped
+ * (or the app opened); `remindedAt`: the last reminder. Repeats every remindMinutes.
+ */
+export function reminderDue(settings, now, quietSince, remindedAt = 0) {
+  if (!settings.remindIdle || !inWorkHours(settings, now)) return false;
+  return quietMinutes(settings, now, Math.max(quietSince, remindedAt)) >= settings.remindMinutes;
+}
+
+const dayNames = (days) => {
+  const set = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).join();
+  if (set === "1,2,3,4,5") return "weekdays";
+  if (set === "6,0") return "weekends";
+  if (days.length === 7) return "every day";
+  return WEEKDAYS.filter(w => days.includes(w.value)).map(w => w.label).join(" ");
+};
+export const ruleLabel = (rule) => `${rule.action === "start" ? "Start" : "Stop"} at ${rule.time}, ${dayNames(rule.days)}`;
+
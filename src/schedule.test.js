@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { dueTransitions, inWorkHours, reminderDue, quietMinutes, atTime, ruleLabel, MAX_CATCH_UP_MS, SCHEDULE_DEFAULTS } from "./schedule";
+
+process.env.TZ = "Europe/Berlin";
+// 2024-05-06 is a Monday
+const at = (d, h, min = 0) => new Date(2024, 4, d, h, min).getTime();
+const rule = (action, time, days = [1, 2, 3, 4, 5]) => ({ id: `${action}-${time}`, action, time, days });
+const settings = { ...SCHEDULE_DEFAULTS };
+
+describe("dueTransitions", () => {
+  const timers = [{ id: "a", schedule: [rule("start", "09:00"), rule("stop", "17:00")] }];
+
+  it("finds the transitions in (from, to]", () => {
+    expect(dueTransitions(timers, settings, at(6, 8, 59), at(6, 9, 0))).toEqual([{ at: at(6, 9), timerId: "a", action: "start" }]);
+    expect(dueTransitions(timers, settings, at(6, 9, 0), at(6, 9, 1))).toEqual([]);
+  });
+
+  it("replays the ones missed while the app was closed, oldest first", () => {
+    const due = dueTransitions(timers, settings, at(6, 12), at(7, 10));
+    expect(due.map(tr => [tr.action, tr.at])).toEqual([["stop", at(6, 17)], ["start", at(7, 9)]]);
+  });
+
+  it("only fires on the rule's days", () => {
+    const due = dueTransitions(timers, settings, at(3, 0), at(6, 8)); // Friday → Monday morning
+    expect(due.map(tr => [tr.action, tr.at])).toEqual([["start", at(3, 9)], ["stop", at(3, 17)]]);
+    const weekend = [{ id: "b", schedule: [rule("start", "10:00", [0, 6])] }];
+    expect(dueTransitions(weekend, settings, at(3, 0), at(6, 23)).map(tr => tr.at)).toEqual([at(4, 10), at(5, 10)]);
+  });
+
+  it("puts stops before starts in the same minute, so one timer hands over to the next", () => {
+    const switching = [
+      { id: "a", schedule: [rule("start", "12:00")] },
+      { id: "b", schedule: [rule("stop", "12:00")] },
+    ];
+    expect(dueTransitions(switching, settings, at(6, 11), at(6, 13)).map(tr => tr.action)).toEqual(["stop", "start"]);
+  });
+
+  it("stops every timer when work hours end, if asked to", () => {
+    const due = dueTransitions([], { ...settings, workEndStop: true }, at(6, 12), at(6, 19));
+    expect(due).toEqual([{ at: at(6, 18), timerId: null, action: "stop" }]);
+  });
+
+  it("doesn't replay more than a week back", () => {
+    const daily = [{ id: "a", schedule: [rule("start", "09:00", [0, 1, 2, 3, 4, 5, 6])] }];
+    const due = dueTransitions(daily, settings, 0, at(20, 12));
+    expect(due).toHaveLength(7);
+    expect(due[0].at).toBeGreaterThanOrEqual(at(20, 12) - MAX_CATCH_UP_MS);
+  });
+
+  it("fires once on DST change days", () => {
+    const daily = [{ id: "a", schedule: [rule("start", "09:00", [0])] }];
+    // 2024-03-31 (Sunday) is 23 hours long in Berlin
+    const due = dueTransitions(daily, settings, new Date(2024, 2, 30, 12).getTime(), new Date(2024, 2, 31, 12).getTime());
+    expect(due.map(tr => tr.at)).toEqual([new Date(2024, 2, 31, 9).getTime()]);
+  });
+});
+
+describe("work hours and reminders", () => {
+  it("knows work hours, including overnight shifts", () => {
+    expect(inWorkHours(settings, at(6, 9))).toBe(true);
+    expect(inWorkHours(settings, at(6, 18))).toBe(false);
+    expect(inWorkHours(settings, at(4, 10))).toBe(false); // Saturday
+    const night = { ...settings, workStart: "22:00", workEnd: "06:00" };
+    expect(inWorkHours(night, at(6, 23))).toBe(true);
+    expect(inWorkHours(night, at(7, 3))).toBe(true);
+    expect(inWorkHours(night, at(7, 12))).toBe(false);
+  });
+
+  it("counts quiet minutes from the start of work hours at the earliest", () => {
+    expect(quietMinutes(settings, at(6, 9, 45), at(6, 7))).toBe(45);
+    expect(quietMinutes(settings, at(6, 9, 45), at(6, 9, 30))).toBe(15);
+  });
+
+  it("reminds after remindMinutes with nothing running, then again after as long", () => {
+    const on = { ...settings, remindIdle: true, remindMinutes: 30 };
+    expect(reminderDue(on, at(6, 9, 29), at(6, 8))).toBe(false);
+    expect(reminderDue(on, at(6, 9, 30), at(6, 8))).toBe(true);
+    expect(reminderDue(on, at(6, 9, 45), at(6, 8), at(6, 9, 30))).toBe(false);
+    expect(reminderDue(on, at(6, 20), at(6, 8))).toBe(false);
+    expect(reminderDue(settings, at(6, 12), at(6, 8))).toBe(false);
+  });
+});
+
+describe("labels", () => {
+  it("names common day sets", () => {
+    expect(ruleLabel(rule("start", "09:00"))).toBe("Start at 09:00, weekdays");
+    expect(ruleLabel(rule("stop", "10:30", [6, 0]))).toBe("Stop at 10:30, weekends");
+    expect(ruleLabel(rule("stop", "10:30", [3, 1]))).toBe("Stop at 10:30, Mo We");
+    expect(atTime(at(6, 15), "08:05")).toBe(at(6, 8, 5));
+  });
+});
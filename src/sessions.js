@@ -0,0 +1,87 @@
+import { rowId } from "./utils";
+
+/* -------------------------------------------------
+   Time sessions: one record per start→pause interval
+   { id, timerId, start, end, note, updatedAt }  (start/end = ms)
+----------------------------------------------------*/
+export function makeSession(timerId, start, end, note = "") {
+  return { id: rowId(), timerId, start: Math.floor(start), end: Math.floor(end), note, updatedAt: Date.now() };
+}
+
+export const sessionSeconds = (s) => Math.max(0, (s.end - s.start) / 1000);
+
+// closes the running interval of a timer (null if it wasn't running)
+export function closeRun(t, now = Date.now()) {
+  if (!t.running || !t.startTs || now <= t.startTs) return null;
+  return makeSession(t.id, t.startTs, now);
+}
+
+export function sessionsForTimer(sessions, timerId) {
+  return sessions.filter(s => s.timerId === timerId).sort((a, b) => b.start - a.start);
+}
+
+// split one session into two at `at` (ms); returns null if `at` is not inside it
+export function splitSession(s, at) {
+  if (!(at > s.start && at < s.end)) return null;
+  const now = Date.now();
+  return [
+    { ...s, end: Math.floor(at), updatedAt: now },
+    { ...s, id: rowId(), start: Math.floor(at), updatedAt: now },
+  ];
+}
+
+// sessions of `timerId` sharing time with [start, end] (ms)
+export function overlapping(sessions, timerId, start, end) {
+  return sessions.filter(s => s.timerId === timerId && s.start < end && s.end > start);
+}
+
+/**
+ * Cuts the range [from, to] out of every session (splitting the ones that
+ * straddle it). Returns { sessions, removed: { [timerId]: seconds }, gone: [ids of sessions that vanished] }.
+ */
+export function carveRange(sessions, from, to) {
+  if (!(to > from)) return { sessions, removed: {}, gone: [] }; // an empty range would only split sessions
+  const out = [], removed = {}, gone = [];
+  const now = Date.now();
+  for (const s of sessions) {
+    if (s.end <= from || s.start >= to) { out.push(s); continue; }
+    removed[s.timerId] = (removed[s.timerId] || 0) + (Math.min(s.end, to) - Math.max(s.start, from)) / 1000;
+    const before = s.start < from ? { ...s, end: Math.floor(from), updatedAt: now } : null;
+    const after = s.end > to ? { ...s, id: before ? rowId() : s.id, start: Math.floor(to), updatedAt: now } : null;
+    if (before) out.push(before);
+    if (after) out.push(after);
+    if (!before && !after) gone.push(s.id);
+  }
+  return { sessions: out, removed, gone };
+}
+
+/**
+ * Seconds counted more than once across [start, end] ranges (ms), i.e. the sum
+ * of their lengths minus the length of their union.
+ */
+export function overlapSeconds(ranges) {
+  const sorted = ranges.filter(r => r[1] > r[0]).sort((a, b) => a[0] - b[0]);
+  let sum = 0, union = 0, curStart = null, curEnd = null;
+  for (const [start, end] of sorted) {
+    sum += end - start;
+    if (curEnd == null || start > curEnd) {
+      if (curEnd != null) union += curEnd - curStart;
+      curStart = start; curEnd = end;
+    } else curEnd = Math.max(curEnd, end);
+  }
+  if (curEnd != null) union += curEnd - curStart;
+  return (sum - union) / 1000;
+}
+
+// [start, end] of every interval in the timers' current totals: sessions since
+// each timer's last reset, plus the runs in progress up to `now`
+export function trackedRanges(timers, sessions, now = Date.now()) {
+  const since = new Map(timers.map(t => [t.id, t.resetAt || 0]));
+  const ranges = sessions.filter(s => since.has(s.timerId) && s.start >= since.get(s.timerId)).map(s => [s.start, s.end]);
+  for (const t of timers) if (t.running && t.startTs) ranges.push([t.startTs, now]);
+  return ranges;
+}
+
+/* ---------- Supabase row mapping (table: timer_sessions) ---------- */
+export const sessionFromRow = (r) => ({ id:r.id, timerId:r.timer_id, start:Number(r.start_ts), end:Number(r.end_ts), note:r.note ?? "", updatedAt: r.updated_at ? Date.parse(r.updated_at) : 0 });
+export const sessionToRow = (s, userId) => ({ id:s.id, user_id:userId, timer_id:s.timerId, start_ts:Math.floor(s.start), end_ts:Math.floor(s.end), note:s.note || "", updated_at:new Date(s.updatedAt || Date.now()).toISOString() });
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import { makeSession, closeRun, splitSession, overlapping, carveRange, sessionsForTimer, overlapSeconds, trackedRanges } from "./sessions";
+
+const s = (id, timerId, start, end) => ({ id, timerId, start, end, note: "", updatedAt: 0 });
+const spans = (list) => list.map(x => [x.timerId, x.start, x.end]);
+
+describe("closeRun / makeSession", () => {
+  it("closes a running timer's interval", () => {
+    const run = closeRun({ id: "a", running: true, startTs: 1000.6 }, 5000.9);
+    expect([run.timerId, run.start, run.end]).toEqual(["a", 1000, 5000]);
+    expect(typeof run.id).toBe("string");
+  });
+
+  it("returns null when not running or nothing elapsed", () => {
+    expect(closeRun({ id: "a", running: false, startTs: 1000 }, 5000)).toBeNull();
+    expect(closeRun({ id: "a", running: true, startTs: 5000 }, 5000)).toBeNull();
+  });
+
+  it("gives each session its own id", () => {
+    expect(makeSession("a", 0, 1).id).not.toBe(makeSession("a", 0, 1).id);
+  });
+});
+
+describe("splitSession", () => {
+  it("splits inside the session, keeping the id on the first half", () => {
+    const [a, b] = splitSession(s("x", "t", 0, 10000), 4000);
+    expect([a.id, a.start, a.end]).toEqual(["x", 0, 4000]);
+    expect([b.start, b.end]).toEqual([4000, 10000]);
+    expect(b.id).not.toBe("x");
+  });
+
+  it("refuses to split exactly at the start or end, or outside", () => {
+    const x = s("x", "t", 0, 10000);
+    expect(splitSession(x, 0)).toBeNull();
+    expect(splitSession(x, 10000)).toBeNull();
+    expect(splitSession(x, 12000)).toBeNull();
+  });
+});
+
+describe("overlapping / sessionsForTimer", () => {
+  const list = [s("1", "a", 0, 10), s("2", "a", 10, 20), s("3", "b", 5, 15)];
+
+  it("finds a timer's sessions sharing time with a range; touching ends don't count", () => {
+    expect(overlapping(list, "a", 5, 10).map(x => x.id)).toEqual(["1"]);
+    expect(overlapping(list, "a", 9, 11).map(x => x.id)).toEqual(["1", "2"]);
+    expect(overlapping(list, "a", 20, 30)).toEqual([]);
+  });
+
+  it("lists a timer's sessions newest first", () => {
+    expect(sessionsForTimer(list, "a").map(x => x.id)).toEqual(["2", "1"]);
+  });
+});
+
+describe("carveRange", () => {
+  it("trims, splits and removes sessions, counting the seconds per timer", () => {
+    const list = [s("1", "a", 0, 10000), s("2", "a", 20000, 30000), s("3", "b", 12000, 18000), s("4", "b", 40000, 50000)];
+    const res = carveRange(list, 5000, 25000);
+    expect(spans(res.sessions)).toEqual([["a", 0, 5000], ["a", 25000, 30000], ["b", 40000, 50000]]);
+    expect(res.removed).toEqual({ a: 10, b: 6 });
+    expect(res.gone).toEqual(["3"]);
+    expect(res.sessions[1].id).toBe("2"); // trimmed at the front only: same record
+  });
+
+  it("splits a session straddling the range in two", () => {
+    const res = carveRange([s("1", "a", 0, 10000)], 4000, 6000);
+    expect(spans(res.sessions)).toEqual([["a", 0, 4000], ["a", 6000, 10000]]);
+    expect(res.sessions[0].id).toBe("1");
+    expect(res.sessions[1].id).not.toBe("1");
+    expect(res.removed).toEqual({ a: 2 });
+  });
+
+  it("removes a session matching the range exactly, leaving no empty pieces", () => {
+    const res = carveRange([s("1", "a", 0, 10000)], 0, 10000);
+    expect(res.sessions).toEqual([]);
+    expect(res.gone).toEqual(["1"]);
+  });
+
+  it("keeps sessions that only touch the range", () => {
+    const list = [s("1", "a", 0, 5000), s("2", "a", 10000, 15000)];
+    const res = carveRange(list, 5000, 10000);
+    expect(res.sessions).toEqual(list);
+    expect(res.removed).toEqual({});
+  });
+
+  it("carving overlapping ranges one after the other never counts time twice", () => {
+    const first = carveRange([s("1", "a", 0, 10000)], 2000, 6000);
+    const second = carveRange(first.sessions, 4000, 8000);
+    expect(spans(second.sessions)).toEqual([["a", 0, 2000], ["a", 8000, 10000]]);
+    expect(first.removed.a + second.removed.a).toBe(6);
+  });
+
+  it("does nothing for an empty range", () => {
+    const list = [s("1", "a", 0, 10000)];
+    expect(carveRange(list, 5000, 5000)).toEqual({ sessions: list, removed: {}, gone: [] });
+  });
+});
+
+describe("overlapSeconds / trackedRanges (wall-clock total)", () => {
+  it("counts time shared by parallel runs once per extra run", () => {
+    expect(overlapSeconds([[0, 10000], [5000, 15000]])).toBe(5);
+    expect(overlapSeconds([[0, 10000], [2000, 4000], [3000, 12000]])).toBe(21 - 12);
+  });
+
+  it("finds no overlap for back-to-back or separate runs, and ignores empty ones", () => {
+    expect(overlapSeconds([[0, 5000], [5000, 10000], [20000, 30000]])).toBe(0);
+    expect(overlapSeconds([[0, 5000], [3000, 3000], [4000, 2000]])).toBe(0);
+    expect(overlapSeconds([])).toBe(0);
+  });
+
+  it("doesn't depend on the order of the ranges", () => {
+    expect(overlapSeconds([[5000, 15000], [0, 10000], [12000, 13000]])).toBe(overlapSeconds([[0, 10000], [12000, 13000], [5000, 15000]]));
+  });
+
+  it("takes sessions since each timer's reset plus the runs in progress", () => {
+    const timers = [{ id: "a", resetAt: 5000 }, { id: "b", running: true, startTs: 8000 }];
+    const sessions = [s("1", "a", 1000, 2000), s("2", "a", 6000, 9000), s("3", "b", 0, 1000), s("4", "gone", 0, 9000)];
+    expect(trackedRanges(timers, sessions, 10000)).toEqual([[6000, 9000], [0, 1000], [8000, 10000]]);
+    expect(overlapSeconds(trackedRanges(timers, sessions, 10000))).toBe(1);
+  });
+});
@@ -0,0 +1,47 @@
+/* -------------------------------------------------
+   Public read-only share
+   One link per user (table share_links: token, user_id, timer_ids).
+   Viewers open #/share/<token> and only ever read the shared_timers(token)
+   RPC, which returns what the link's row allows. The realtime channel
+   "share:<token>" carries nothing but a "changed" ping, sent by the owner's
+   app once a shared timer reached the cloud, telling viewers to re-read it;
+   anyone holding the token can send that ping, so it is never trusted for data.
+----------------------------------------------------*/
+const ROUTE = /^#\/share\/([A-Za-z0-9_-]{16,})$/;
+
+export const shareTokenFromHash = (hash = window.location.hash) => ROUTE.exec(hash)?.[1] ?? null;
+export const shareUrl = (token) => `${window.location.origin}${window.location.pathname}#/share/${token}`;
+export const shareChannelName = (token) => `share:${token}`;
+
+// 144 random bits, URL-safe
+export function newShareToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  return btoa(String.fromCharCode(...bytes)).replaceAll("+", "-").replaceAll("/", "_").replaceAll("=", "");
+}
+
+/* ---------- Owner side (RLS: own row only) ---------- */
+export async function loadShare(supabase, userId) {
+  const { data, error } = await supabase.from("share_links").select("*").eq("user_id", userId).maybeSingle();
+  if (error || !data) return { share: null, error };
+  return { share: { token: data.token, timerIds: data.timer_ids ?? [], createdAt: Date.parse(data.created_at) }, error: null };
+}
+
+// creates, rotates (new token) or re-scopes the link
+export async function saveShare(supabase, userId, { token, timerIds }) {
+  const row = { user_id: userId, token, timer_ids: timerIds, created_at: new Date().toISOString() };
+  const { error } = await supabase.from("share_links").upsert(row, { onConflict: "user_id" });
+  return error ? { share: null, error } : { share: { token, timerIds, createdAt: Date.parse(row.created_at) }, error: null };
+}
+
+export async function revokeShare(supabase, userId) {
+  const { error } = await supabase.from("share_links").delete().eq("user_id", userId);
+  return error;
+}
+
+/* ---------- Viewer side (anonymous) ---------- */
+// { owner: { name, emoji }, timers } or null once the link is revoked or rotated
+export async function fetchShared(supabase, token) {
+  const { data, error } = await supabase.rpc("shared_timers", { p_token: token });
+  if (error) return { data: null, error };
+  return { data: data ? { owner: data.owner ?? {}, timers: (data.timers ?? []).map(r => ({ id:r.id, name:r.name, category:r.category, color:r.color, targetSec:r.target_sec ?? 0, elapsedSec:r.elapsed_sec ?? 0, revisionSec:r.revision_sec ?? 0, running:!!r.running, startTs:r.start_ts ?? null })) } : null, error: null };
+}
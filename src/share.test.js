@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { shareTokenFromHash, newShareToken, fetchShared, loadShare } from "./share";
+
+// just enough of the supabase client for one query or RPC
+const rpcReturning = (data, error = null) => ({ rpc: async () => ({ data, error }) });
+const rowReturning = (data, error = null) => {
+  const query = { select: () => query, eq: () => query, maybeSingle: async () => ({ data, error }) };
+  return { from: () => query };
+};
+
+describe("shareTokenFromHash", () => {
+  it("reads the token of a share route", () => {
+    expect(shareTokenFromHash("#/share/abcDEF0123456789_-xy")).toBe("abcDEF0123456789_-xy");
+  });
+
+  it("ignores other routes, short tokens and stray characters", () => {
+    expect(shareTokenFromHash("")).toBeNull();
+    expect(shareTokenFromHash("#/settings")).toBeNull();
+    expect(shareTokenFromHash("#/share/short")).toBeNull();
+    expect(shareTokenFromHash("#/share/abcDEF0123456789/x")).toBeNull();
+    expect(shareTokenFromHash("#/share/abcDEF0123456789+=")).toBeNull();
+  });
+});
+
+describe("newShareToken", () => {
+  it("makes distinct URL-safe tokens the share route accepts", () => {
+    const a = newShareToken(), b = newShareToken();
+    expect(a).toMatch(/^[A-Za-z0-9_-]{24}$/);
+    expect(a).not.toBe(b);
+    expect(shareTokenFromHash(`#/share/${a}`)).toBe(a);
+  });
+});
+
+describe("fetchShared", () => {
+  it("maps the shared rows and fills defaults", async () => {
+    const { data } = await fetchShared(rpcReturning({ owner: { name: "Sam" }, timers: [{ id: "a", name: "Focus", category: "work", color: "red", elapsed_sec: 60, running: 1, start_ts: 5 }, { id: "b", name: "Idle" }] }), "t");
+    expect(data.owner).toEqual({ name: "Sam" });
+    expect(data.timers).toEqual([
+      { id: "a", name: "Focus", category: "work", color: "red", targetSec: 0, elapsedSec: 60, revisionSec: 0, running: true, startTs: 5 },
+      { id: "b", name: "Idle", category: undefined, color: undefined, targetSec: 0, elapsedSec: 0, revisionSec: 0, running: false, startTs: null },
+    ]);
+  });
+
+  it("is null once the link is revoked, and passes errors on", async () => {
+    expect(await fetchShared(rpcReturning(null), "t")).toEqual({ data: null, error: null });
+    expect(await fetchShared(rpcReturning(null, { message: "down" }), "t")).toEqual({ data: null, error: { message: "down" } });
+  });
+});
+
+describe("loadShare", () => {
+  it("reads the user's link", async () => {
+    const { share } = await loadShare(rowReturning({ token: "tok", timer_ids: null, created_at: "2024-05-15T00:00:00Z" }), "u1");
+    expect(share).toEqual({ token: "tok", timerIds: [], createdAt: Date.UTC(2024, 4, 15) });
+  });
+
+  it("has no share without a row", async () => {
+    expect((await loadShare(rowReturning(null), "u1")).share).toBeNull();
+  });
+});
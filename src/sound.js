@@ -0,0 +1,33 @@
+/* -------------------------------------------------
+   Tiny Web Audio cues (no audio files to ship or cache)
+----------------------------------------------------*/
+let ctx = null;
+function audio() {
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if (!AC) return null;
+  if (!ctx) ctx = new AC();
+  if (ctx.state === "suspended") ctx.resume();
+  return ctx;
+}
+
+// notes: [[frequencyHz, startOffsetSec, durationSec], ...]
+const CUES = {
+  work:  [[523.25, 0, 0.18], [659.25, 0.2, 0.18], [783.99, 0.4, 0.3]],   // rising: back to work
+  break: [[783.99, 0, 0.18], [659.25, 0.2, 0.18], [523.25, 0.4, 0.3]],   // falling: take a break
+  alarm: [[880, 0, 0.15], [880, 0.25, 0.15], [880, 0.5, 0.15], [880, 0.75, 0.15]], // countdown at zero
+  chime: [[1046.5, 0, 0.6], [1318.5, 0.15, 0.8]],
+};
+
+export function playCue(kind = "work", volume = 0.2) {
+  const ac = audio(); if (!ac) return;
+  const t0 = ac.currentTime;
+  for (const [freq, at, dur] of CUES[kind] || CUES.work) {
+    const osc = ac.createOscillator(), gain = ac.createGain();
+    osc.type = "sine"; osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, t0 + at);
+    gain.gain.exponentialRampToValueAtTime(volume, t0 + at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t0 + at + dur);
+    osc.connect(gain).connect(ac.destination);
+    osc.start(t0 + at); osc.stop(t0 + at + dur + 0.05);
+  }
+}
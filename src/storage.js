@@ -0,0 +1,107 @@
+/* -------------------------------------------------
+   Local storage adapters
+   Every adapter is a key → JSON value store:
+     { name, loadAll(): Promise<{ [key]: value }>, save(key, value): Promise, remove(key): Promise }
+   App never talks to an adapter directly: `local` below keeps every tt_* key
+   in memory (hydrated once before the first render, see main.jsx), so reads
+   stay synchronous and writes go through to the adapter in the background.
+   VITE_LOCAL_STORE picks the adapter: "localstorage" (default) | "indexeddb" | "memory".
+----------------------------------------------------*/
+const PREFIX = "tt_";
+
+// older builds stored tt_day / tt_device as plain strings
+const parse = (raw) => { try { return JSON.parse(raw); } catch { return raw; } };
+
+export function localStorageAdapter() {
+  return {
+    name: "localstorage",
+    async loadAll() {
+      const out = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(PREFIX)) out[key] = parse(localStorage.getItem(key));
+      }
+      return out;
+    },
+    async save(key, value) { localStorage.setItem(key, JSON.stringify(value)); },
+    async remove(key) { localStorage.removeItem(key); },
+  };
+}
+
+export function indexedDBAdapter(dbName = "shinytimer", storeName = "kv") {
+  let opening = null;
+  const open = () => opening ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    name: "indexeddb",
+    async loadAll() {
+      const [keys, values] = await Promise.all([run("readonly", s => s.getAllKeys()), run("readonly", s => s.getAll())]);
+      return Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+    },
+    save: (key, value) => run("readwrite", s => s.put(value, key)),
+    remove: (key) => run("readwrite", s => s.delete(key)),
+  };
+}
+
+// in-memory fake (tests, private previews); `initial` seeds the keys
+export function memoryAdapter(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    name: "memory",
+    data,
+    async loadAll() { return Object.fromEntries(data); },
+    async save(key, value) { data.set(key, structuredClone(value)); },
+    async remove(key) { data.delete(key); },
+  };
+}
+
+export function pickLocalAdapter(kind = import.meta.env?.VITE_LOCAL_STORE) {
+  if (kind === "memory") return memoryAdapter();
+  if (kind === "indexeddb" && typeof indexedDB !== "undefined") return indexedDBAdapter();
+  return localStorageAdapter();
+}
+
+/**
+ * Synchronous cache over an adapter.
+ * hydrate() loads every key once; moving to a new adapter (e.g. localStorage →
+ * IndexedDB) copies the tt_* keys of localStorage over on first start.
+ */
+export function createLocalStore(adapter) {
+  const cache = new Map();
+  return {
+    adapter,
+    async hydrate() {
+      let all = {};
+      try { all = await adapter.loadAll(); } catch (e) { console.error(e); }
+      if (adapter.name === "indexeddb" && !Object.keys(all).length && typeof localStorage !== "undefined") {
+        all = await localStorageAdapter().loadAll();
+        await Promise.all(Object.entries(all).map(([k, v]) => adapter.save(k, v).catch(console.error)));
+      }
+      for (const [k, v] of Object.entries(all)) cache.set(k, v);
+    },
+    get(key, fallback = null) { return cache.has(key) ? cache.get(key) : fallback; },
+    set(key, value) {
+      cache.set(key, value);
+      adapter.save(key, value).catch(console.error);
+    },
+    remove(key) {
+      cache.delete(key);
+      adapter.remove(key).catch(console.error);
+    },
+  };
+}
+
+export const local = createLocalStore(pickLocalAdapter());
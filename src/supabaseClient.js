@@ -1,6 +1,12 @@
 import { createClient } from '@supabase/supabase-js'
 
-const url  = import.meta.env.VITE_SUPABASE_URL
-const anon = import.meta.env.VITE_SUPABASE_ANON
+/* -------------------------------------------------
+   Supabase client (works in Canvas and locally)
+   If env vars are missing (Canvas), supabase = null → local-only
+   (pickRemote in remote.js then falls back to no cloud adapter);
+   every direct user of `supabase` must check for null first
+----------------------------------------------------*/
+const url  = import.meta.env?.VITE_SUPABASE_URL
+const anon = import.meta.env?.VITE_SUPABASE_ANON
 
-export const supabase = createClient(url, anon)
+export const supabase = (url && anon) ? createClient(url, anon) : null
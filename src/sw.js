@@ -0,0 +1,45 @@
+/* -------------------------------------------------
+   Service worker (template — built by the `serviceWorker` plugin in vite.config.js,
+   which replaces the two placeholders below). Served as /sw.js in production only.
+----------------------------------------------------*/
+const VERSION = "__SW_VERSION__";
+const PRECACHE = __SW_PRECACHE__;
+const CACHE = `shinytimer-${VERSION}`;
+
+self.addEventListener("install", (event) => {
+  // no skipWaiting here: the app asks the user first (see pwa.js)
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith("shinytimer-") && k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return; // Supabase & co. always go to the network
+
+  // SPA navigations: network first, cached app shell when offline
+  if (req.mode === "navigate") {
+    event.respondWith(fetch(req).catch(async () => (await caches.match("/index.html")) || (await caches.match("/")) || Response.error()));
+    return;
+  }
+  // hashed assets, fonts, icons: cache first
+  event.respondWith((async () => {
+    const hit = await caches.match(req);
+    if (hit) return hit;
+    const res = await fetch(req);
+    if (res.ok) { const cache = await caches.open(CACHE); cache.put(req, res.clone()); }
+    return res;
+  })());
+});
@@ -0,0 +1,91 @@
+/* -------------------------------------------------
+   Offline-first sync
+   Local edits stamp `updatedAt` on the record; App turns every record newer
+   than what the cloud last saw into an outbox op. The outbox is persisted
+   (tt_outbox) and replayed whenever we're online and signed in.
+   op = { table, key, kind: "upsert"|"delete", row, userId, at }
+   Ops are sent through a remote adapter (see remote.js).
+----------------------------------------------------*/
+export const TABLES = {
+  projects:       { conflict: "id",                  checked: true },
+  timers:         { conflict: "id",                  checked: true },
+  timer_sessions: { conflict: "id",                  checked: true },
+  timer_revisions:{ conflict: "id",                  checked: true },
+  // key = "day|timerId"
+  day_history:    { conflict: "user_id,day,timer_id", checked: false, match: (key) => { const [day, timer_id] = key.split("|"); return { day, timer_id }; } },
+};
+
+export const opKey = (op) => `${op.table}:${op.key}`;
+
+// one pending op per row: a newer op replaces the queued one
+export function enqueue(outbox, op) {
+  return [...outbox.filter(o => opKey(o) !== opKey(op)), op];
+}
+
+// drops ops that were sent, unless the row was queued again meanwhile
+export function removeSent(outbox, sent) {
+  const done = new Map(sent.map(o => [opKey(o), o.at]));
+  return outbox.filter(o => done.get(opKey(o)) !== o.at);
+}
+
+const rowTime = (r) => r?.updated_at ? Date.parse(r.updated_at) : 0;
+
+/**
+ * Pushes queued ops, table by table. Upserts to checked tables first compare
+ * updated_at with the cloud row: if the cloud is newer the op is dropped and
+ * the cloud row is returned in `stale` so the caller can adopt it.
+ * Returns { sent: ops, stale: [{ table, row }], error }; stops at the first error.
+ */
+export async function flushOutbox(remote, userId, ops) {
+  const sent = [], stale = [];
+  const mine = ops.filter(o => o.userId === userId);
+  for (const [table, spec] of Object.entries(TABLES)) {
+    const upserts = mine.filter(o => o.table === table && o.kind === "upsert");
+    const deletes = mine.filter(o => o.table === table && o.kind === "delete");
+    let toSend = upserts;
+    if (spec.checked && upserts.length) {
+      const { data, error } = await remote.select(table, userId, { ids: upserts.map(o => o.key) });
+      if (error) return { sent, stale, error };
+      const cloud = new Map((data || []).map(r => [r.id, r]));
+      toSend = upserts.filter(o => {
+        const r = cloud.get(o.key);
+        if (r && rowTime(r) > rowTime(o.row)) { stale.push({ table, row: r }); sent.push(o); return false; }
+        return true;
+      });
+    }
+    if (toSend.length) {
+      const { error } = await remote.upsert(table, toSend.map(o => o.row), { onConflict: spec.conflict });
+      if (error) return { sent, stale, error };
+      sent.push(...toSend);
+    }
+    for (const o of deletes) {
+      const error = await deleteRow(remote, userId, table, o.key);
+      if (error) return { sent, stale, error };
+      sent.push(o);
+    }
+  }
+  return { sent, stale, error: null };
+}
+
+async function deleteRow(remote, userId, table, id) {
+  const del = await remote.remove(table, userId, TABLES[table].match?.(id) ?? { id });
+  if (!del.error || table !== "timers") return del.error;
+  // timers: hard delete may be blocked by policy → soft-delete instead
+  const soft = await remote.update("timers", userId, id, { deleted:true, updated_at: new Date().toISOString() });
+  return soft.error;
+}
+
+/**
+ * First sign-in merge of local and cloud records by id: the newer `updatedAt`
+ * wins, records only on one side are kept. Cloud records flagged `deleted`
+ * remove the local copy when they are newer.
+ */
+export function mergeById(local, remote) {
+  const byId = new Map(local.map(x => [x.id, x]));
+  for (const r of remote) {
+    const l = byId.get(r.id);
+    if (l && (l.updatedAt || 0) > (r.updatedAt || 0)) continue;
+    if (r.deleted) byId.delete(r.id); else byId.set(r.id, r);
+  }
+  return [...byId.values()];
+}
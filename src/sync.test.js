@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { enqueue, removeSent, flushOutbox, mergeById } from "./sync";
+import { memoryRemote } from "./remote";
+
+const iso = (ms) => new Date(ms).toISOString();
+const timerRow = (id, ms, extra = {}) => ({ id, user_id: "u1", name: id, updated_at: iso(ms), ...extra });
+const upsert = (table, row, at = 1) => ({ table, key: row.id, kind: "upsert", row, userId: "u1", at });
+const del = (table, key, at = 1) => ({ table, key, kind: "delete", row: null, userId: "u1", at });
+const failing = (remote, method) => ({ ...remote, [method]: async () => ({ data: null, error: { message: `${method} failed` } }) });
+
+describe("enqueue / removeSent", () => {
+  it("keeps one op per row, the newest", () => {
+    const box = enqueue(enqueue([], upsert("timers", timerRow("a", 1), 1)), upsert("timers", timerRow("a", 2), 2));
+    expect(box).toHaveLength(1);
+    expect(box[0].at).toBe(2);
+  });
+
+  it("keeps a row queued again while the flush was running", () => {
+    const first = upsert("timers", timerRow("a", 1), 1);
+    const again = upsert("timers", timerRow("a", 5), 5);
+    const other = upsert("timers", timerRow("b", 1), 1);
+    const box = enqueue(enqueue([first, other], again), other);
+    expect(removeSent(box, [first, other])).toEqual([again]);
+  });
+});
+
+describe("flushOutbox", () => {
+  it("sends newer rows and drops stale ones, returning the cloud row", async () => {
+    const remote = memoryRemote();
+    await remote.upsert("timers", [timerRow("a", 2000, { name: "cloud" }), timerRow("b", 1000)]);
+    const stale = upsert("timers", timerRow("a", 1000, { name: "local" }));
+    const fresh = upsert("timers", timerRow("b", 3000, { name: "newer" }));
+    const res = await flushOutbox(remote, "u1", [stale, fresh]);
+    expect(res.error).toBeNull();
+    expect(res.sent).toEqual([stale, fresh]);
+    expect(res.stale).toEqual([{ table: "timers", row: timerRow("a", 2000, { name: "cloud" }) }]);
+    const { data } = await remote.select("timers", "u1");
+    expect(Object.fromEntries(data.map(r => [r.id, r.name]))).toEqual({ a: "cloud", b: "newer" });
+  });
+
+  it("only sends the signed-in user's ops", async () => {
+    const remote = memoryRemote();
+    const theirs = { ...upsert("timers", timerRow("x", 1)), userId: "u2" };
+    const res = await flushOutbox(remote, "u1", [theirs]);
+    expect(res.sent).toEqual([]);
+    expect((await remote.select("timers", "u1")).data).toEqual([]);
+  });
+
+  it("stops at the first error with what was sent so far", async () => {
+    const remote = memoryRemote();
+    const project = upsert("projects", { id: "p", user_id: "u1", updated_at: iso(1) });
+    const timer = upsert("timers", timerRow("a", 1));
+    const broken = { ...remote, upsert: async (table, rows, opts) => table === "timers" ? { error: { message: "timers down" } } : remote.upsert(table, rows, opts) };
+    const res = await flushOutbox(broken, "u1", [timer, project]);
+    expect(res.error).toEqual({ message: "timers down" });
+    expect(res.sent).toEqual([project]);
+    expect((await remote.select("projects", "u1")).data).toHaveLength(1);
+  });
+
+  it("stops when the conflict check can't read the cloud rows", async () => {
+    const res = await flushOutbox(failing(memoryRemote(), "select"), "u1", [upsert("timers", timerRow("a", 1))]);
+    expect(res.error.message).toBe("select failed");
+    expect(res.sent).toEqual([]);
+  });
+
+  it("deletes rows, matching day history by day and timer", async () => {
+    const remote = memoryRemote();
+    await remote.upsert("day_history", [{ user_id: "u1", day: "2024-05-01", timer_id: "a", net_sec: 60 }], { onConflict: "user_id,day,timer_id" });
+    await remote.upsert("timer_sessions", [{ id: "s", user_id: "u1" }]);
+    const res = await flushOutbox(remote, "u1", [del("day_history", "2024-05-01|a"), del("timer_sessions", "s")]);
+    expect(res.error).toBeNull();
+    expect((await remote.select("day_history", "u1")).data).toEqual([]);
+    expect((await remote.select("timer_sessions", "u1")).data).toEqual([]);
+  });
+
+  it("soft-deletes a timer whose hard delete is refused", async () => {
+    const remote = memoryRemote();
+    await remote.upsert("timers", [timerRow("a", 1)]);
+    const res = await flushOutbox(failing(remote, "remove"), "u1", [del("timers", "a")]);
+    expect(res.error).toBeNull();
+    expect(res.sent).toHaveLength(1);
+    const [row] = (await remote.select("timers", "u1")).data;
+    expect(row.deleted).toBe(true);
+  });
+
+  it("reports a refused delete of anything but a timer", async () => {
+    const remote = memoryRemote();
+    const res = await flushOutbox(failing(remote, "remove"), "u1", [del("timer_sessions", "s")]);
+    expect(res.error.message).toBe("remove failed");
+    expect(res.sent).toEqual([]);
+  });
+});
+
+describe("mergeById", () => {
+  it("keeps the newer side and records only on one side", () => {
+    const local = [{ id: "a", v: "local", updatedAt: 5 }, { id: "b", v: "local", updatedAt: 1 }, { id: "c", v: "local", updatedAt: 1 }];
+    const cloud = [{ id: "a", v: "cloud", updatedAt: 3 }, { id: "b", v: "cloud", updatedAt: 2 }, { id: "d", v: "cloud", updatedAt: 1 }];
+    expect(Object.fromEntries(mergeById(local, cloud).map(x => [x.id, x.v]))).toEqual({ a: "local", b: "cloud", c: "local", d: "cloud" });
+  });
+
+  it("drops a local record the cloud deleted later, but not one edited since", () => {
+    const local = [{ id: "a", updatedAt: 1 }, { id: "b", updatedAt: 9 }];
+    const cloud = [{ id: "a", deleted: true, updatedAt: 2 }, { id: "b", deleted: true, updatedAt: 2 }];
+    expect(mergeById(local, cloud).map(x => x.id)).toEqual(["b"]);
+  });
+});
@@ -0,0 +1,85 @@
+import { pad, fmtHMS } from "./utils";
+import { keyOf, dayKey, dayStartMs, addDays } from "./history";
+import { download, toCSV } from "./backup";
+import { clientOf, NO_CLIENT } from "./billing";
+
+/* -------------------------------------------------
+   Timesheets: tracked intervals (sessions + the run in progress)
+   for a range of app days [fromDay, toDay], exported as
+   - .ics: one VEVENT per interval
+   - CSV / JSON in the column layout Toggl and Clockify import
+----------------------------------------------------*/
+// { id, timerId, timer, category, client, billable, start, end, note, live, day }
+export function intervalsInRange({ sessions, timers, projects = [], fromDay, toDay, dayStartHour = 0, now = Date.now() }) {
+  const from = dayStartMs(fromDay, dayStartHour), to = dayStartMs(addDays(toDay, 1), dayStartHour);
+  const byId = new Map(timers.map(t => [t.id, t]));
+  const live = timers.filter(t => t.running && t.startTs && t.startTs < now).map(t => ({ id: `live-${t.id}`, timerId: t.id, start: t.startTs, end: now, note: "", live: true }));
+  return [...sessions, ...live]
+    .filter(s => s.start >= from && s.start < to && s.end > s.start && byId.has(s.timerId))
+    .sort((a, b) => a.start - b.start)
+    .map(s => {
+      const t = byId.get(s.timerId), client = clientOf(t, projects);
+      return { id: s.id, timerId: s.timerId, timer: t.name, category: t.category, client: client === NO_CLIENT ? "" : client, billable: !!t.billable, start: s.start, end: s.end, note: s.note || "", live: !!s.live, day: dayKey(s.start, dayStartHour) };
+    });
+}
+
+/* ---------- iCalendar (RFC 5545) ---------- */
+const icsTime = (ms) => { const d = new Date(ms); return `${d.getUTCFullYear()}${pad(d.getUTCMonth()+1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`; };
+const icsText = (s) => String(s).replaceAll("\\", "\\\\").replaceAll(";", "\\;").replaceAll(",", "\\,").replace(/\r?\n/g, "\\n");
+// lines longer than 75 octets (UTF-8) continue on the next line after a space;
+// a character is never split across lines
+const utf8Length = (ch) => { const c = ch.codePointAt(0); return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4; };
+function fold(line) {
+  const parts = [];
+  let part = "", octets = 0, max = 75;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    if (octets + n > max) { parts.push(part); part = ""; octets = 0; max = 74; } // the leading space counts
+    part += ch; octets += n;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+export function toICS(intervals, calName = "ShinyTimer") {
+  const stampNow = icsTime(Date.now());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//ShinyTimer//Timesheet//EN", "CALSCALE:GREGORIAN", `X-WR-CALNAME:${icsText(calName)}`];
+  for (const x of intervals) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${x.id}@shinytimer`,
+      `DTSTAMP:${stampNow}`,
+      `DTSTART:${icsTime(x.start)}`,
+      `DTEND:${icsTime(x.end)}`,
+      `SUMMARY:${icsText(x.timer)}`,
+      `CATEGORIES:${icsText(x.category)}`,
+      ...(x.note ? [`DESCRIPTION:${icsText(x.note)}`] : []),
+      "TRANSP:OPAQUE",
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/* ---------- Toggl / Clockify timesheet ---------- */
+// Toggl's CSV import columns; Clockify maps the same headers
+export const TIMESHEET_COLUMNS = ["Email", "Project", "Client", "Task", "Description", "Tags", "Billable", "Start date", "Start time", "End date", "End time", "Duration"];
+const dateOf = (ms) => keyOf(new Date(ms));
+const timeOf = (ms) => { const d = new Date(ms); return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`; };
+
+export const timesheetCSVRow = (x, email = "") =>
+  [email, x.timer, x.client, "", x.note, x.category, x.billable ? "Yes" : "No", dateOf(x.start), timeOf(x.start), dateOf(x.end), timeOf(x.end), fmtHMS((x.end - x.start) / 1000)];
+
+export const timesheetEntry = (x) => ({
+  date: x.day, timer: x.timer, timerId: x.timerId, category: x.category, client: x.client, billable: x.billable, note: x.note,
+  start: new Date(x.start).toISOString(), end: new Date(x.end).toISOString(),
+  durationSec: Math.round((x.end - x.start) / 1000), duration: fmtHMS((x.end - x.start) / 1000),
+});
+
+export function exportTimesheet(format, intervals, { fromDay, toDay, email = "" }) {
+  const name = `shiny-timer-${fromDay}_${toDay}`;
+  if (format === "ics") return download(toICS(intervals), "text/calendar;charset=utf-8", `${name}.ics`);
+  if (format === "csv") return download(toCSV([TIMESHEET_COLUMNS, ...intervals.map(x => timesheetCSVRow(x, email))]), "text/csv;charset=utf-8;", `${name}.csv`);
+  download(JSON.stringify({ from: fromDay, to: toDay, exportedAt: new Date().toISOString(), entries: intervals.map(timesheetEntry) }, null, 2), "application/json", `${name}.json`);
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { intervalsInRange, toICS, timesheetCSVRow, timesheetEntry, TIMESHEET_COLUMNS } from "./timesheet";
+
+// local times below are Berlin wall clock
+process.env.TZ = "Europe/Berlin";
+
+const at = (day, h, m = 0) => { const [y, mo, d] = day.split("-").map(Number); return new Date(y, mo - 1, d, h, m).getTime(); };
+const bytes = (s) => new TextEncoder().encode(s).length;
+const lines = (ics) => ics.split("\r\n").slice(0, -1);
+const unfold = (ics) => ics.replaceAll("\r\n ", "");
+const interval = (patch) => ({ id: "s1", timerId: "a", timer: "Focus", category: "work", client: "", billable: false, start: 0, end: 60000, note: "", live: false, day: "2024-05-15", ...patch });
+
+describe("intervalsInRange", () => {
+  const timers = [
+    { id: "a", name: "Focus", category: "work", projectId: "p1", billable: true },
+    { id: "b", name: "Walk", category: "break", client: "  Acme  ", running: true, startTs: at("2024-05-16", 9) },
+  ];
+  const projects = [{ id: "p1", name: "Initech" }];
+
+  it("takes sessions starting in the app days of the range, oldest first, with client and billable", () => {
+    const sessions = [
+      { id: "late", timerId: "a", start: at("2024-05-17", 2), end: at("2024-05-17", 3) }, // still the 16th before 4:00
+      { id: "early", timerId: "a", start: at("2024-05-15", 3), end: at("2024-05-15", 5), note: "prep" }, // the 14th
+      { id: "in", timerId: "a", start: at("2024-05-15", 10), end: at("2024-05-15", 11), note: "write" },
+      { id: "empty", timerId: "a", start: at("2024-05-15", 12), end: at("2024-05-15", 12) },
+      { id: "orphan", timerId: "gone", start: at("2024-05-15", 12), end: at("2024-05-15", 13) },
+    ];
+    const list = intervalsInRange({ sessions, timers, projects, fromDay: "2024-05-15", toDay: "2024-05-16", dayStartHour: 4, now: at("2024-05-16", 10) });
+    expect(list.map(x => x.id)).toEqual(["in", "live-b", "late"]);
+    expect(list[0]).toEqual({ id: "in", timerId: "a", timer: "Focus", category: "work", client: "Initech", billable: true, start: at("2024-05-15", 10), end: at("2024-05-15", 11), note: "write", live: false, day: "2024-05-15" });
+    expect(list[1]).toMatchObject({ client: "Acme", billable: false, end: at("2024-05-16", 10), live: true, day: "2024-05-16" });
+    expect(list[2].day).toBe("2024-05-16");
+  });
+
+  it("leaves the client empty when there is none", () => {
+    const sessions = [{ id: "s", timerId: "a", start: at("2024-05-15", 10), end: at("2024-05-15", 11) }];
+    expect(intervalsInRange({ sessions, timers, fromDay: "2024-05-15", toDay: "2024-05-15", now: at("2024-05-15", 12) })[0].client).toBe("");
+  });
+});
+
+describe("toICS", () => {
+  it("writes one escaped VEVENT per interval, with CRLF line ends", () => {
+    const ics = toICS([interval({ timer: "Write; edit, ship", note: "a\\b\nc", start: Date.UTC(2024, 4, 15, 8), end: Date.UTC(2024, 4, 15, 9, 30) })]);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).not.toMatch(/[^\r]\n/);
+    expect(lines(ics)).toEqual(expect.arrayContaining([
+      "UID:s1@shinytimer", "DTSTART:20240515T080000Z", "DTEND:20240515T093000Z",
+      "SUMMARY:Write\\; edit\\, ship", "DESCRIPTION:a\\\\b\\nc", "CATEGORIES:work",
+    ]));
+  });
+
+  it("leaves a line of exactly 75 octets whole", () => {
+    const summary = "SUMMARY:" + "x".repeat(67);
+    expect(lines(toICS([interval({ timer: "x".repeat(67) })]))).toContain(summary);
+  });
+
+  it("folds long lines at 75 octets without splitting multi-byte characters", () => {
+    for (const text of ["é".repeat(80), "ab" + "😀".repeat(40), "naïve café ".repeat(12), "€".repeat(50) + "x"]) {
+      const ics = toICS([interval({ timer: text })]);
+      for (const line of lines(ics)) {
+        expect(bytes(line)).toBeLessThanOrEqual(75);
+        expect(line.isWellFormed()).toBe(true); // no half of a surrogate pair
+      }
+      expect(lines(unfold(ics))).toContain(`SUMMARY:${text}`);
+    }
+  });
+
+  it("counts the continuation's leading space toward its 75 octets", () => {
+    // 8 + 2 + 16 × 4 = 74 octets fit; the 17th emoji would make 78
+    const folded = lines(toICS([interval({ timer: "ab" + "😀".repeat(40) })]));
+    const start = folded.findIndex(l => l.startsWith("SUMMARY:"));
+    expect(folded[start]).toBe("SUMMARY:ab" + "😀".repeat(16));
+    expect(folded[start + 1]).toBe(" " + "😀".repeat(18));
+    expect(bytes(folded[start + 1])).toBe(73);
+    expect(folded[start + 2]).toBe(" " + "😀".repeat(6));
+  });
+});
+
+describe("timesheet rows", () => {
+  const x = interval({ client: "Acme", billable: true, note: "review", start: at("2024-05-15", 23, 30), end: at("2024-05-16", 1, 15) });
+
+  it("fills the Toggl columns in local time", () => {
+    const row = timesheetCSVRow(x, "me@example.com");
+    expect(row).toHaveLength(TIMESHEET_COLUMNS.length);
+    expect(row).toEqual(["me@example.com", "Focus", "Acme", "", "review", "work", "Yes", "2024-05-15", "23:30:00", "2024-05-16", "01:15:00", "01:45:00"]);
+  });
+
+  it("gives JSON entries ISO times and whole-second durations", () => {
+    const entry = timesheetEntry({ ...x, end: x.start + 90500 });
+    expect(entry).toMatchObject({ date: "2024-05-15", start: "2024-05-15T21:30:00.000Z", durationSec: 91, duration: "00:01:30", billable: true });
+  });
+});
@@ -0,0 +1,29 @@
+/* -------------------------------------------------
+   Trash: deleted timers are kept (with elapsed time, settings and sessions)
+   until restored or purged. Locally they live in tt_trash; in the cloud they
+   are the timers rows with deleted = true.
+   trashed timer = { ...timer, deleted: true, deletedAt }
+----------------------------------------------------*/
+export const DEFAULT_TRASH_DAYS = 30;
+
+// ids of trashed timers older than `days` (0 = keep forever)
+export function expiredIds(trash, days, now = Date.now()) {
+  if (!(days > 0)) return [];
+  const cutoff = now - days * 24 * 3600 * 1000;
+  return trash.filter(t => (t.deletedAt || t.updatedAt || 0) < cutoff).map(t => t.id);
+}
+
+/**
+ * Merges cloud timers rows (already mapped) into the trash: newer rows flagged
+ * `deleted` land in it, newer live rows take a timer out of it. A timer that
+ * also sits in the live list is dropped from the trash by the caller.
+ */
+export function mergeTrash(trash, remote) {
+  const byId = new Map(trash.map(t => [t.id, t]));
+  for (const r of remote) {
+    const l = byId.get(r.id);
+    if (l && (l.updatedAt || 0) >= (r.updatedAt || 0)) continue;
+    if (r.deleted) byId.set(r.id, { ...r, deletedAt: r.deletedAt ?? r.updatedAt }); else byId.delete(r.id);
+  }
+  return [...byId.values()];
+}
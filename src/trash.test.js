@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { expiredIds, mergeTrash } from "./trash";
+
+const DAY = 24 * 3600 * 1000;
+const NOW = 100 * DAY;
+
+describe("expiredIds", () => {
+  const trash = [
+    { id: "old", deletedAt: NOW - 31 * DAY },
+    { id: "recent", deletedAt: NOW - 29 * DAY },
+    { id: "legacy", updatedAt: NOW - 40 * DAY },
+    { id: "undated" },
+  ];
+
+  it("lists timers deleted more than `days` ago, falling back to updatedAt", () => {
+    expect(expiredIds(trash, 30, NOW)).toEqual(["old", "legacy", "undated"]);
+  });
+
+  it("keeps everything when the retention is 0 or unset", () => {
+    expect(expiredIds(trash, 0, NOW)).toEqual([]);
+    expect(expiredIds(trash, undefined, NOW)).toEqual([]);
+  });
+});
+
+describe("mergeTrash", () => {
+  it("adds newer deleted rows and takes out timers restored elsewhere", () => {
+    const trash = [{ id: "a", deleted: true, deletedAt: 1, updatedAt: 1 }, { id: "b", deleted: true, deletedAt: 1, updatedAt: 1 }];
+    const remote = [{ id: "a", deleted: false, updatedAt: 5 }, { id: "c", deleted: true, updatedAt: 7 }];
+    const merged = mergeTrash(trash, remote);
+    expect(merged.map(t => t.id)).toEqual(["b", "c"]);
+    expect(merged[1].deletedAt).toBe(7);
+  });
+
+  it("keeps the local trash entry when the cloud row isn't newer", () => {
+    const local = { id: "a", deleted: true, deletedAt: 9, updatedAt: 9 };
+    expect(mergeTrash([local], [{ id: "a", deleted: false, updatedAt: 9 }])).toEqual([local]);
+  });
+
+  it("keeps the cloud's deletedAt when it has one", () => {
+    expect(mergeTrash([], [{ id: "a", deleted: true, deletedAt: 3, updatedAt: 8 }])[0].deletedAt).toBe(3);
+  });
+});
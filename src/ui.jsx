@@ -0,0 +1,76 @@
+import { useEffect } from "react";
+import { RANGE_PRESETS } from "./reports";
+
+/* ---------------- Shared UI primitives ---------------- */
+export function Modal({ children, onClose }) {
+  useEffect(() => { function onKey(e){ if(e.key==="Escape") onClose(); } window.addEventListener("keydown", onKey); return () => window.removeEventListener("keydown", onKey); }, [onClose]);
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative z-10 w-full max-w-[min(720px,95vw)] max-h-[90vh] overflow-y-auto rounded-3xl border border-white/10 bg-slate-900/85 p-6 text-white shadow-2xl">
+        <button onClick={onClose} className="sticky float-right right-0 top-0 rounded-full bg-white/10 hover:bg-white/20 w-8 h-8 grid place-items-center" aria-label="Close">✕</button>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export function Segmented({ value, onChange, options }) {
+  return (
+    <div className="inline-flex rounded-xl bg-white/10 p-1 border border-white/10">
+      {options.map((opt) => (
+        <button key={opt.value} type="button" onClick={() => onChange(opt.value)} className={`px-3 py-1.5 rounded-lg text-sm transition ${value === opt.value ? "bg-white/30 text-white" : "text-white/80 hover:bg:white/20"}`}>{opt.label}</button>
+      ))}
+    </div>
+  );
+}
+
+export function Switch({ checked, onChange, label }) {
+  return (
+    <button type="button" onClick={() => onChange(!checked)} className="relative inline-flex items-center gap-2 select-none" aria-pressed={checked}>
+      <span className="text-sm text-white/80">{label}</span>
+      <span className={`w-12 h-7 rounded-full p-1 transition bg-white/10 border border-white/10 ${checked ? "ring-2 ring-green-400/60" : ""}`}>
+        <span className={`block w-5 h-5 rounded-full bg-gradient-to-tr ${checked ? "from-lime-400 to-green-500 translate-x-5" : "from-slate-300 to-slate-100 translate-x-0"} shadow-md transition`} />
+      </span>
+    </button>
+  );
+}
+
+export function Field({ label, children }) { return (<label className="text-sm text-white/80 space-y-1 block"><div className="ml-1 mb-0.5">{label}</div>{children}</label>); }
+
+// { preset, custom: [fromDay, toDay] } — resolve with presetRange() from reports.js
+export function DateRange({ value, today, onChange }) {
+  const [from, to] = value.custom;
+  return (
+    <div className="space-y-2">
+      <Segmented value={value.preset} onChange={(preset) => onChange({ ...value, preset })} options={RANGE_PRESETS} />
+      {value.preset === "custom" && (
+        <div className="flex items-center gap-2">
+          <input type="date" value={from} max={today} onChange={(e) => onChange({ ...value, custom: [e.target.value, to] })} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+          <span>→</span>
+          <input type="date" value={to} max={today} onChange={(e) => onChange({ ...value, custom: [from, e.target.value] })} className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-white" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Global styles ---------------- */
+export function StyleTags() {
+  return (
+    <style>{`
+      html,body,#root{height:100%}
+      body{background:#0b1220}
+      @keyframes cardShine { 0%{ transform: translateX(-120%) rotate(12deg);} 100%{ transform: translateX(120%) rotate(12deg);} }
+      .animate-card-shine { animation: cardShine 1.1s ease forwards; }
+      .time-mono { font-family: "Monomakh", sans-serif; font-weight: 600; font-variant-numeric: tabular-nums; font-size: 2rem; }
+
+      /* Confetti */
+      .confetti-piece { position: fixed; top: -10vh; left: var(--left); width: var(--size); height: var(--size); background: hsl(var(--h,0),95%,60%); transform: rotate(var(--rotate)); animation: confettiFall var(--duration) ease-out forwards, confettiSpin calc(var(--duration)*0.8) linear infinite; z-index: 9999; border-radius: 2px; box-shadow: 0 0 0 1px rgba(255,255,255,0.15) inset; }
+      .confetti-piece:nth-child(5n) { --h: 190 } .confetti-piece:nth-child(5n+1) { --h: 140 } .confetti-piece:nth-child(5n+2) { --h: 40 } .confetti-piece:nth-child(5n+3) { --h: 320 } .confetti-piece:nth-child(5n+4) { --h: 260 }
+      @keyframes confettiFall { 0%{ transform: translateY(-10vh) rotate(var(--rotate)); opacity:1 } 100%{ transform: translateY(110vh) rotate(calc(var(--rotate) + 360deg)); opacity:.9 } }
+      @keyframes confettiSpin { from { filter: brightness(1) } to { filter: brightness(1.2) } }
+      .glow-text { filter: drop-shadow(0 0 14px rgba(255,255,255,0.25)) drop-shadow(0 0 34px rgba(255,255,255,0.15)); }
+    `}</style>
+  );
+}
@@ -0,0 +1,58 @@
+/* -------------------------------------------------
+   Undo / redo patches
+   An undo step keeps only the records its action touched, each as it was
+   before (rec null = the action created it), so undoing puts those back
+   and leaves every later change to other records alone.
+   state = { timers, trash, sessions, projects, history }
+   patch = { timers|trash|sessions|projects: [{ id, rec, index }], history: [{ day, id, rec }] }
+     index: the record's position in its list, for putting removed ones back
+----------------------------------------------------*/
+const LISTS = ["timers", "trash", "sessions", "projects"];
+
+// what to write back to turn `after` into `before` (records compared by reference)
+export function diffState(before, after) {
+  const patch = { history: [] };
+  for (const key of LISTS) {
+    const next = new Map(after[key].map(r => [r.id, r]));
+    const prev = new Set(before[key].map(r => r.id));
+    patch[key] = [
+      ...before[key].flatMap((rec, index) => next.get(rec.id) === rec ? [] : [{ id: rec.id, rec, index }]),
+      ...after[key].filter(r => !prev.has(r.id)).map(r => ({ id: r.id, rec: null, index: -1 })),
+    ];
+  }
+  for (const day of new Set([...Object.keys(before.history), ...Object.keys(after.history)])) {
+    const b = before.history[day] || {}, a = after.history[day] || {};
+    if (a === b) continue;
+    for (const id of new Set([...Object.keys(b), ...Object.keys(a)])) if (a[id] !== b[id]) patch.history.push({ day, id, rec: b[id] ?? null });
+  }
+  return patch;
+}
+
+function patchList(list, changes, stamp) {
+  const byId = new Map(changes.map(c => [c.id, c]));
+  const out = list.flatMap(r => { const c = byId.get(r.id); return !c ? [r] : c.rec ? [stamp(c.rec)] : []; });
+  const present = new Set(list.map(r => r.id));
+  const back = changes.filter(c => c.rec && !present.has(c.id)).sort((a, b) => a.index - b.index);
+  for (const c of back) out.splice(Math.min(c.index, out.length), 0, stamp(c.rec));
+  return out;
+}
+
+/**
+ * `state` with the patch written over it. Records put back get `updatedAt: now`
+ * so sync pushes them over the undone version.
+ */
+export function patchState(state, patch, now = Date.now()) {
+  const stamp = (r) => ({ ...r, updatedAt: now });
+  const next = { ...state };
+  for (const key of LISTS) if (patch[key].length) next[key] = patchList(state[key], patch[key], stamp);
+  if (patch.history.length) {
+    const history = { ...state.history };
+    for (const { day, id, rec } of patch.history) {
+      const entries = { ...(history[day] || {}) };
+      if (rec) entries[id] = stamp(rec); else delete entries[id];
+      if (Object.keys(entries).length) history[day] = entries; else delete history[day];
+    }
+    next.history = history;
+  }
+  return next;
+}
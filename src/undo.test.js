@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import { diffState, patchState } from "./undo";
+
+const empty = { timers: [], trash: [], sessions: [], projects: [], history: {} };
+const state = (patch) => ({ ...empty, ...patch });
+const ids = (list) => list.map(r => r.id);
+
+describe("diffState", () => {
+  it("records only the records that changed, as they were before", () => {
+    const a = { id: "a", elapsedSec: 100 }, b = { id: "b", elapsedSec: 5 };
+    const patch = diffState(state({ timers: [a, b] }), state({ timers: [{ ...a, elapsedSec: 0 }, b] }));
+    expect(patch.timers).toEqual([{ id: "a", rec: a, index: 0 }]);
+    expect(patch.sessions).toEqual([]);
+    expect(patch.history).toEqual([]);
+  });
+
+  it("marks created records with rec null and removed ones with their index", () => {
+    const a = { id: "a" }, b = { id: "b" }, c = { id: "c" };
+    const patch = diffState(state({ timers: [a, b] }), state({ timers: [a, c] }));
+    expect(patch.timers).toEqual([{ id: "b", rec: b, index: 1 }, { id: "c", rec: null, index: -1 }]);
+  });
+
+  it("records history entries by day and timer", () => {
+    const e = { netSec: 60 };
+    const patch = diffState(state({ history: { d1: { a: e } } }), state({ history: { d1: { a: e, b: { netSec: 5 } }, d2: { a: e } } }));
+    expect(patch.history).toEqual([{ day: "d1", id: "b", rec: null }, { day: "d2", id: "a", rec: null }]);
+  });
+});
+
+describe("patchState", () => {
+  it("puts a removed record back at its original index", () => {
+    const [a, b, c] = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const before = state({ timers: [a, b, c] });
+    const after = state({ timers: [a, c] });
+    const undone = patchState(after, diffState(before, after), 7);
+    expect(ids(undone.timers)).toEqual(["a", "b", "c"]);
+    expect(undone.timers[1]).toEqual({ id: "b", updatedAt: 7 });
+    expect(undone.timers[0]).toBe(a);
+  });
+
+  it("appends a record whose old index is past the end of the list now", () => {
+    const [a, b, c] = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const patch = diffState(state({ timers: [a, b, c] }), state({ timers: [a, b] }));
+    expect(ids(patchState(state({ timers: [a] }), patch).timers)).toEqual(["a", "c"]);
+  });
+
+  it("removes a record the action created", () => {
+    const a = { id: "a" }, created = { id: "new" };
+    const before = state({ timers: [a] }), after = state({ timers: [created, a] });
+    expect(patchState(after, diffState(before, after)).timers).toEqual([a]);
+  });
+
+  it("leaves changes made since to other records alone", () => {
+    const a = { id: "a", elapsedSec: 100 }, b = { id: "b", running: false };
+    const before = state({ timers: [a, b] });
+    const reset = state({ timers: [{ ...a, elapsedSec: 0 }, b] });
+    const patch = diffState(before, reset);
+    const started = { ...b, running: true };
+    const undone = patchState({ ...reset, timers: [reset.timers[0], started] }, patch, 9);
+    expect(undone.timers).toEqual([{ ...a, updatedAt: 9 }, started]);
+    expect(undone.timers[1]).toBe(started);
+  });
+
+  it("moves a trashed timer back out of the trash", () => {
+    const a = { id: "a" }, b = { id: "b" };
+    const before = state({ timers: [a, b] });
+    const after = state({ timers: [b], trash: [{ ...a, deleted: true }] });
+    const undone = patchState(after, diffState(before, after));
+    expect(ids(undone.timers)).toEqual(["a", "b"]);
+    expect(undone.trash).toEqual([]);
+  });
+
+  it("deletes a history day whose last entry is removed, and restores removed entries", () => {
+    const e = { netSec: 60 };
+    const before = state({ history: { d1: { a: e } } });
+    const after = state({ history: { d1: { a: e }, d2: { a: { netSec: 5 } } } });
+    expect(patchState(after, diffState(before, after)).history).toEqual({ d1: { a: e } });
+    const undone = patchState(before, diffState(after, before), 3);
+    expect(undone.history.d2).toEqual({ a: { netSec: 5, updatedAt: 3 } });
+  });
+
+  it("redo: the reverse diff turns the undone state back into the later one", () => {
+    const a = { id: "a", elapsedSec: 100 };
+    const before = state({ timers: [a], history: { d1: { a: { netSec: 100 } } } });
+    const after = state({ timers: [{ ...a, elapsedSec: 0 }], history: {} });
+    const undone = patchState(after, diffState(before, after), 1);
+    const redone = patchState(undone, diffState(after, undone), 2);
+    expect(redone.timers).toEqual([{ id: "a", elapsedSec: 0, updatedAt: 2 }]);
+    expect(redone.history).toEqual({});
+  });
+
+  it("returns the same lists when the patch touches nothing", () => {
+    const s = state({ timers: [{ id: "a" }], history: { d1: {} } });
+    const next = patchState(s, diffState(s, s));
+    expect(next.timers).toBe(s.timers);
+    expect(next.history).toBe(s.history);
+  });
+});
@@ -0,0 +1,13 @@
+/* ---------------- Shared helpers ---------------- */
+export const uid = () => Math.random().toString(36).slice(2, 9);
+// ids of rows synced to the cloud (timers, sessions, revisions, projects…): unique across devices and users
+export const rowId = () => crypto.randomUUID();
+export const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+export const pad = (n) => String(n).padStart(2, "0");
+export const fmtHMS = (sec) => { sec = Math.max(0, Math.floor(sec)); const h = Math.floor(sec/3600); const m = Math.floor((sec%3600)/60); const s = sec%60; return `${pad(h)}:${pad(m)}:${pad(s)}` };
+
+// ms timestamp <-> value of an <input type="datetime-local"> (local time)
+export const toLocalInput = (ms) => { const d = new Date(ms); return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`; };
+export const fromLocalInput = (val) => { const ms = new Date(val).getTime(); return Number.isFinite(ms) ? ms : null; };
+export const fmtClock = (ms) => { const d = new Date(ms); return `${pad(d.getHours())}:${pad(d.getMinutes())}`; };
+export const fmtDate = (ms) => new Date(ms).toLocaleDateString(undefined, { weekday:"short", month:"short", day:"numeric" });
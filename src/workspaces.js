@@ -0,0 +1,83 @@
+import { rowId } from "./utils";
+
+/* -------------------------------------------------
+   Team workspaces (cloud only; see migration 0011)
+   workspace timers are shared; every member has their own
+   state row per timer: { timerId, userId, elapsedSec, running, startTs }
+   Roles: owner | member | viewer. RLS enforces them; the UI only hides
+   what a role can't do.
+----------------------------------------------------*/
+export const ROLES = ["owner", "member", "viewer"];
+export const canTrack = (role) => role === "owner" || role === "member";
+export const canManage = (role) => role === "owner";
+
+// a member's net seconds on one shared timer
+export const memberSeconds = (st, now = Date.now()) => Math.max(0, (st?.elapsedSec || 0) + (st?.running && st.startTs ? (now - st.startTs) / 1000 : 0));
+
+/* ---------- Row mapping ---------- */
+export const wsTimerFromRow = (r) => ({ id:r.id, workspaceId:r.workspace_id, name:r.name, category:r.category, color:r.color, targetSec:r.target_sec ?? 0, sort_index:r.sort_index ?? 0 });
+export const stateFromRow = (r) => ({ timerId:r.timer_id, userId:r.user_id, elapsedSec:r.elapsed_sec ?? 0, running:!!r.running, startTs:r.start_ts ?? null, updatedAt: r.updated_at ? Date.parse(r.updated_at) : 0 });
+const stateToRow = (s, workspaceId) => ({ timer_id:s.timerId, workspace_id:workspaceId, user_id:s.userId, elapsed_sec:Math.floor(s.elapsedSec||0), running:!!s.running, start_ts:s.startTs?Math.floor(s.startTs):null, updated_at:new Date().toISOString() });
+
+/* ---------- Queries (each returns { data, error } or an error) ---------- */
+export async function listWorkspaces(supabase, user) {
+  const [ws, inv] = await Promise.all([
+    supabase.from("workspace_members").select("role, workspaces(id, name, owner_id)").eq("user_id", user.id),
+    supabase.from("workspace_invites").select("id, role, created_at, workspaces(id, name)").ilike("email", user.email ?? ""),
+  ]);
+  const error = ws.error || inv.error;
+  if (error) return { data: null, error };
+  return {
+    data: {
+      workspaces: ws.data.filter(r => r.workspaces).map(r => ({ id:r.workspaces.id, name:r.workspaces.name, role:r.role })),
+      invites: inv.data.map(r => ({ id:r.id, role:r.role, workspaceId:r.workspaces?.id, name:r.workspaces?.name ?? "Workspace" })),
+    },
+    error: null,
+  };
+}
+
+export async function createWorkspace(supabase, user, name, memberName) {
+  const { data, error } = await supabase.from("workspaces").insert({ name, owner_id:user.id }).select().single();
+  if (error) return { data: null, error };
+  const joined = await supabase.from("workspace_members").insert({ workspace_id:data.id, user_id:user.id, email:user.email ?? "", name:memberName, role:"owner" });
+  return { data: { id:data.id, name:data.name, role:"owner" }, error: joined.error };
+}
+
+export async function loadWorkspace(supabase, workspaceId) {
+  const [m, inv, t, st] = await Promise.all([
+    supabase.from("workspace_members").select("*").eq("workspace_id", workspaceId),
+    supabase.from("workspace_invites").select("*").eq("workspace_id", workspaceId), // owner only (RLS), empty for others
+    supabase.from("workspace_timers").select("*").eq("workspace_id", workspaceId).order("sort_index", { ascending: true }),
+    supabase.from("workspace_timer_state").select("*").eq("workspace_id", workspaceId),
+  ]);
+  const error = m.error || t.error || st.error;
+  if (error) return { data: null, error };
+  return {
+    data: {
+      members: m.data.map(r => ({ userId:r.user_id, email:r.email, name:r.name, role:r.role })),
+      invites: (inv.data ?? []).map(r => ({ id:r.id, email:r.email, role:r.role })),
+      timers: t.data.map(wsTimerFromRow),
+      states: st.data.map(stateFromRow),
+    },
+    error: null,
+  };
+}
+
+export const inviteMember = (supabase, workspaceId, invitedBy, email, role) =>
+  supabase.from("workspace_invites").insert({ workspace_id:workspaceId, email:email.trim().toLowerCase(), role, invited_by:invitedBy });
+export const cancelInvite = (supabase, id) => supabase.from("workspace_invites").delete().eq("id", id);
+export const acceptInvite = (supabase, id, name) => supabase.rpc("accept_workspace_invite", { p_invite:id, p_name:name });
+export const setMemberRole = (supabase, workspaceId, userId, role) => supabase.from("workspace_members").update({ role }).match({ workspace_id:workspaceId, user_id:userId });
+export const removeMember = (supabase, workspaceId, userId) => supabase.from("workspace_members").delete().match({ workspace_id:workspaceId, user_id:userId });
+
+export const addWorkspaceTimer = (supabase, workspaceId, userId, { name, category, color, sort_index }) =>
+  supabase.from("workspace_timers").insert({ id:rowId(), workspace_id:workspaceId, name, category, color, sort_index, created_by:userId });
+
+// start / pause / reset of the caller's own time on a shared timer
+export function nextState(st, action, now = Date.now()) {
+  if (action === "start") return st.running ? st : { ...st, running:true, startTs:now };
+  if (action === "pause") return st.running ? { ...st, running:false, startTs:null, elapsedSec:memberSeconds(st, now) } : st;
+  return { ...st, running:false, startTs:null, elapsedSec:0 };
+}
+export const saveState = (supabase, workspaceId, st) =>
+  supabase.from("workspace_timer_state").upsert(stateToRow(st, workspaceId), { onConflict:"timer_id,user_id" });
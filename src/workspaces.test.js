@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { ROLES, canTrack, canManage, memberSeconds, nextState, stateFromRow, wsTimerFromRow } from "./workspaces";
+
+const idle = { timerId: "t", userId: "u1", elapsedSec: 100, running: false, startTs: null };
+
+describe("roles", () => {
+  it("lets owners and members track, and only owners manage", () => {
+    expect(ROLES.filter(canTrack)).toEqual(["owner", "member"]);
+    expect(ROLES.filter(canManage)).toEqual(["owner"]);
+    expect(canTrack(undefined)).toBe(false);
+  });
+});
+
+describe("memberSeconds", () => {
+  it("adds the run in progress to the stored seconds", () => {
+    expect(memberSeconds(idle, 5000)).toBe(100);
+    expect(memberSeconds({ ...idle, running: true, startTs: 1000 }, 31000)).toBe(130);
+  });
+
+  it("is 0 for a member with no state row yet, and never negative", () => {
+    expect(memberSeconds(undefined)).toBe(0);
+    expect(memberSeconds({ elapsedSec: 0, running: true, startTs: 9000 }, 1000)).toBe(0);
+  });
+});
+
+describe("nextState", () => {
+  it("starts, then pauses folding the run into the total", () => {
+    const started = nextState(idle, "start", 1000);
+    expect(started).toMatchObject({ running: true, startTs: 1000, elapsedSec: 100 });
+    expect(nextState(started, "pause", 61000)).toMatchObject({ running: false, startTs: null, elapsedSec: 160 });
+  });
+
+  it("leaves a running timer's start alone and a paused one paused", () => {
+    const running = { ...idle, running: true, startTs: 1000 };
+    expect(nextState(running, "start", 9000)).toBe(running);
+    expect(nextState(idle, "pause", 9000)).toBe(idle);
+  });
+
+  it("resets to zero and stops", () => {
+    expect(nextState({ ...idle, running: true, startTs: 1 }, "reset", 9000)).toMatchObject({ running: false, startTs: null, elapsedSec: 0 });
+  });
+});
+
+describe("row mapping", () => {
+  it("fills defaults for missing columns", () => {
+    expect(stateFromRow({ timer_id: "t", user_id: "u1", running: 1, updated_at: "2024-05-15T00:00:00Z" }))
+      .toEqual({ timerId: "t", userId: "u1", elapsedSec: 0, running: true, startTs: null, updatedAt: Date.UTC(2024, 4, 15) });
+    expect(wsTimerFromRow({ id: "t", workspace_id: "w", name: "Standup", category: "work", color: "blue" }))
+      .toEqual({ id: "t", workspaceId: "w", name: "Standup", category: "work", color: "blue", targetSec: 0, sort_index: 0 });
+  });
+});
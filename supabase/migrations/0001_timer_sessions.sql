@@ -0,0 +1,18 @@
+-- One row per start→pause interval of a timer.
+create table if not exists public.timer_sessions (
+  id          text primary key,
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  timer_id    text not null,
+  start_ts    bigint not null,
+  end_ts      bigint not null,
+  note        text not null default '',
+  updated_at  timestamptz not null default now()
+);
+create index if not exists timer_sessions_user_timer on public.timer_sessions (user_id, timer_id, start_ts);
+
+alter table public.timer_sessions enable row level security;
+create policy "own sessions" on public.timer_sessions
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- time of the last reset; sessions after it are counted in elapsed_sec
+alter table public.timers add column if not exists reset_at bigint not null default 0;
@@ -0,0 +1,16 @@
+-- Archived net time per timer per day, written at day rollover / "Close Day".
+create table if not exists public.day_history (
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  day         date not null,
+  timer_id    text not null,
+  name        text not null default '',
+  category    text not null default 'neutral',
+  net_sec     integer not null default 0,
+  target_sec  integer not null default 0,
+  updated_at  timestamptz not null default now(),
+  primary key (user_id, day, timer_id)
+);
+
+alter table public.day_history enable row level security;
+create policy "own history" on public.day_history
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,8 @@
+-- Countdown mode + alarm settings per timer.
+alter table public.timers
+  add column if not exists countdown    boolean not null default false,
+  add column if not exists alarm_sound  text    not null default 'ring',
+  add column if not exists snooze_min   integer not null default 5,
+  add column if not exists auto_stop    boolean not null default false,
+  add column if not exists alarm_fired  boolean not null default false,
+  add column if not exists snooze_until bigint;
@@ -0,0 +1,5 @@
+-- Per-timer background alerts.
+alter table public.timers
+  add column if not exists notify     boolean not null default false,
+  add column if not exists goal_sound boolean not null default false,
+  add column if not exists badge      boolean not null default true;
@@ -0,0 +1,3 @@
+-- Exclusive timers pause each other on start; non-exclusive ones may run in parallel.
+alter table public.timers
+  add column if not exists exclusive boolean not null default true;
@@ -0,0 +1,19 @@
+-- Collapsible groups of timers with an optional target.
+create table if not exists public.projects (
+  id          text primary key,
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  name        text not null default '',
+  target_sec  integer not null default 0,
+  collapsed   boolean not null default false,
+  sort_index  integer not null default 0,
+  deleted     boolean not null default false,
+  updated_at  timestamptz not null default now()
+);
+create index if not exists projects_user on public.projects (user_id, sort_index);
+
+alter table public.projects enable row level security;
+create policy "own projects" on public.projects
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- the project a timer is grouped under (null = ungrouped)
+alter table public.timers add column if not exists project_id text;
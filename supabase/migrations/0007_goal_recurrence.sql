@@ -0,0 +1,7 @@
+-- Recurring goals: the period the goal last fired in, and the streak of met periods.
+alter table public.timers
+  add column if not exists goal_repeat   text    not null default 'none',
+  add column if not exists goal_period   text,
+  add column if not exists streak        integer not null default 0,
+  add column if not exists best_streak   integer not null default 0,
+  add column if not exists streak_period text;
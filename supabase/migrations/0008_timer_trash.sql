@@ -0,0 +1,2 @@
+-- Deleted timers stay as deleted = true rows (the trash) until purged.
+alter table public.timers add column if not exists deleted_at bigint;
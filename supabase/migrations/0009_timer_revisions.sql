@@ -0,0 +1,17 @@
+-- Audit log of manual changes to a timer's total (adjustments, deductions, session edits...).
+create table if not exists public.timer_revisions (
+  id          text primary key,
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  timer_id    text not null,
+  amount_sec  integer not null,
+  kind        text not null,
+  reason      text not null default '',
+  at          bigint not null,
+  device      text not null default '',
+  updated_at  timestamptz not null default now()
+);
+create index if not exists timer_revisions_user_timer on public.timer_revisions (user_id, timer_id, at);
+
+alter table public.timer_revisions enable row level security;
+create policy "own revisions" on public.timer_revisions
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
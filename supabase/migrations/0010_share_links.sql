@@ -0,0 +1,37 @@
+-- Public read-only share: one link per user, scoped to the timers they pick.
+create table if not exists public.share_links (
+  token       text primary key,
+  user_id     uuid not null unique references auth.users(id) on delete cascade,
+  timer_ids   text[] not null default '{}',
+  created_at  timestamptz not null default now()
+);
+
+alter table public.share_links enable row level security;
+create policy "own share link" on public.share_links
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- What a viewer with the token may see. Runs as the owner of the function so
+-- anonymous viewers never need read access to timers themselves; a revoked or
+-- rotated token simply returns null.
+create or replace function public.shared_timers(p_token text)
+returns json
+language sql stable security definer set search_path = public
+as $$
+  select json_build_object(
+    'owner', (select json_build_object('name', p.name, 'emoji', p.emoji) from profiles p where p.user_id = s.user_id),
+    'timers', coalesce((
+      select json_agg(json_build_object(
+        'id', t.id, 'name', t.name, 'category', t.category, 'color', t.color,
+        'target_sec', t.target_sec, 'elapsed_sec', t.elapsed_sec, 'revision_sec', t.revision_sec,
+        'running', t.running, 'start_ts', t.start_ts
+      ) order by t.sort_index)
+      from timers t
+      where t.user_id = s.user_id and t.id = any(s.timer_ids) and not coalesce(t.deleted, false)
+    ), '[]'::json)
+  )
+  from share_links s
+  where s.token = p_token;
+$$;
+
+revoke all on function public.shared_timers(text) from public;
+grant execute on function public.shared_timers(text) to anon, authenticated;
@@ -0,0 +1,121 @@
+-- Team workspaces: shared timers, with each member's time tracked separately.
+-- Roles: owner (manages members and timers), member (tracks time, adds timers), viewer (read-only).
+create table if not exists public.workspaces (
+  id          uuid primary key default gen_random_uuid(),
+  name        text not null default '',
+  owner_id    uuid not null references auth.users(id) on delete cascade,
+  created_at  timestamptz not null default now()
+);
+
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces(id) on delete cascade,
+  user_id      uuid not null references auth.users(id) on delete cascade,
+  email        text not null default '',
+  name         text not null default '',
+  role         text not null default 'member' check (role in ('owner', 'member', 'viewer')),
+  joined_at    timestamptz not null default now(),
+  primary key (workspace_id, user_id)
+);
+
+create table if not exists public.workspace_invites (
+  id           uuid primary key default gen_random_uuid(),
+  workspace_id uuid not null references public.workspaces(id) on delete cascade,
+  email        text not null,
+  role         text not null default 'member' check (role in ('member', 'viewer')),
+  invited_by   uuid not null references auth.users(id) on delete cascade,
+  created_at   timestamptz not null default now(),
+  unique (workspace_id, email)
+);
+
+create table if not exists public.workspace_timers (
+  id           text primary key,
+  workspace_id uuid not null references public.workspaces(id) on delete cascade,
+  name         text not null default '',
+  category     text not null default 'work',
+  color        text not null default '',
+  target_sec   integer not null default 0,
+  sort_index   integer not null default 0,
+  created_by   uuid references auth.users(id) on delete set null,
+  updated_at   timestamptz not null default now()
+);
+
+-- one row per member and shared timer: that member's own time
+create table if not exists public.workspace_timer_state (
+  timer_id     text not null references public.workspace_timers(id) on delete cascade,
+  workspace_id uuid not null references public.workspaces(id) on delete cascade,
+  user_id      uuid not null references auth.users(id) on delete cascade,
+  elapsed_sec  integer not null default 0,
+  running      boolean not null default false,
+  start_ts     bigint,
+  updated_at   timestamptz not null default now(),
+  primary key (timer_id, user_id)
+);
+create index if not exists workspace_timer_state_ws on public.workspace_timer_state (workspace_id);
+
+-- the caller's role in a workspace (null = not a member); security definer so policies can use it without recursion
+create or replace function public.workspace_role(ws uuid)
+returns text
+language sql stable security definer set search_path = public
+as $$ select role from workspace_members where workspace_id = ws and user_id = auth.uid() $$;
+
+alter table public.workspaces enable row level security;
+create policy "members read workspace" on public.workspaces for select using (public.workspace_role(id) is not null);
+create policy "anyone creates own workspace" on public.workspaces for insert with check (owner_id = auth.uid());
+create policy "owner updates workspace" on public.workspaces for update using (public.workspace_role(id) = 'owner');
+create policy "owner deletes workspace" on public.workspaces for delete using (public.workspace_role(id) = 'owner');
+
+alter table public.workspace_members enable row level security;
+create policy "members read members" on public.workspace_members for select using (public.workspace_role(workspace_id) is not null);
+create policy "owner manages members" on public.workspace_members for all
+  using (public.workspace_role(workspace_id) = 'owner') with check (public.workspace_role(workspace_id) = 'owner');
+-- the creator adds themself as owner right after creating the workspace
+create policy "creator joins as owner" on public.workspace_members for insert
+  with check (user_id = auth.uid() and role = 'owner' and exists (select 1 from workspaces w where w.id = workspace_id and w.owner_id = auth.uid()));
+create policy "members leave" on public.workspace_members for delete using (user_id = auth.uid() and role <> 'owner');
+
+alter table public.workspace_invites enable row level security;
+create policy "owner manages invites" on public.workspace_invites for all
+  using (public.workspace_role(workspace_id) = 'owner') with check (public.workspace_role(workspace_id) = 'owner');
+create policy "invitee reads own invites" on public.workspace_invites for select using (lower(email) = lower(auth.jwt() ->> 'email'));
+create policy "invitee declines" on public.workspace_invites for delete using (lower(email) = lower(auth.jwt() ->> 'email'));
+
+alter table public.workspace_timers enable row level security;
+create policy "members read timers" on public.workspace_timers for select using (public.workspace_role(workspace_id) is not null);
+create policy "members add timers" on public.workspace_timers for insert with check (public.workspace_role(workspace_id) in ('owner', 'member'));
+create policy "members edit timers" on public.workspace_timers for update using (public.workspace_role(workspace_id) in ('owner', 'member'));
+create policy "owner deletes timers" on public.workspace_timers for delete using (public.workspace_role(workspace_id) = 'owner');
+
+alter table public.workspace_timer_state enable row level security;
+create policy "members read state" on public.workspace_timer_state for select using (public.workspace_role(workspace_id) is not null);
+create policy "members track own time" on public.workspace_timer_state for all
+  using (user_id = auth.uid() and public.workspace_role(workspace_id) in ('owner', 'member'))
+  with check (user_id = auth.uid() and public.workspace_role(workspace_id) in ('owner', 'member'));
+
+-- accepting an invite: the invitee can't insert into workspace_members themself
+create or replace function public.accept_workspace_invite(p_invite uuid, p_name text default '')
+returns uuid
+language plpgsql security definer set search_path = public
+as $$
+declare inv workspace_invites;
+begin
+  select * into inv from workspace_invites where id = p_invite and lower(email) = lower(auth.jwt() ->> 'email');
+  if not found then raise exception 'invite not found'; end if;
+  insert into workspace_members (workspace_id, user_id, email, name, role)
+    values (inv.workspace_id, auth.uid(), inv.email, coalesce(p_name, ''), inv.role)
+    on conflict (workspace_id, user_id) do nothing;
+  delete from workspace_invites where id = inv.id;
+  return inv.workspace_id;
+end $$;
+grant execute on function public.accept_workspace_invite(uuid, text) to authenticated;
+
+-- live "who is running what"
+-- (guarded so the migration can be re-run)
+do $$
+declare t text;
+begin
+  foreach t in array array['workspace_timers', 'workspace_timer_state'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t) then
+      execute format('alter publication supabase_realtime add table public.%I', t);
+    end if;
+  end loop;
+end $$;
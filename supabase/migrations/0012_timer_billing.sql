@@ -0,0 +1,6 @@
+-- Billing: billable flag, own hourly rate (null = the category rate from settings), currency and client.
+alter table public.timers
+  add column if not exists billable    boolean       not null default false,
+  add column if not exists hourly_rate numeric(12,2),
+  add column if not exists currency    text,
+  add column if not exists client      text          not null default '';
@@ -0,0 +1,3 @@
+-- Schedules: automatic start/stop rules, [{ id, action, time: "HH:MM", days: [0-6] }] (see src/schedule.js).
+alter table public.timers
+  add column if not exists schedule jsonb not null default '[]'::jsonb;
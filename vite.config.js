@@ -1,8 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { createHash } from 'node:crypto'
+
+// Emits /sw.js from src/sw.js with the list of files to precache (the built
+// app shell plus everything in public/, fonts included) and a content hash,
+// so every build that changes a file ships a new service worker.
+function serviceWorker() {
+  let publicDir
+  const walk = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(d => d.isDirectory() ? walk(join(dir, d.name)) : [join(dir, d.name)])
+  return {
+    name: 'shinytimer-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) { publicDir = config.publicDir },
+    generateBundle(_options, bundle) {
+      const built = Object.keys(bundle).filter(f => !f.endsWith('.map'))
+      const pub = publicDir ? walk(publicDir).map(f => relative(publicDir, f).split('\\').join('/')).filter(f => !f.startsWith('_')) : []
+      const urls = ['/', ...[...built, ...pub].map(f => `/${encodeURI(f)}`)]
+      const hash = createHash('sha256')
+      for (const f of built) { const o = bundle[f]; hash.update(f); hash.update(o.type === 'chunk' ? o.code : o.source) }
+      for (const f of pub) hash.update(readFileSync(join(publicDir, f)))
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('"__SW_VERSION__"', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__SW_PRECACHE__', JSON.stringify(urls))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 })